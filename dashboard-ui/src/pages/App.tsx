@@ -3,6 +3,7 @@ import TopBar from "../sections/TopBar";
 import TraktCard from "../sections/TraktCard";
 import ListsPanel from "../sections/ListsPanel";
 import AddonPanel from "../sections/AddonPanel";
+import ProfilesPanel from "../sections/ProfilesPanel";
 import { Tabs, TabsList, TabsTrigger, TabsContent } from "../components/ui/tabs";
 import { NotifyProvider, useNotify } from "../context/notify";
 import { Banner } from "../components/ui/banner";
@@ -125,7 +126,7 @@ function Shell(){
             <div className="mt-4" />
             <TabsContent value="lists"><ListsPanel /></TabsContent>
             <TabsContent value="import"><MyTraktLists /></TabsContent>
-            <TabsContent value="addon"><AddonPanel /></TabsContent>
+            <TabsContent value="addon"><div className="space-y-3"><AddonPanel /><ProfilesPanel /></div></TabsContent>
             <TabsContent value="reorder"><ReorderPanel /></TabsContent>
           </Tabs>
         </div>
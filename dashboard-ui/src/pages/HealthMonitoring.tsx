@@ -63,6 +63,41 @@ interface PerformanceMetrics {
   responseSamples: number;
 }
 
+interface TraktEndpointStats {
+  endpoint: string;
+  calls: number;
+  errors: number;
+  rateLimited: number;
+  retries: number;
+  avgMs: number;
+  maxMs: number;
+  lastStatus: number | null;
+  lastAt: string | null;
+  lastError: string | null;
+}
+
+interface TraktStats {
+  queue: {
+    pending: number;
+    waiting: number;
+    pausedUntil: string | null;
+    concurrency: number;
+    maxPerSecond: number;
+  };
+  users: {
+    active: number;
+    paused: number;
+  };
+  lastRateLimit: { name?: string; remaining?: number; until?: string; at: string } | null;
+  totals: {
+    calls: number;
+    errors: number;
+    rateLimited: number;
+    retries: number;
+  };
+  endpoints: TraktEndpointStats[];
+}
+
 interface HealthAlert {
   type: string;
   severity: 'critical' | 'warning';
@@ -79,6 +114,7 @@ interface HealthMetrics {
   application: ApplicationMetrics;
   services: ServiceStatus;
   performance: PerformanceMetrics;
+  trakt?: TraktStats | null;
   alerts: HealthAlert[];
 }
 
@@ -401,6 +437,78 @@ export default function HealthMonitoringPage() {
         </div>
       </Card>
 
+      {/* Trakt API */}
+      {metrics?.trakt && (
+        <Card className="p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">Trakt API</h3>
+            <StatusBadge status={metrics.trakt.queue.pausedUntil || metrics.trakt.users.paused ? 'degraded' : 'up'} />
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+            <div className="text-center p-4 bg-surface-1 rounded-lg">
+              <div className="text-2xl font-bold text-blue-400">{metrics.trakt.totals.calls}</div>
+              <div className="text-xs text-muted mt-1">Calls</div>
+            </div>
+            <div className="text-center p-4 bg-surface-1 rounded-lg">
+              <div className={`text-2xl font-bold ${metrics.trakt.totals.errors > 0 ? 'text-yellow-400' : 'text-green-400'}`}>
+                {metrics.trakt.totals.errors}
+              </div>
+              <div className="text-xs text-muted mt-1">Errors</div>
+            </div>
+            <div className="text-center p-4 bg-surface-1 rounded-lg">
+              <div className={`text-2xl font-bold ${metrics.trakt.totals.rateLimited > 0 ? 'text-red-400' : 'text-green-400'}`}>
+                {metrics.trakt.totals.rateLimited}
+              </div>
+              <div className="text-xs text-muted mt-1">Rate Limited (429)</div>
+            </div>
+            <div className="text-center p-4 bg-surface-1 rounded-lg">
+              <div className="text-2xl font-bold text-purple-400">
+                {metrics.trakt.queue.pending} / {metrics.trakt.queue.waiting}
+              </div>
+              <div className="text-xs text-muted mt-1">In Flight / Queued</div>
+            </div>
+          </div>
+          {metrics.trakt.queue.pausedUntil && (
+            <p className="text-sm text-yellow-400 mb-3">
+              Requests held until {new Date(metrics.trakt.queue.pausedUntil).toLocaleTimeString()}
+              {metrics.trakt.lastRateLimit?.name ? ` (${metrics.trakt.lastRateLimit.name})` : ''}
+            </p>
+          )}
+          {metrics.trakt.endpoints.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead className="text-muted text-left">
+                  <tr>
+                    <th className="py-1 pr-3 font-medium">Endpoint</th>
+                    <th className="py-1 pr-3 font-medium text-right">Calls</th>
+                    <th className="py-1 pr-3 font-medium text-right">Avg</th>
+                    <th className="py-1 pr-3 font-medium text-right">Max</th>
+                    <th className="py-1 pr-3 font-medium text-right">Errors</th>
+                    <th className="py-1 pr-3 font-medium text-right">429</th>
+                    <th className="py-1 pr-3 font-medium text-right">Retries</th>
+                    <th className="py-1 font-medium text-right">Last</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {metrics.trakt.endpoints.map(e => (
+                    <tr key={e.endpoint} className="border-t border-white/5">
+                      <td className="py-1 pr-3 font-mono break-all">{e.endpoint}</td>
+                      <td className="py-1 pr-3 text-right">{e.calls}</td>
+                      <td className="py-1 pr-3 text-right">{e.avgMs}ms</td>
+                      <td className="py-1 pr-3 text-right">{e.maxMs}ms</td>
+                      <td className={`py-1 pr-3 text-right ${e.errors > 0 ? 'text-yellow-400' : ''}`} title={e.lastError || undefined}>{e.errors}</td>
+                      <td className={`py-1 pr-3 text-right ${e.rateLimited > 0 ? 'text-red-400' : ''}`}>{e.rateLimited}</td>
+                      <td className="py-1 pr-3 text-right">{e.retries}</td>
+                      <td className="py-1 text-right">{e.lastStatus ?? '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Card>
+      )}
+
       {/* Footer Info */}
       <div className="text-center text-xs text-muted">
         Last updated: {metrics?.timestamp ? new Date(metrics.timestamp).toLocaleString() : 'Never'}
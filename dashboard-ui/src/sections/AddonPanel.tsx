@@ -1,12 +1,25 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { Button } from "../components/ui/button";
 import { Card } from "../components/ui/card";
 import { useNotify } from "../context/notify";
+import DeviceTokensPanel from "./DeviceTokensPanel";
+
+// Dry-run/apply result of POST /api/config/import
+type BackupDiff = {
+  mode: "merge" | "replace";
+  lists: { added: { id: string; name: string }[]; removed: { id: string; name: string }[]; changed: { id: string; name: string; fields: string[] }[]; unchanged: number };
+  settings: { key: string; from: unknown; to: unknown }[];
+  localLists: number;
+};
 
 export default function AddonPanel(){
   const { show } = useNotify();
   const [data, setData] = useState<any>(null);
   const [loading, setLoading] = useState(false);
+  const [mode, setMode] = useState<"merge" | "replace">("merge");
+  const [backup, setBackup] = useState<{ name: string; text: string } | null>(null);
+  const [diff, setDiff] = useState<BackupDiff | null>(null);
+  const fileInput = useRef<HTMLInputElement>(null);
 
   async function load(){
     setLoading(true);
@@ -17,9 +30,41 @@ export default function AddonPanel(){
   }
   useEffect(()=>{ load(); }, []);
 
-  async function copy(){
-    try{ await navigator.clipboard.writeText(data?.manifestUrl || ""); show({ kind:"ok", text:"Manifest copied." }); }
-    catch{ show({ kind:"err", text:"Copy failed." }); }
+  // Dry run first; the diff is shown and "Apply" sends the same file for real
+  async function restore(text: string, importMode: "merge" | "replace", dryRun: boolean){
+    const r = await fetch(`/api/config/import?mode=${importMode}${dryRun ? "&dryRun=1" : ""}`, {
+      method:"POST",
+      credentials:"include",
+      headers:{ "Content-Type":"text/plain" },
+      body: text
+    });
+    const out = await r.json().catch(() => null);
+    if (!r.ok || !out?.ok){
+      show({ kind:"err", text: out?.error === "invalid_rows" ? "Backup has invalid lists." : "Not a valid backup file." });
+      setDiff(null);
+      return;
+    }
+    setDiff(out.diff);
+    if (!dryRun){
+      show({ kind:"ok", text:"Configuration restored." });
+      setBackup(null);
+      setDiff(null);
+      await load();
+    }
+  }
+
+  async function pickBackup(e: React.ChangeEvent<HTMLInputElement>){
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const text = await file.text();
+    setBackup({ name: file.name, text });
+    await restore(text, mode, true);
+  }
+
+  async function changeMode(next: "merge" | "replace"){
+    setMode(next);
+    if (backup) await restore(backup.text, next, true);
   }
 
   if (loading) return <Card className="bg-surface-2 border-white/10 p-6">Loading…</Card>;
@@ -28,11 +73,39 @@ export default function AddonPanel(){
   return (
     <div className="space-y-3">
       <Card className="bg-surface-2 border-white/10 p-6">
-        <pre className="text-sm whitespace-pre-wrap">{`Manifest URL:\n${data.manifestUrl}\n\nEnabled catalogs: ${data.enabledCatalogs}`}</pre>
-        <div className="flex gap-2 mt-3">
-          <Button onClick={copy}>Copy manifest</Button>
-          <a className="inline-flex items-center px-3 py-2 rounded-md border border-white/10 bg-surface-3" href={data.stremioLink}>Install in Stremio</a>
+        <div className="text-sm">Enabled catalogs: {data.enabledCatalogs}</div>
+        <div className="text-sm text-white/60 mt-2">Install links carry a device token: create one per device below to copy or install it.</div>
+      </Card>
+      <DeviceTokensPanel signing={!!data.signing} />
+      <Card className="bg-surface-2 border-white/10 p-6">
+        <div className="font-semibold mb-2">Backup</div>
+        <div className="flex flex-wrap gap-2 items-center">
+          <a className="inline-flex items-center px-3 py-2 rounded-md border border-white/10 bg-surface-3" href="/api/config/export" download>Export configuration</a>
+          <select
+            className="h-10 rounded-md bg-[var(--color-surface-2)] border border-white/10 px-3"
+            value={mode}
+            onChange={(e: React.ChangeEvent<HTMLSelectElement>) => changeMode(e.target.value as "merge" | "replace")}
+          >
+            <option value="merge">Merge into current</option>
+            <option value="replace">Replace everything</option>
+          </select>
+          <Button variant="secondary" onClick={() => fileInput.current?.click()}>Import backup…</Button>
+          <input ref={fileInput} type="file" accept=".json,application/json" className="hidden" onChange={pickBackup} />
         </div>
+        {backup && diff && (
+          <div className="mt-3 text-sm space-y-1">
+            <div className="text-white/70">{backup.name} · {diff.mode === "replace" ? "replaces the current configuration" : "merges into the current configuration"}</div>
+            {diff.lists.added.length > 0 && <div>Add: {diff.lists.added.map(l => l.name).join(", ")}</div>}
+            {diff.lists.changed.length > 0 && <div>Change: {diff.lists.changed.map(l => `${l.name} (${l.fields.join(", ")})`).join("; ")}</div>}
+            {diff.lists.removed.length > 0 && <div className="text-red-300">Remove: {diff.lists.removed.map(l => l.name).join(", ")}</div>}
+            <div className="text-white/60">{diff.lists.unchanged} list(s) unchanged{diff.localLists ? ` · items of ${diff.localLists} local list(s) restored` : ""}</div>
+            {diff.settings.map(c => <div key={c.key}>{c.key}: {String(c.from ?? "")} → {String(c.to ?? "")}</div>)}
+            <div className="flex gap-2 pt-2">
+              <Button onClick={() => restore(backup.text, mode, false)}>Apply</Button>
+              <Button variant="secondary" onClick={() => { setBackup(null); setDiff(null); }}>Cancel</Button>
+            </div>
+          </div>
+        )}
       </Card>
     </div>
   );
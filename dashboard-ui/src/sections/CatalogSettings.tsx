@@ -5,11 +5,33 @@ import { Input } from "../components/ui/input";
 import { Button } from "../components/ui/button";
 import { Switch } from "../components/ui/switch";
 
+type PosterSource = "cinemeta" | "omdb" | "fanart" | "custom";
+
+const POSTER_SOURCE_LABELS: Record<PosterSource, string> = {
+  cinemeta: "Cinemeta",
+  omdb: "OMDb (server OMDB_API_KEY)",
+  fanart: "fanart.tv (server FANARTTV_API_KEY)",
+  custom: "Custom URL template"
+};
+
+type CatalogTypes = "custom" | "native";
+
+const CATALOG_TYPE_LABELS: Record<CatalogTypes, string> = {
+  custom: "Own section (catalog prefix as type)",
+  native: "Movies / Series boards"
+};
+
 export default function CatalogSettings(){
   const [saving, setSaving] = useState(false);
   const [prefix, setPrefix] = useState("");
   const [name, setName] = useState("Trakt Lists");
   const [hideAll, setHideAll] = useState(false);
+  const [hideWatchedAll, setHideWatchedAll] = useState(false);
+  const [hideTraktHidden, setHideTraktHidden] = useState(false);
+  const [posterSource, setPosterSource] = useState<PosterSource>("cinemeta");
+  const [posterTemplate, setPosterTemplate] = useState("");
+  const [catalogTypes, setCatalogTypes] = useState<CatalogTypes>("custom");
+  const [genreCounts, setGenreCounts] = useState(false);
   const [loaded, setLoaded] = useState(false);
 
   useEffect(() => {
@@ -21,6 +43,12 @@ export default function CatalogSettings(){
           setPrefix(cfg?.catalogPrefix || "");
           setName(cfg?.addonName || "Trakt Lists");
           setHideAll(!!cfg?.hideUnreleasedAll);
+          setHideWatchedAll(!!cfg?.hideWatchedAll);
+          setHideTraktHidden(!!cfg?.hideTraktHidden);
+          setPosterSource((cfg?.posterSource as PosterSource) || "cinemeta");
+          setPosterTemplate(cfg?.posterTemplate || "");
+          setCatalogTypes((cfg?.catalogTypes as CatalogTypes) || "custom");
+          setGenreCounts(!!cfg?.genreCounts);
           setLoaded(true);
         }
       }catch{}
@@ -34,11 +62,11 @@ export default function CatalogSettings(){
         method: "POST",
         credentials: "include",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ catalogPrefix: prefix, addonName: name, hideUnreleasedAll: hideAll })
+        body: JSON.stringify({ catalogPrefix: prefix, addonName: name, hideUnreleasedAll: hideAll, hideWatchedAll, hideTraktHidden, posterSource, posterTemplate, catalogTypes, genreCounts })
       });
       if (res.ok) {
         // Broadcast so ListsPanel updates immediately without a page refresh
-        window.dispatchEvent(new CustomEvent("config:updated", { detail: { hideUnreleasedAll: hideAll } }));
+        window.dispatchEvent(new CustomEvent("config:updated", { detail: { hideUnreleasedAll: hideAll, hideWatchedAll } }));
       }
     } finally { setSaving(false); }
   }
@@ -67,12 +95,64 @@ export default function CatalogSettings(){
             placeholder="e.g. Trakt Lists"
           />
         </div>
+        <div className="col-span-12 md:col-span-6">
+          <label className="block text-xs text-muted mb-1">Catalog type in Stremio (lists can override)</label>
+          <select
+            className="h-10 w-full rounded-md bg-[var(--color-surface-2)] border border-white/10 px-3"
+            value={catalogTypes}
+            onChange={(e: React.ChangeEvent<HTMLSelectElement>) => setCatalogTypes(e.target.value as CatalogTypes)}
+          >
+            {(Object.keys(CATALOG_TYPE_LABELS) as CatalogTypes[]).map(t => (
+              <option key={t} value={t}>{CATALOG_TYPE_LABELS[t]}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-span-12 md:col-span-6">
+          <label className="block text-xs text-muted mb-1">Show title counts in genre options (e.g. "Drama (12)")</label>
+          <div className="h-10 flex items-center">
+            <Switch checked={genreCounts} onCheckedChange={setGenreCounts} />
+          </div>
+        </div>
         <div className="col-span-12 md:col-span-6">
           <label className="block text-xs text-muted mb-1">Hide unreleased movies (all lists)</label>
           <div className="h-10 flex items-center">
             <Switch checked={hideAll} onCheckedChange={setHideAll} />
           </div>
         </div>
+        <div className="col-span-12 md:col-span-6">
+          <label className="block text-xs text-muted mb-1">Hide watched movies and completed series (all lists, needs Trakt connected)</label>
+          <div className="h-10 flex items-center">
+            <Switch checked={hideWatchedAll} onCheckedChange={setHideWatchedAll} />
+          </div>
+        </div>
+        <div className="col-span-12 md:col-span-6">
+          <label className="block text-xs text-muted mb-1">Also hide titles hidden or dropped on Trakt (wherever watched titles are hidden)</label>
+          <div className="h-10 flex items-center">
+            <Switch checked={hideTraktHidden} onCheckedChange={setHideTraktHidden} />
+          </div>
+        </div>
+        <div className="col-span-12 md:col-span-6">
+          <label className="block text-xs text-muted mb-1">Poster source (falls back to Cinemeta)</label>
+          <select
+            className="h-10 w-full rounded-md bg-[var(--color-surface-2)] border border-white/10 px-3"
+            value={posterSource}
+            onChange={(e: React.ChangeEvent<HTMLSelectElement>) => setPosterSource(e.target.value as PosterSource)}
+          >
+            {(Object.keys(POSTER_SOURCE_LABELS) as PosterSource[]).map(src => (
+              <option key={src} value={src}>{POSTER_SOURCE_LABELS[src]}</option>
+            ))}
+          </select>
+        </div>
+        {posterSource === "custom" && (
+          <div className="col-span-12 md:col-span-6">
+            <label className="block text-xs text-muted mb-1">Poster URL template ({"{imdb}"} and {"{type}"} are replaced)</label>
+            <Input
+              value={posterTemplate}
+              onChange={(e: React.ChangeEvent<HTMLInputElement>) => setPosterTemplate(e.target.value)}
+              placeholder="https://example.com/poster/{imdb}.jpg"
+            />
+          </div>
+        )}
         <div className="col-span-12 pt-1">
           <Button onClick={save} disabled={saving}>Save</Button>
         </div>
@@ -0,0 +1,157 @@
+// dashboard-ui/src/sections/DeviceTokensPanel.tsx
+import React, { useEffect, useState } from "react";
+import { Card } from "../components/ui/card";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import { useNotify } from "../context/notify";
+
+// One per-device addon token (GET /api/addon-tokens); the link itself is only shown once
+type DeviceToken = {
+  id: string;
+  name: string;
+  profileId: string | null;
+  createdAt: string;
+  lastUsedAt: string | null;
+  expiresAt: string | null;
+  revokedAt: string | null;
+  active: boolean;
+};
+type Issued = { token: DeviceToken; manifestUrl: string; stremioLink: string };
+type Profile = { id: string; name: string };
+
+const when = (iso: string | null) => (iso ? new Date(iso).toLocaleString() : "never");
+
+function status(t: DeviceToken){
+  if (t.revokedAt) return "revoked";
+  if (!t.active) return "expired";
+  return t.expiresAt ? `expires ${new Date(t.expiresAt).toLocaleDateString()}` : "active";
+}
+
+export default function DeviceTokensPanel({ signing }: { signing: boolean }){
+  const { show } = useNotify();
+  const [tokens, setTokens] = useState<DeviceToken[]>([]);
+  const [profiles, setProfiles] = useState<Profile[]>([]);
+  const [name, setName] = useState("");
+  const [profileId, setProfileId] = useState("");
+  const [days, setDays] = useState("");
+  const [issued, setIssued] = useState<Issued | null>(null);
+
+  async function load(){
+    const [t, p] = await Promise.all([
+      fetch(`/api/addon-tokens?ts=${Date.now()}`, { credentials:"include", cache:"no-store" }),
+      fetch(`/api/profiles?ts=${Date.now()}`, { credentials:"include", cache:"no-store" })
+    ]);
+    setTokens(t.ok ? (await t.json()).tokens || [] : []);
+    setProfiles(p.ok ? await p.json() : []);
+  }
+  useEffect(()=>{ load(); }, []);
+
+  async function send(path: string, method: string, body?: unknown){
+    const r = await fetch(path, {
+      method,
+      credentials:"include",
+      headers:{ "Content-Type":"application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await r.json().catch(() => null);
+    if (!r.ok){
+      show({ kind:"err", text: data?.error === "signing_disabled" ? "Expiring links need ADDON_SIGNING_SECRET on the server." : "Updating the device tokens failed." });
+      return null;
+    }
+    return data ?? {};
+  }
+
+  async function create(){
+    const body: Record<string, unknown> = { name: name.trim() };
+    if (profileId) body.profileId = profileId;
+    if (days.trim()) body.expiresInDays = Number(days);
+    const out = await send("/api/addon-tokens", "POST", body);
+    if (!out) return;
+    setIssued(out);
+    setName("");
+    setDays("");
+    await load();
+  }
+
+  async function rotate(t: DeviceToken){
+    if (!confirm(`Create a new link for "${t.name}"? The old link stops working until the addon is reinstalled.`)) return;
+    const out = await send(`/api/addon-tokens/${encodeURIComponent(t.id)}/rotate`, "POST");
+    if (!out) return;
+    setIssued(out);
+    await load();
+  }
+
+  async function revoke(t: DeviceToken){
+    if (!confirm(`Revoke "${t.name}"? The addon on that device stops working.`)) return;
+    if (await send(`/api/addon-tokens/${encodeURIComponent(t.id)}`, "DELETE")) await load();
+  }
+
+  async function copy(url: string){
+    try{ await navigator.clipboard.writeText(url); show({ kind:"ok", text:"Manifest copied." }); }
+    catch{ show({ kind:"err", text:"Copy failed." }); }
+  }
+
+  const scopeOf = (t: DeviceToken) => (t.profileId ? `profile ${profiles.find(p => p.id === t.profileId)?.name || "(deleted)"}` : "main addon");
+
+  return (
+    <Card className="bg-surface-2 border-white/10 p-6 space-y-3">
+      <div>
+        <div className="font-semibold mb-1">Devices</div>
+        <div className="text-sm text-white/60">
+          Each device gets its own install link, so one can be revoked without reinstalling the others.
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-2 items-center">
+        <div className="w-48">
+          <Input placeholder="Device name" value={name}
+            onChange={(e: React.ChangeEvent<HTMLInputElement>) => setName(e.target.value)} />
+        </div>
+        <select
+          className="h-10 rounded-md bg-[var(--color-surface-2)] border border-white/10 px-3"
+          value={profileId}
+          onChange={(e: React.ChangeEvent<HTMLSelectElement>) => setProfileId(e.target.value)}
+        >
+          <option value="">Main addon</option>
+          {profiles.map(p => <option key={p.id} value={p.id}>Profile: {p.name}</option>)}
+        </select>
+        {signing && (
+          <div className="w-36">
+            <Input placeholder="Expires in days" value={days}
+              onChange={(e: React.ChangeEvent<HTMLInputElement>) => setDays(e.target.value.replace(/\D/g, ""))} />
+          </div>
+        )}
+        <Button onClick={create} disabled={!name.trim()}>Create link</Button>
+      </div>
+
+      {issued && (
+        <div className="rounded-md border border-white/10 p-3 text-sm space-y-2">
+          <div>Link for "{issued.token.name}" — it is only shown now:</div>
+          <pre className="whitespace-pre-wrap break-all">{issued.manifestUrl}</pre>
+          <div className="flex gap-2">
+            <Button onClick={() => copy(issued.manifestUrl)}>Copy manifest</Button>
+            <a className="inline-flex items-center px-3 py-2 rounded-md border border-white/10 bg-surface-3" href={issued.stremioLink}>Install in Stremio</a>
+            <Button variant="secondary" onClick={() => setIssued(null)}>Done</Button>
+          </div>
+        </div>
+      )}
+
+      <ul className="space-y-2 text-sm">
+        {tokens.map(t => (
+          <li key={t.id} className={`flex flex-wrap items-center justify-between gap-2 ${t.active ? "" : "opacity-60"}`}>
+            <div>
+              <div className="font-medium">{t.name} <span className="text-xs text-white/50">{scopeOf(t)} · {status(t)}</span></div>
+              <div className="text-xs text-white/60">Created {when(t.createdAt)} · last used {when(t.lastUsedAt)}</div>
+            </div>
+            {!t.revokedAt && (
+              <div className="flex gap-2">
+                <Button variant="secondary" onClick={() => rotate(t)}>New link</Button>
+                <Button variant="secondary" onClick={() => revoke(t)}>Revoke</Button>
+              </div>
+            )}
+          </li>
+        ))}
+        {!tokens.length && <li className="text-white/60">No devices yet.</li>}
+      </ul>
+    </Card>
+  );
+}
@@ -10,11 +10,67 @@ import { Switch } from "../components/ui/switch";
 import { createPortal } from "react-dom";
 
 /* ----------------------------- Types ------------------------------ */
+type ListType = "movie" | "series" | "mixed";
+
+const TYPE_LABELS: Record<ListType, string> = { movie: "Movies", series: "Series", mixed: "Movies + Series" };
+
+type ListKind = "trakt" | "composite" | "local";
+type CompositeOperator = "union" | "intersection" | "difference" | "interleave";
+
+// Catalog sort keys (src/utils/sort.js); "" follows the Trakt list's own sort
+const SORT_LABELS: Record<string, string> = {
+  "": "List default",
+  rank: "List rank",
+  listed_at: "Date added",
+  rating: "Rating",
+  votes: "Votes",
+  year: "Year",
+  released: "Release date",
+  runtime: "Runtime",
+  name: "Name",
+  popularity: "Popularity (Trakt)",
+  watchers: "Watchers (Trakt)",
+  random: "Random"
+};
+
+const OPERATOR_LABELS: Record<CompositeOperator, string> = {
+  union: "Union (any member)",
+  intersection: "Intersection (every member)",
+  difference: "Difference (first minus the rest)",
+  interleave: "Interleave (round-robin)"
+};
+
+// Built-in facets a list can add to Stremio's genre picker, besides its named presets
+type FacetGroup = "decades" | "ratings" | "runtimes";
+const FACET_LABELS: Record<FacetGroup, string> = {
+  decades: "Decades (1980s…)",
+  ratings: "Rating bands (8+…)",
+  runtimes: "Runtime (Under 100 min…)"
+};
+type FacetPreset = {
+  name: string;
+  yearMin?: number;
+  yearMax?: number;
+  ratingMin?: number;
+  ratingMax?: number;
+  runtimeMin?: number;
+  runtimeMax?: number;
+};
+type PresetBound = Exclude<keyof FacetPreset, "name">;
+const PRESET_BOUNDS: [PresetBound, string][] = [
+  ["yearMin", "Year min"],
+  ["yearMax", "Year max"],
+  ["ratingMin", "Rating min"],
+  ["ratingMax", "Rating max"],
+  ["runtimeMin", "Runtime min"],
+  ["runtimeMax", "Runtime max"]
+];
+
 type ListItem = {
   id?: string;
   name?: string;
   url?: string;
-  type?: "movie" | "series";
+  type?: ListType;
   enabled?: boolean;
   sortBy?: string;
   sortOrder?: string;
@@ -24,10 +80,66 @@ type ListItem = {
   ratingMin?: string;
   ratingMax?: string;
   hideUnreleased?: boolean;
+  hideWatched?: boolean;
+  rotation?: "" | "daily" | "weekly";
+  rotationSize?: number;
+  recentDays?: number;
+  newMarker?: "" | "name" | "description";
+  catalogType?: "" | "custom" | "native";
+  showInHome?: boolean;
+  facets?: FacetGroup[];
+  presets?: FacetPreset[];
+  kind?: ListKind;
+  members?: string[];
+  operator?: CompositeOperator;
+};
+
+// Delta refresh bookkeeping per list id (GET /api/config listSync)
+type ListSync = { lastCheckedAt: string | null; lastChangedAt: string | null };
+
+// Added/removed titles between list snapshots (GET /api/lists/:id/history)
+type HistoryTitle = { id: string; title: string; year: number | null; type: "movie" | "series" };
+type ListHistory = {
+  since: { at: string; itemCount: number } | null;
+  changes: { at: string; itemCount: number; added: HistoryTitle[]; removed: HistoryTitle[] }[];
+};
+
+// Match report of a file import (POST /api/import-list)
+type ImportCandidate = { imdb: string | null; title: string; year: number | null; type: "movie" | "series" };
+type ImportReport = {
+  format: string;
+  total: number;
+  matched: number;
+  duplicates: number;
+  truncated: number;
+  unresolved: { line: number; input: string; reason: string }[];
+  ambiguous: { line: number; input: string; candidates: ImportCandidate[] }[];
+};
+type ImportResult = { name: string; error: string; report: ImportReport | null };
+
+// Item of a local list (GET /api/lists/:id/items)
+type LocalItem = {
+  imdb: string;
+  type: "movie" | "series";
+  title: string;
+  year: number | null;
+  notes: string;
+  listedAt: string | null;
+  position: number;
 };
 
 const rowId = (it: ListItem, idx: number) => it.id || `idx-${idx}`;
 
+function timeAgo(iso: string | null): string {
+  const ms = iso ? Date.parse(iso) : NaN;
+  if (!Number.isFinite(ms)) return "never";
+  const min = Math.max(0, Math.round((Date.now() - ms) / 60000));
+  if (min < 1) return "just now";
+  if (min < 60) return `${min}m ago`;
+  if (min < 48 * 60) return `${Math.round(min / 60)}h ago`;
+  return `${Math.round(min / 1440)}d ago`;
+}
+
 /* ------------------------- Sortable wrapper ------------------------ */
 function SortableWrapper({
   id,
@@ -242,8 +354,17 @@ function GenresPortal({
 /* ------------------------------ Main ------------------------------- */
 export default function ListsPanel() {
   const [lists, setLists] = useState<ListItem[]>([]);
+  const [sync, setSync] = useState<Record<string, ListSync>>({});
+  const [history, setHistory] = useState<Record<string, ListHistory>>({});
+  const [importResult, setImportResult] = useState<ImportResult | null>(null);
+  const [localItems, setLocalItems] = useState<Record<string, LocalItem[]>>({});
+  const [addIds, setAddIds] = useState<Record<string, string>>({});
+  const [itemNotice, setItemNotice] = useState<Record<string, string>>({});
+  const fileRef = useRef<HTMLInputElement>(null);
+  const importTarget = useRef<string | null>(null); // local list id to replace, null = new list
   const [busy, setBusy] = useState(false);
   const [hideAll, setHideAll] = useState(false);
+  const [hideWatchedAll, setHideWatchedAll] = useState(false);
   const [supportedGenres, setSupportedGenres] = useState<string[]>([]);
   const [showGenres, setShowGenres] = useState(false);
 
@@ -262,7 +383,9 @@ export default function ListsPanel() {
       ]);
       const data = cfgR.ok ? await cfgR.json() : { lists: [] };
       setLists((data.lists as ListItem[]) || []);
+      setSync((data.listSync as Record<string, ListSync>) || {});
       setHideAll(!!data.hideUnreleasedAll);
+      setHideWatchedAll(!!data.hideWatchedAll);
       if (gR.ok) {
         const gj = await gR.json().catch(() => null);
         if (gj && Array.isArray(gj.genres)) setSupportedGenres(gj.genres);
@@ -287,6 +410,7 @@ export default function ListsPanel() {
     function onCfg(ev: Event) {
       const det = (ev as CustomEvent)?.detail;
       if (det && typeof det.hideUnreleasedAll === "boolean") setHideAll(!!det.hideUnreleasedAll);
+      if (det && typeof det.hideWatchedAll === "boolean") setHideWatchedAll(!!det.hideWatchedAll);
     }
     window.addEventListener("config:updated", onCfg as EventListener);
     return () => window.removeEventListener("config:updated", onCfg as EventListener);
@@ -313,7 +437,7 @@ export default function ListsPanel() {
       type: it.type || "movie",
       extras: {
         sort: it.sortBy || "",
-        order: it.sortOrder || "desc",
+        order: it.sortOrder || "",
         genre: it.genre || "",
         yearMin: it.yearMin || "",
         yearMax: it.yearMax || "",
@@ -339,7 +463,7 @@ export default function ListsPanel() {
       type: it.type || "movie",
       extras: {
         sort: it.sortBy || "",
-        order: it.sortOrder || "desc",
+        order: it.sortOrder || "",
         genre: it.genre || "",
         yearMin: it.yearMin || "",
         yearMax: it.yearMax || "",
@@ -354,6 +478,93 @@ export default function ListsPanel() {
       body: JSON.stringify(body)
     });
   }
+  async function toggleHistory(listId: string) {
+    if (history[listId]) {
+      setHistory(prev => { const next = { ...prev }; delete next[listId]; return next; });
+      return;
+    }
+    const r = await fetch(`/api/lists/${encodeURIComponent(listId)}/history?ts=${Date.now()}`, { credentials: "include", cache: "no-store" });
+    const data = r.ok ? await r.json().catch(() => null) : null;
+    setHistory(prev => ({ ...prev, [listId]: data && Array.isArray(data.changes) ? data : { since: null, changes: [] } }));
+  }
+  async function loadLocal(listId: string) {
+    const r = await fetch(`/api/lists/${encodeURIComponent(listId)}/items?ts=${Date.now()}`, { credentials: "include", cache: "no-store" });
+    const data = r.ok ? await r.json().catch(() => null) : null;
+    setLocalItems(prev => ({ ...prev, [listId]: (data?.items as LocalItem[]) || [] }));
+  }
+  function toggleItems(listId: string) {
+    if (localItems[listId]) {
+      setLocalItems(prev => { const next = { ...prev }; delete next[listId]; return next; });
+      return;
+    }
+    void loadLocal(listId);
+  }
+  async function addLocal(listId: string) {
+    const ids = Array.from(new Set(((addIds[listId] || "").match(/tt\d{5,}/gi) || []).map(x => x.toLowerCase())));
+    if (!ids.length) return;
+    const r = await fetch(`/api/lists/${encodeURIComponent(listId)}/items`, {
+      method: "POST",
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ items: ids.map(imdb => ({ imdb })) })
+    });
+    const data = r.ok ? await r.json().catch(() => null) : null;
+    const notice = !data
+      ? "Adding failed"
+      : [
+          `Added ${data.added.length}`,
+          data.existing.length ? `${data.existing.length} already on the list` : "",
+          data.unresolved.length ? `not found: ${data.unresolved.map((u: { imdb: string }) => u.imdb).join(", ")}` : ""
+        ].filter(Boolean).join(" · ");
+    setItemNotice(prev => ({ ...prev, [listId]: notice }));
+    if (data) setAddIds(prev => ({ ...prev, [listId]: "" }));
+    await loadLocal(listId);
+  }
+  async function patchLocal(listId: string, imdb: string, body: { notes?: string; position?: number }) {
+    await fetch(`/api/lists/${encodeURIComponent(listId)}/items/${imdb}`, {
+      method: "PATCH",
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    if (body.position) await loadLocal(listId);
+  }
+  async function removeLocal(listId: string, imdb: string) {
+    await fetch(`/api/lists/${encodeURIComponent(listId)}/items/${imdb}`, { method: "DELETE", credentials: "include" });
+    await loadLocal(listId);
+  }
+  function pickImportFile(listId: string | null) {
+    importTarget.current = listId;
+    fileRef.current?.click();
+  }
+  async function importFile(e: React.ChangeEvent<HTMLInputElement>) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setBusy(true);
+    try {
+      const qs = new URLSearchParams({ filename: file.name });
+      if (importTarget.current) qs.set("listId", importTarget.current);
+      // Sent as text so large JSON files skip the JSON body size limit
+      const r = await fetch(`/api/import-list?${qs}`, {
+        method: "POST",
+        credentials: "include",
+        headers: { "Content-Type": "text/plain" },
+        body: await file.text()
+      });
+      const data = await r.json().catch(() => null);
+      setImportResult({
+        name: data?.list?.name || file.name,
+        error: data?.ok ? "" : (data?.error || "import_failed"),
+        report: data?.report || null
+      });
+      if (data?.ok) await load();
+      const target = importTarget.current;
+      if (data?.ok && target && localItems[target]) await loadLocal(target);
+    } finally {
+      setBusy(false);
+    }
+  }
   async function persistOrder(next: ListItem[]) {
     const body = { lists: next.map((x, i) => ({ ...x, order: i })) };
     await fetch(`/api/config`, {
@@ -394,15 +605,66 @@ export default function ListsPanel() {
             <Button onClick={add}>Add list</Button>
             <Button variant="secondary" onClick={save} disabled={busy}>Save changes</Button>
             <Button variant="secondary" onClick={validateAll} disabled={busy}>Validate all</Button>
+            <Button variant="secondary" onClick={() => pickImportFile(null)} disabled={busy}>Import file</Button>
+            <input
+              ref={fileRef}
+              type="file"
+              accept=".csv,.json,.txt,text/csv,application/json,text/plain"
+              className="hidden"
+              onChange={importFile}
+            />
           </div>
         </div>
 
+        {importResult && (
+          <div className="mb-3 rounded-lg border border-white/10 p-3 text-sm">
+            <div className="flex items-center justify-between gap-2">
+              <div>
+                {importResult.error
+                  ? `Import of ${importResult.name} failed (${importResult.error})`
+                  : `Imported ${importResult.name}`}
+                {importResult.report &&
+                  ` · ${importResult.report.matched} of ${importResult.report.total} rows matched (${importResult.report.format})`}
+                {importResult.report && importResult.report.truncated > 0 &&
+                  ` · ${importResult.report.truncated} rows over the limit skipped`}
+              </div>
+              <Button variant="secondary" onClick={() => setImportResult(null)}>Dismiss</Button>
+            </div>
+            {importResult.report && importResult.report.unresolved.length > 0 && (
+              <div className="mt-2">
+                <div className="text-white/70">Not matched</div>
+                {importResult.report.unresolved.map(u => (
+                  <div key={`u${u.line}`} className="text-red-400">
+                    Line {u.line}: {u.input || "(empty)"} · {u.reason.replace(/_/g, " ")}
+                  </div>
+                ))}
+              </div>
+            )}
+            {importResult.report && importResult.report.ambiguous.length > 0 && (
+              <div className="mt-2">
+                <div className="text-white/70">
+                  Several matches: put the right IMDb id in the file and import it again
+                </div>
+                {importResult.report.ambiguous.map(a => (
+                  <div key={`a${a.line}`} className="text-amber-400">
+                    Line {a.line}: {a.input} →{" "}
+                    {a.candidates
+                      .map(c => `${c.title}${c.year ? ` (${c.year})` : ""}${c.imdb ? ` ${c.imdb}` : ""} · ${TYPE_LABELS[c.type]}`)
+                      .join("; ")}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={onDragEnd}>
           {/* Add a small top margin so the first list never touches the header row */}
           <SortableContext items={lists.map(rowId)} strategy={verticalListSortingStrategy}>
             <Accordion.Root type="single" collapsible className="w-full space-y-3 mt-3">
               {lists.map((it, idx) => {
                 const id = rowId(it, idx);
+                const hist = it.id ? history[it.id] : undefined;
                 return (
                   <SortableWrapper id={id} key={id}>
                     {(dragHandle, refCb, style) => (
@@ -417,8 +679,17 @@ export default function ListsPanel() {
                             {dragHandle}
                             <span className="font-medium">{it.name || "Untitled"}</span>
                             <span className="ml-3 text-white/60 text-sm">
-                              {it.type === "series" ? "Series" : "Movies"}
+                              {TYPE_LABELS[it.type || "movie"]}
+                              {it.kind === "composite" ? " · Composite" : it.kind === "local" ? " · Local" : ""}
                             </span>
+                            {it.id && sync[it.id] && (
+                              <span
+                                className="ml-2 text-white/40 text-xs"
+                                title={`Checked on Trakt ${timeAgo(sync[it.id].lastCheckedAt)}`}
+                              >
+                                Changed {timeAgo(sync[it.id].lastChangedAt)}
+                              </span>
+                            )}
                           </Accordion.Trigger>
                           <div
                             className="pl-3"
@@ -449,24 +720,139 @@ export default function ListsPanel() {
                                 className="h-10 w-full rounded-md bg-[var(--color-surface-2)] border border-white/10 px-3"
                                 value={it.type || "movie"}
                                 onChange={(e: React.ChangeEvent<HTMLSelectElement>) =>
-                                  updateItem(idx, { type: e.target.value as "movie" | "series" })
+                                  updateItem(idx, { type: e.target.value as ListType })
                                 }
                               >
                                 <option value="movie">Movies</option>
                                 <option value="series">Series</option>
+                                <option value="mixed">Movies + Series</option>
                               </select>
                             </div>
-                            <div className="sm:col-span-2">
-                              <label className="text-sm text-white/70">URL (Trakt/mdblist or username/lists/slug)</label>
-                              <Input
-                                value={it.url || ""}
-                                onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
-                                  updateItem(idx, { url: e.target.value })
+                            <div>
+                              <label className="text-sm text-white/70">Source</label>
+                              <select
+                                className="h-10 w-full rounded-md bg-[var(--color-surface-2)] border border-white/10 px-3"
+                                value={it.kind || "trakt"}
+                                onChange={(e: React.ChangeEvent<HTMLSelectElement>) =>
+                                  updateItem(idx, { kind: e.target.value as ListKind })
                                 }
-                              />
+                              >
+                                <option value="trakt">Trakt list</option>
+                                <option value="composite">Composite of other lists</option>
+                                <option value="local">Local list (curated here)</option>
+                              </select>
                             </div>
+                            {it.kind === "composite" ? (
+                              <div>
+                                <label className="text-sm text-white/70">Operator</label>
+                                <select
+                                  className="h-10 w-full rounded-md bg-[var(--color-surface-2)] border border-white/10 px-3"
+                                  value={it.operator || "union"}
+                                  onChange={(e: React.ChangeEvent<HTMLSelectElement>) =>
+                                    updateItem(idx, { operator: e.target.value as CompositeOperator })
+                                  }
+                                >
+                                  {(Object.keys(OPERATOR_LABELS) as CompositeOperator[]).map(op => (
+                                    <option key={op} value={op}>{OPERATOR_LABELS[op]}</option>
+                                  ))}
+                                </select>
+                              </div>
+                            ) : it.kind === "local" ? (
+                              <div>
+                                <label className="text-sm text-white/70">Items</label>
+                                <div className="flex gap-2">
+                                  <Button variant="secondary" onClick={() => toggleItems(it.id!)} disabled={!it.id}>
+                                    {it.id && localItems[it.id] ? "Hide items" : "Edit items"}
+                                  </Button>
+                                  <Button variant="secondary" onClick={() => pickImportFile(it.id || null)} disabled={busy || !it.id}>
+                                    Replace from file
+                                  </Button>
+                                </div>
+                                {!it.id && <div className="text-white/60 text-sm mt-1">Save changes to start adding titles.</div>}
+                              </div>
+                            ) : (
+                              <div>
+                                <label className="text-sm text-white/70">URL (Trakt/mdblist, username/lists/slug or trakt:watchlist)</label>
+                                <Input
+                                  value={it.url || ""}
+                                  onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+                                    updateItem(idx, { url: e.target.value })
+                                  }
+                                />
+                              </div>
+                            )}
                           </div>
 
+                          {it.kind === "local" && it.id && localItems[it.id] && (
+                            <div className="mt-3 rounded-lg border border-white/10 p-3 text-sm">
+                              <div className="flex gap-2">
+                                <Input
+                                  placeholder="IMDb ids or links, e.g. tt0133093 tt0111161"
+                                  value={addIds[it.id] || ""}
+                                  onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+                                    setAddIds(prev => ({ ...prev, [it.id!]: e.target.value }))
+                                  }
+                                />
+                                <Button variant="secondary" onClick={() => addLocal(it.id!)}>Add</Button>
+                              </div>
+                              {itemNotice[it.id] && <div className="text-white/60 mt-1">{itemNotice[it.id]}</div>}
+                              {!localItems[it.id].length && <div className="text-white/60 mt-2">No titles yet.</div>}
+                              {localItems[it.id].map((x, i, all) => (
+                                <div key={x.imdb} className="mt-2 flex items-center gap-2">
+                                  <span className="w-8 text-white/40 text-right">{x.position}</span>
+                                  <span className="flex-1">
+                                    {x.title || x.imdb}{x.year ? ` (${x.year})` : ""}
+                                    <span className="ml-2 text-white/40">{TYPE_LABELS[x.type]}</span>
+                                  </span>
+                                  <div className="w-56">
+                                    <Input
+                                      placeholder="Notes"
+                                      defaultValue={x.notes}
+                                      onBlur={(e: React.FocusEvent<HTMLInputElement>) => {
+                                        if (e.target.value !== x.notes) void patchLocal(it.id!, x.imdb, { notes: e.target.value });
+                                      }}
+                                    />
+                                  </div>
+                                  <Button variant="secondary" disabled={i === 0} onClick={() => patchLocal(it.id!, x.imdb, { position: x.position - 1 })}>↑</Button>
+                                  <Button variant="secondary" disabled={i === all.length - 1} onClick={() => patchLocal(it.id!, x.imdb, { position: x.position + 1 })}>↓</Button>
+                                  <Button variant="destructive" onClick={() => removeLocal(it.id!, x.imdb)}>Remove</Button>
+                                </div>
+                              ))}
+                            </div>
+                          )}
+
+                          {it.kind === "composite" && (
+                            <div className="mt-3">
+                              <label className="text-sm text-white/70">
+                                Member lists{it.operator === "difference" ? " (first checked list minus the others)" : ""}
+                              </label>
+                              <div className="mt-1 grid gap-1 sm:grid-cols-2">
+                                {lists.filter(m => m.id && m.id !== it.id && m.kind !== "composite").map(m => {
+                                  const members = it.members || [];
+                                  const checked = members.includes(m.id!);
+                                  return (
+                                    <label key={m.id} className="flex items-center gap-2 text-sm">
+                                      <input
+                                        type="checkbox"
+                                        checked={checked}
+                                        onChange={() =>
+                                          updateItem(idx, {
+                                            members: checked ? members.filter(x => x !== m.id) : [...members, m.id!]
+                                          })
+                                        }
+                                      />
+                                      {m.name || m.id}
+                                      <span className="text-white/50">{TYPE_LABELS[m.type || "movie"]}</span>
+                                    </label>
+                                  );
+                                })}
+                              </div>
+                              {!lists.some(m => m.id && m.id !== it.id && m.kind !== "composite") && (
+                                <div className="text-white/60 text-sm mt-1">Save some Trakt lists first to combine them.</div>
+                              )}
+                            </div>
+                          )}
+
                           <div className="mt-3 grid gap-2 sm:grid-cols-3">
                             <div>
                               <label className="text-sm text-white/70">Sort</label>
@@ -477,22 +863,21 @@ export default function ListsPanel() {
                                   updateItem(idx, { sortBy: e.target.value })
                                 }
                               >
-                                <option value="">—</option>
-                                <option value="rating">Rating</option>
-                                <option value="year">Year</option>
-                                <option value="runtime">Runtime</option>
-                                <option value="name">Name</option>
+                                {Object.keys(SORT_LABELS).map(key => (
+                                  <option key={key} value={key}>{SORT_LABELS[key]}</option>
+                                ))}
                               </select>
                             </div>
                             <div>
                               <label className="text-sm text-white/70">Order</label>
                               <select
                                 className="h-10 w-full rounded-md bg-[var(--color-surface-2)] border border-white/10 px-3"
-                                value={it.sortOrder || "desc"}
+                                value={it.sortOrder || ""}
                                 onChange={(e: React.ChangeEvent<HTMLSelectElement>) =>
                                   updateItem(idx, { sortOrder: e.target.value })
                                 }
                               >
+                                <option value="">Default</option>
                                 <option value="desc">Desc</option>
                                 <option value="asc">Asc</option>
                               </select>
@@ -543,24 +928,212 @@ export default function ListsPanel() {
                                 }
                               />
                             </div>
+                            <div>
+                              <label className="text-sm text-white/70">Shuffle</label>
+                              <select
+                                className="h-10 w-full rounded-md bg-[var(--color-surface-2)] border border-white/10 px-3"
+                                value={it.rotation || ""}
+                                onChange={(e: React.ChangeEvent<HTMLSelectElement>) =>
+                                  updateItem(idx, { rotation: e.target.value as ListItem["rotation"] })
+                                }
+                              >
+                                <option value="">Off</option>
+                                <option value="daily">New selection daily</option>
+                                <option value="weekly">New selection weekly</option>
+                              </select>
+                            </div>
+                            {it.rotation ? (
+                              <div>
+                                <label className="text-sm text-white/70">Sample size (empty = whole list)</label>
+                                <Input
+                                  type="number"
+                                  min={0}
+                                  value={it.rotationSize ? String(it.rotationSize) : ""}
+                                  onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+                                    updateItem(idx, { rotationSize: Math.max(0, parseInt(e.target.value, 10) || 0) })
+                                  }
+                                />
+                              </div>
+                            ) : null}
+                            <div>
+                              <label className="text-sm text-white/70">"Recently added" catalog (days, empty = off)</label>
+                              <Input
+                                type="number"
+                                min={0}
+                                max={365}
+                                value={it.recentDays ? String(it.recentDays) : ""}
+                                onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+                                  updateItem(idx, { recentDays: Math.min(365, Math.max(0, parseInt(e.target.value, 10) || 0)) })
+                                }
+                              />
+                            </div>
+                            <div>
+                              <label className="text-sm text-white/70">
+                                Mark new items (added in the last {it.recentDays || 7} days)
+                              </label>
+                              <select
+                                className="h-10 w-full rounded-md bg-[var(--color-surface-2)] border border-white/10 px-3"
+                                value={it.newMarker || ""}
+                                onChange={(e: React.ChangeEvent<HTMLSelectElement>) =>
+                                  updateItem(idx, { newMarker: e.target.value as ListItem["newMarker"] })
+                                }
+                              >
+                                <option value="">Off</option>
+                                <option value="name">"NEW" before the title</option>
+                                <option value="description">"NEW" in the description</option>
+                              </select>
+                            </div>
+                            <div>
+                              <label className="text-sm text-white/70">Catalog type</label>
+                              <select
+                                className="h-10 w-full rounded-md bg-[var(--color-surface-2)] border border-white/10 px-3"
+                                value={it.catalogType || ""}
+                                onChange={(e: React.ChangeEvent<HTMLSelectElement>) =>
+                                  updateItem(idx, { catalogType: e.target.value as ListItem["catalogType"] })
+                                }
+                              >
+                                <option value="">Default (add‑on setting)</option>
+                                <option value="custom">Own section</option>
+                                <option value="native">Movies / Series boards</option>
+                              </select>
+                            </div>
                           </div>
 
-                          <div className="mt-2">
-                            <label className="text-sm text-white/70">Hide unreleased</label>
-                            <div className="h-10 flex items-center">
-                              <Switch
-                                checked={hideAll || !!it.hideUnreleased}
-                                onCheckedChange={(v: boolean) => updateItem(idx, { hideUnreleased: v })}
-                                disabled={hideAll}
-                              />
+                          <div className="mt-2 grid gap-2 sm:grid-cols-3">
+                            <div>
+                              <label className="text-sm text-white/70">Hide unreleased</label>
+                              <div className="h-10 flex items-center">
+                                <Switch
+                                  checked={hideAll || !!it.hideUnreleased}
+                                  onCheckedChange={(v: boolean) => updateItem(idx, { hideUnreleased: v })}
+                                  disabled={hideAll}
+                                />
+                              </div>
+                            </div>
+                            <div>
+                              <label className="text-sm text-white/70">Hide watched</label>
+                              <div className="h-10 flex items-center">
+                                <Switch
+                                  checked={hideWatchedAll || !!it.hideWatched}
+                                  onCheckedChange={(v: boolean) => updateItem(idx, { hideWatched: v })}
+                                  disabled={hideWatchedAll}
+                                />
+                              </div>
+                            </div>
+                            <div>
+                              <label className="text-sm text-white/70">Show on Home board</label>
+                              <div className="h-10 flex items-center">
+                                <Switch
+                                  checked={it.showInHome !== false}
+                                  onCheckedChange={(v: boolean) => updateItem(idx, { showInHome: v })}
+                                />
+                              </div>
+                            </div>
+                          </div>
+
+                          <div className="mt-3">
+                            <label className="text-sm text-white/70">Extra options in Stremio's genre picker</label>
+                            <div className="mt-1 grid gap-2 sm:grid-cols-3">
+                              {(Object.keys(FACET_LABELS) as FacetGroup[]).map(g => (
+                                <div key={g} className="h-10 flex items-center gap-2">
+                                  <Switch
+                                    checked={(it.facets || []).includes(g)}
+                                    onCheckedChange={(v: boolean) =>
+                                      updateItem(idx, { facets: v ? [...(it.facets || []), g] : (it.facets || []).filter(x => x !== g) })
+                                    }
+                                  />
+                                  <span className="text-sm">{FACET_LABELS[g]}</span>
+                                </div>
+                              ))}
+                            </div>
+                            {(it.presets || []).map((p, pi) => (
+                              <div key={pi} className="mt-2 grid gap-2 sm:grid-cols-8 items-end">
+                                <div className="sm:col-span-2">
+                                  <label className="text-xs text-white/60">Preset name</label>
+                                  <Input
+                                    value={p.name}
+                                    onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+                                      updateItem(idx, { presets: (it.presets || []).map((x, j) => (j === pi ? { ...x, name: e.target.value } : x)) })
+                                    }
+                                    placeholder="e.g. 90s classics"
+                                  />
+                                </div>
+                                {PRESET_BOUNDS.map(([key, label]) => (
+                                  <div key={key}>
+                                    <label className="text-xs text-white/60">{label}</label>
+                                    <Input
+                                      type="number"
+                                      value={p[key] ?? ""}
+                                      onChange={(e: React.ChangeEvent<HTMLInputElement>) => {
+                                        const v = e.target.value === "" ? undefined : Number(e.target.value);
+                                        updateItem(idx, { presets: (it.presets || []).map((x, j) => (j === pi ? { ...x, [key]: v } : x)) });
+                                      }}
+                                    />
+                                  </div>
+                                ))}
+                                <div className="sm:col-span-8">
+                                  <Button
+                                    variant="secondary"
+                                    onClick={() => updateItem(idx, { presets: (it.presets || []).filter((_, j) => j !== pi) })}
+                                  >
+                                    Remove preset
+                                  </Button>
+                                </div>
+                              </div>
+                            ))}
+                            <div className="mt-2">
+                              <Button
+                                variant="secondary"
+                                onClick={() => updateItem(idx, { presets: [...(it.presets || []), { name: "" }] })}
+                              >
+                                Add preset
+                              </Button>
                             </div>
                           </div>
 
                           <div className="mt-3 flex gap-2">
-                            <Button variant="secondary" onClick={() => validate(it)}>Validate</Button>
-                            <Button variant="secondary" onClick={() => preview(it)}>Preview</Button>
+                            {it.kind !== "local" && (
+                              <>
+                                <Button variant="secondary" onClick={() => validate(it)}>Validate</Button>
+                                <Button variant="secondary" onClick={() => preview(it)}>Preview</Button>
+                              </>
+                            )}
+                            {it.id && it.kind !== "composite" && (
+                              <Button variant="secondary" onClick={() => toggleHistory(it.id!)}>
+                                {hist ? "Hide history" : "History"}
+                              </Button>
+                            )}
                             <Button variant="destructive" onClick={() => removeItem(it)}>Delete</Button>
                           </div>
+
+                          {hist && (
+                            <div className="mt-3 rounded-lg border border-white/10 p-3 text-sm">
+                              {!hist.changes.length && (
+                                <div className="text-white/60">
+                                  {hist.since
+                                    ? `No changes since ${new Date(hist.since.at).toLocaleString()}.`
+                                    : "No snapshots yet."}
+                                </div>
+                              )}
+                              {hist.changes.map(ch => (
+                                <div key={ch.at} className="py-2 border-b border-white/5 last:border-0">
+                                  <div className="text-white/70">
+                                    {new Date(ch.at).toLocaleString()} · {ch.itemCount} items
+                                  </div>
+                                  {ch.added.map(t => (
+                                    <div key={`+${t.id}`} className="text-emerald-400">
+                                      + {t.title}{t.year ? ` (${t.year})` : ""}
+                                    </div>
+                                  ))}
+                                  {ch.removed.map(t => (
+                                    <div key={`-${t.id}`} className="text-red-400">
+                                      − {t.title}{t.year ? ` (${t.year})` : ""}
+                                    </div>
+                                  ))}
+                                </div>
+                              ))}
+                            </div>
+                          )}
                         </Accordion.Content>
                       </Accordion.Item>
                     )}
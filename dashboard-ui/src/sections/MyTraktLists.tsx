@@ -2,13 +2,38 @@
 import React, { useEffect, useState } from "react";
 import { Card } from "../components/ui/card";
 import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
 
-type TList = { name: string; slug: string; privacy?: string };
+type TList = { id?: number | null; name: string; slug: string; privacy?: string; description?: string; item_count?: number };
+type TTitle = { imdb: string | null; type: "movie" | "series"; title: string; year: number | null };
+
+const PRIVACY = ["private", "link", "friends", "public"];
+
+const ERRORS: Record<string, string> = {
+  not_authorized: "Connect Trakt first",
+  list_limit_reached: "Your Trakt account has reached its list limit",
+  list_not_found: "List not found on Trakt",
+  validation_error: "Check the fields"
+};
+
+// Personal catalogs resolved server-side with the connected account's token
+const PERSONAL: { name: string; url: string }[] = [
+  { name: "Watchlist", url: "trakt:watchlist" },
+  { name: "Collection", url: "trakt:collection" },
+  { name: "Favorites", url: "trakt:favorites" },
+  { name: "Recommendations", url: "trakt:recommendations" }
+];
 
 export default function MyTraktLists(){
   const [lists, setLists] = useState<TList[]>([]);
   const [busy, setBusy] = useState(false);
   const [username, setUsername] = useState<string>("me"); // server will use /users/me when authorized
+  const [draft, setDraft] = useState({ name: "", description: "", privacy: "private" });
+  const [notice, setNotice] = useState("");
+  const [open, setOpen] = useState<string | null>(null); // slug of the list whose items are shown
+  const [items, setItems] = useState<TTitle[]>([]);
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState<TTitle[]>([]);
 
   async function load(){
     setBusy(true);
@@ -20,33 +45,211 @@ export default function MyTraktLists(){
   }
   useEffect(()=>{ load(); }, []);
 
-  async function add(l: TList){
-    // Add to config lists with a canonical Trakt URL
-    const url = `https://trakt.tv/users/${username}/lists/${l.slug}`;
+  async function addUrl(name: string, url: string){
     const r = await fetch(`/api/config?ts=${Date.now()}`, { credentials:"include", cache:"no-store" });
     const cfg = r.ok ? await r.json() : { lists: [] };
-    const next = [{ name: l.name, url, type: "movie", enabled: true }, ...(cfg.lists || [])];
+    const next = [{ name, url, type: "movie", enabled: true }, ...(cfg.lists || [])];
     await fetch(`/api/config`, {
       method:"POST",
       credentials:"include",
       headers:{ "Content-Type":"application/json" },
       body: JSON.stringify({ lists: next })
     });
-    alert(`Added "${l.name}"`);
+    alert(`Added "${name}"`);
+  }
+
+  // JSON call to the write-back endpoints; resolves with the body, or null after setting a notice
+  async function send(path: string, method: string, body?: unknown){
+    const r = await fetch(path, {
+      method,
+      credentials:"include",
+      headers:{ "Content-Type":"application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await r.json().catch(() => null);
+    if (!r.ok) { setNotice(ERRORS[data?.error] || "Trakt request failed"); return null; }
+    return data;
+  }
+  const listPath = (l: TList) => `/api/trakt/me/lists/${encodeURIComponent(String(l.id ?? l.slug))}`;
+  const synced = (data: { affectedLists?: string[] }) =>
+    data.affectedLists?.length ? ` · ${data.affectedLists.length} catalog(s) updated` : "";
+
+  async function create(){
+    if (!draft.name.trim()) return;
+    const data = await send("/api/trakt/me/lists", "POST", draft);
+    if (!data) return;
+    setDraft({ name: "", description: "", privacy: "private" });
+    setNotice(`Created "${data.name}"`);
+    await load();
+  }
+
+  async function rename(l: TList){
+    const name = prompt("New name", l.name)?.trim();
+    if (!name || name === l.name) return;
+    const data = await send(listPath(l), "PATCH", { name });
+    if (!data) return;
+    setNotice(`Renamed to "${data.name}"${synced(data)}`);
+    if (open === l.slug) setOpen(data.slug);
+    await load();
+  }
+
+  async function remove(l: TList){
+    if (!confirm(`Delete "${l.name}" on Trakt? This cannot be undone.`)) return;
+    const data = await send(listPath(l), "DELETE");
+    if (!data) return;
+    setNotice(`Deleted "${l.name}"${data.affectedLists?.length ? ` · ${data.affectedLists.length} catalog(s) disabled` : ""}`);
+    if (open === l.slug) setOpen(null);
+    await load();
+  }
+
+  async function loadItems(l: TList){
+    const r = await fetch(`${listPath(l)}/items?ts=${Date.now()}`, { credentials:"include", cache:"no-store" });
+    const data = r.ok ? await r.json() : null;
+    setItems(data?.items || []);
+  }
+
+  async function toggleItems(l: TList){
+    if (open === l.slug) { setOpen(null); return; }
+    setOpen(l.slug);
+    setQuery("");
+    setResults([]);
+    await loadItems(l);
+  }
+
+  async function search(){
+    const q = query.trim();
+    if (!q) return;
+    const r = await fetch(`/api/trakt/search?q=${encodeURIComponent(q)}`, { credentials:"include", cache:"no-store" });
+    setResults(r.ok ? await r.json() : []);
+  }
+
+  // entries: search results, or bare IMDb ids typed into the search box
+  async function addItems(l: TList, entries: { imdb: string; type?: string }[]){
+    const data = await send(`${listPath(l)}/items`, "POST", { items: entries });
+    if (!data) return;
+    setNotice([
+      `Added ${data.added}`,
+      data.existing ? `${data.existing} already on the list` : "",
+      data.notFound?.length ? `not found: ${data.notFound.join(", ")}` : ""
+    ].filter(Boolean).join(" · ") + synced(data));
+    await loadItems(l);
+  }
+
+  async function removeItem(l: TList, t: TTitle){
+    if (!t.imdb) return;
+    const data = await send(`${listPath(l)}/items`, "DELETE", { items: [{ imdb: t.imdb, type: t.type }] });
+    if (!data) return;
+    setNotice(`Removed "${t.title}"${synced(data)}`);
+    await loadItems(l);
+  }
+
+  function searchOrAdd(l: TList){
+    const ids = Array.from(new Set((query.match(/tt\d{5,}/gi) || []).map(x => x.toLowerCase())));
+    if (ids.length) { addItems(l, ids.map(imdb => ({ imdb }))); setQuery(""); }
+    else search();
+  }
+
+  async function add(l: TList){
+    // Add to config lists with a canonical Trakt URL
+    await addUrl(l.name, `https://trakt.tv/users/${username}/lists/${l.slug}`);
   }
 
   if (busy) return <Card className="bg-surface-2 border-white/10 p-6">Loading…</Card>;
-  if (!lists.length) return <Card className="bg-surface-2 border-white/10 p-6">No Trakt lists found or not connected.</Card>;
+
+  const personal = (
+    <Card className="bg-surface-2 border-white/10 p-4">
+      <div className="font-semibold mb-2">Personal catalogs</div>
+      <div className="flex flex-wrap gap-2">
+        {PERSONAL.map(p => (
+          <Button key={p.url} variant="secondary" onClick={()=>addUrl(p.name, p.url)}>Add {p.name}</Button>
+        ))}
+      </div>
+    </Card>
+  );
+
+  const createForm = (
+    <Card className="bg-surface-2 border-white/10 p-4">
+      <div className="font-semibold mb-2">New Trakt list</div>
+      <div className="flex flex-wrap gap-2 items-center">
+        <div className="w-56">
+          <Input placeholder="Name" value={draft.name}
+            onChange={(e: React.ChangeEvent<HTMLInputElement>) => setDraft({ ...draft, name: e.target.value })} />
+        </div>
+        <div className="w-72">
+          <Input placeholder="Description (optional)" value={draft.description}
+            onChange={(e: React.ChangeEvent<HTMLInputElement>) => setDraft({ ...draft, description: e.target.value })} />
+        </div>
+        <select
+          className="h-10 rounded-md bg-[var(--color-surface-2)] border border-white/10 px-3"
+          value={draft.privacy}
+          onChange={(e: React.ChangeEvent<HTMLSelectElement>) => setDraft({ ...draft, privacy: e.target.value })}
+        >
+          {PRIVACY.map(p => <option key={p} value={p}>{p}</option>)}
+        </select>
+        <Button onClick={create} disabled={!draft.name.trim()}>Create</Button>
+      </div>
+      {notice && <div className="text-sm text-white/70 mt-2">{notice}</div>}
+    </Card>
+  );
+
+  if (!lists.length) return (
+    <div className="space-y-3">
+      {personal}
+      {createForm}
+      <Card className="bg-surface-2 border-white/10 p-6">No Trakt lists found or not connected.</Card>
+    </div>
+  );
 
   return (
     <div className="space-y-3">
-      {lists.map((l, i) => (
-        <Card key={i} className="bg-surface-2 border-white/10 p-4 flex items-center justify-between">
-          <div>
-            <div className="font-semibold">{l.name}</div>
-            <div className="text-xs text-muted">/{l.slug}</div>
+      {personal}
+      {createForm}
+      {lists.map(l => (
+        <Card key={l.slug} className="bg-surface-2 border-white/10 p-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <div className="font-semibold">{l.name}</div>
+              <div className="text-xs text-muted">/{l.slug} · {l.privacy} · {l.item_count ?? 0} items</div>
+            </div>
+            <div className="flex gap-2">
+              <Button variant="secondary" onClick={()=>toggleItems(l)}>{open === l.slug ? "Hide items" : "Items"}</Button>
+              <Button variant="secondary" onClick={()=>rename(l)}>Rename</Button>
+              <Button variant="secondary" onClick={()=>remove(l)}>Delete</Button>
+              <Button onClick={()=>add(l)}>Add</Button>
+            </div>
           </div>
-          <Button onClick={()=>add(l)}>Add</Button>
+          {open === l.slug && (
+            <div className="mt-3 rounded-lg border border-white/10 p-3 text-sm">
+              <div className="flex gap-2">
+                <Input
+                  placeholder="Search titles, or IMDb ids e.g. tt0133093"
+                  value={query}
+                  onChange={(e: React.ChangeEvent<HTMLInputElement>) => setQuery(e.target.value)}
+                  onKeyDown={(e: React.KeyboardEvent<HTMLInputElement>) => { if (e.key === "Enter") searchOrAdd(l); }}
+                />
+                <Button onClick={()=>searchOrAdd(l)} disabled={!query.trim()}>Go</Button>
+              </div>
+              {results.length > 0 && (
+                <ul className="mt-2 space-y-1">
+                  {results.map(t => (
+                    <li key={`${t.type}:${t.imdb}`} className="flex items-center justify-between gap-2">
+                      <span>{t.title}{t.year ? ` (${t.year})` : ""} · {t.type}</span>
+                      <Button variant="secondary" onClick={()=>t.imdb && addItems(l, [{ imdb: t.imdb, type: t.type }])}>Add</Button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <ul className="mt-3 space-y-1">
+                {items.map(t => (
+                  <li key={`${t.type}:${t.imdb}`} className="flex items-center justify-between gap-2">
+                    <span>{t.title}{t.year ? ` (${t.year})` : ""} <span className="text-white/50">{t.imdb}</span></span>
+                    <Button variant="secondary" onClick={()=>removeItem(l, t)} disabled={!t.imdb}>Remove</Button>
+                  </li>
+                ))}
+                {!items.length && <li className="text-white/60">No titles yet.</li>}
+              </ul>
+            </div>
+          )}
         </Card>
       ))}
     </div>
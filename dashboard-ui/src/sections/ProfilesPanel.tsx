@@ -0,0 +1,215 @@
+// dashboard-ui/src/sections/ProfilesPanel.tsx
+import React, { useEffect, useState } from "react";
+import { Card } from "../components/ui/card";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import { Switch } from "../components/ui/switch";
+import { useNotify } from "../context/notify";
+
+// One addon profile (GET /api/profiles): its own manifest, lists and filters
+type Profile = {
+  id: string;
+  name: string;
+  catalogPrefix: string;
+  listIds: string[];
+  hideUnreleasedAll: boolean;
+  hideWatchedAll: boolean;
+  hideTraktHidden: boolean;
+  version: string;
+};
+// Install links come back only when a profile token is issued (create, new link)
+type Links = { manifestUrl: string; stremioLink: string };
+type SavedList = { id: string; name: string };
+type Flag = "hideUnreleasedAll" | "hideWatchedAll" | "hideTraktHidden";
+
+const FLAGS: { key: Flag; label: string }[] = [
+  { key: "hideUnreleasedAll", label: "Hide unreleased" },
+  { key: "hideWatchedAll", label: "Hide watched" },
+  { key: "hideTraktHidden", label: "Also hide titles hidden on Trakt" }
+];
+
+export default function ProfilesPanel(){
+  const { show } = useNotify();
+  const [profiles, setProfiles] = useState<Profile[]>([]);
+  const [drafts, setDrafts] = useState<Record<string, Profile>>({});
+  const [lists, setLists] = useState<SavedList[]>([]);
+  const [newName, setNewName] = useState("");
+  const [links, setLinks] = useState<Record<string, Links>>({});
+
+  async function load(){
+    const [p, c] = await Promise.all([
+      fetch(`/api/profiles?ts=${Date.now()}`, { credentials:"include", cache:"no-store" }),
+      fetch(`/api/config?ts=${Date.now()}`, { credentials:"include", cache:"no-store" })
+    ]);
+    const data: Profile[] = p.ok ? await p.json() : [];
+    const cfg = c.ok ? await c.json() : { lists: [] };
+    setProfiles(data);
+    setDrafts(Object.fromEntries(data.map(x => [x.id, x])));
+    setLists((cfg.lists || []).filter((l: { id?: string }) => !!l.id));
+  }
+  useEffect(()=>{ load(); }, []);
+
+  async function send(path: string, method: string, body?: unknown){
+    const r = await fetch(path, {
+      method,
+      credentials:"include",
+      headers:{ "Content-Type":"application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    if (!r.ok){
+      const data = await r.json().catch(() => null);
+      show({ kind:"err", text: data?.error === "profile_limit_reached" ? "Profile limit reached." : "Saving the profile failed." });
+      return null;
+    }
+    return r.status === 204 ? {} : await r.json().catch(() => ({}));
+  }
+
+  function keepLinks(out: (Profile & Partial<Links>) | null){
+    if (out?.manifestUrl && out.stremioLink) setLinks(prev => ({ ...prev, [out.id]: { manifestUrl: out.manifestUrl!, stremioLink: out.stremioLink! } }));
+  }
+
+  async function create(){
+    const name = newName.trim();
+    if (!name) return;
+    const out = await send("/api/profiles", "POST", { name });
+    if (out){
+      keepLinks(out);
+      setNewName("");
+      await load();
+    }
+  }
+
+  function edit(id: string, patch: Partial<Profile>){
+    setDrafts(prev => ({ ...prev, [id]: { ...prev[id], ...patch } }));
+  }
+
+  function toggleList(d: Profile, listId: string){
+    const listIds = d.listIds.includes(listId) ? d.listIds.filter(x => x !== listId) : d.listIds.concat(listId);
+    edit(d.id, { listIds });
+  }
+
+  function move(d: Profile, listId: string, delta: number){
+    const from = d.listIds.indexOf(listId);
+    const to = from + delta;
+    if (from < 0 || to < 0 || to >= d.listIds.length) return;
+    const listIds = d.listIds.slice();
+    listIds.splice(to, 0, ...listIds.splice(from, 1));
+    edit(d.id, { listIds });
+  }
+
+  async function save(d: Profile){
+    const body = {
+      name: d.name,
+      catalogPrefix: d.catalogPrefix,
+      listIds: d.listIds,
+      hideUnreleasedAll: d.hideUnreleasedAll,
+      hideWatchedAll: d.hideWatchedAll,
+      hideTraktHidden: d.hideTraktHidden
+    };
+    if (await send(`/api/profiles/${encodeURIComponent(d.id)}`, "PATCH", body)){
+      show({ kind:"ok", text:`Saved "${d.name}".` });
+      await load();
+    }
+  }
+
+  async function rotate(p: Profile){
+    if (!confirm(`Create a new link for "${p.name}"? The installed addon stops working until it is reinstalled.`)) return;
+    const out = await send(`/api/profiles/${encodeURIComponent(p.id)}/token`, "POST");
+    if (out){
+      keepLinks(out);
+      await load();
+    }
+  }
+
+  async function remove(p: Profile){
+    if (!confirm(`Delete profile "${p.name}"?`)) return;
+    if (await send(`/api/profiles/${encodeURIComponent(p.id)}`, "DELETE")) await load();
+  }
+
+  async function copy(url: string){
+    try{ await navigator.clipboard.writeText(url); show({ kind:"ok", text:"Manifest copied." }); }
+    catch{ show({ kind:"err", text:"Copy failed." }); }
+  }
+
+  const nameOf = (id: string) => lists.find(l => l.id === id)?.name || id;
+
+  return (
+    <div className="space-y-3">
+      <Card className="bg-surface-2 border-white/10 p-6">
+        <div className="font-semibold mb-1">Profiles</div>
+        <div className="text-sm text-white/60 mb-3">
+          Extra addons from this account, each with its own lists, name and filters (for example "Kids" and "Adults").
+          The install link is shown when a profile is created or gets a new link; more devices can be added under Devices.
+        </div>
+        <div className="flex gap-2 items-center">
+          <div className="w-56">
+            <Input placeholder="Profile name" value={newName}
+              onChange={(e: React.ChangeEvent<HTMLInputElement>) => setNewName(e.target.value)} />
+          </div>
+          <Button onClick={create} disabled={!newName.trim()}>Add profile</Button>
+        </div>
+      </Card>
+
+      {profiles.map(p => {
+        const d = drafts[p.id] || p;
+        const link = links[p.id];
+        return (
+          <Card key={p.id} className="bg-surface-2 border-white/10 p-6 space-y-3">
+            <div className="flex flex-wrap gap-2 items-center justify-between">
+              <div className="font-semibold">{p.name} <span className="text-xs text-white/50">v{p.version}</span></div>
+              <div className="flex gap-2">
+                {link && <Button variant="secondary" onClick={() => copy(link.manifestUrl)}>Copy manifest</Button>}
+                {link && <a className="inline-flex items-center px-3 py-2 rounded-md border border-white/10 bg-surface-3" href={link.stremioLink}>Install</a>}
+                <Button variant="secondary" onClick={() => rotate(p)}>New link</Button>
+                <Button variant="secondary" onClick={() => remove(p)}>Delete</Button>
+              </div>
+            </div>
+            <div className="grid sm:grid-cols-2 gap-2">
+              <div>
+                <label className="text-sm text-white/70">Addon name</label>
+                <Input value={d.name} onChange={(e: React.ChangeEvent<HTMLInputElement>) => edit(p.id, { name: e.target.value })} />
+              </div>
+              <div>
+                <label className="text-sm text-white/70">Catalog prefix</label>
+                <Input value={d.catalogPrefix} onChange={(e: React.ChangeEvent<HTMLInputElement>) => edit(p.id, { catalogPrefix: e.target.value })} />
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-4">
+              {FLAGS.map(f => (
+                <label key={f.key} className="flex items-center gap-2 text-sm">
+                  <Switch checked={d[f.key]} onCheckedChange={(v: boolean) => edit(p.id, { [f.key]: v } as Partial<Profile>)} />
+                  {f.label}
+                </label>
+              ))}
+            </div>
+            <div className="text-sm">
+              <div className="text-white/70 mb-1">Catalogs, in order</div>
+              <ul className="space-y-1">
+                {d.listIds.map((id, i) => (
+                  <li key={id} className="flex items-center justify-between gap-2">
+                    <span>{i + 1}. {nameOf(id)}</span>
+                    <div className="flex gap-1">
+                      <Button variant="secondary" onClick={() => move(d, id, -1)} disabled={i === 0}>↑</Button>
+                      <Button variant="secondary" onClick={() => move(d, id, 1)} disabled={i === d.listIds.length - 1}>↓</Button>
+                      <Button variant="secondary" onClick={() => toggleList(d, id)}>Remove</Button>
+                    </div>
+                  </li>
+                ))}
+                {!d.listIds.length && <li className="text-white/60">No catalogs yet.</li>}
+              </ul>
+              <div className="flex flex-wrap gap-2 mt-2">
+                {lists.filter(l => !d.listIds.includes(l.id)).map(l => (
+                  <Button key={l.id} variant="secondary" onClick={() => toggleList(d, l.id)}>+ {l.name}</Button>
+                ))}
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <Button onClick={() => save(d)} disabled={!d.name.trim()}>Save profile</Button>
+              <Button variant="secondary" onClick={() => edit(p.id, p)}>Reset</Button>
+            </div>
+          </Card>
+        );
+      })}
+    </div>
+  );
+}
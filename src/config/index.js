@@ -32,6 +32,10 @@ const cfg = {
     secret: process.env.ADDON_SIGNING_SECRET || '',
     ttlSeconds: parseInt(process.env.ADDON_LINK_TTL_SECONDS || '604800', 10)
   },
+  // Account-less installs (/c/:config/…); requireSigned only serves configs signed with ADDON_SIGNING_SECRET
+  stateless: {
+    requireSigned: String(process.env.STATELESS_REQUIRE_SIGNED || '').toLowerCase() === 'true'
+  },
   trakt: {
     clientId: process.env.TRAKT_CLIENT_ID || '',
     clientSecret: process.env.TRAKT_CLIENT_SECRET || '',
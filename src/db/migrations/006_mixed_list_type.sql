@@ -0,0 +1,4 @@
+-- Allow "mixed" lists (movies and shows from the same Trakt list in one catalog)
+
+ALTER TABLE list_config DROP CONSTRAINT IF EXISTS chk_list_config_type;
+ALTER TABLE list_config ADD CONSTRAINT chk_list_config_type CHECK (type IN ('movie', 'series', 'mixed'));
@@ -0,0 +1,14 @@
+-- Per-list options beyond the core columns (filters, composite members/operator, ...)
+-- "kind" distinguishes Trakt-backed lists from composite lists built from other lists.
+
+ALTER TABLE list_config
+  ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'trakt',
+  ADD COLUMN IF NOT EXISTS options JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Added only when missing: migrations rerun on every start and 015 widens this check to local lists
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_list_config_kind') THEN
+    ALTER TABLE list_config ADD CONSTRAINT chk_list_config_kind CHECK (kind IN ('trakt', 'composite'));
+  END IF;
+END $$;
@@ -0,0 +1,8 @@
+-- Locally cached copy of each user's Trakt watched/hidden state (used by hideWatched).
+-- "state" holds imdb id arrays plus the last_activities timestamps they were synced at.
+
+CREATE TABLE IF NOT EXISTS trakt_watched (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  state JSONB NOT NULL DEFAULT '{}'::jsonb,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
@@ -0,0 +1,15 @@
+-- Local mirror of each list's Trakt items. Catalog filtering, sorting and paging read from here;
+-- a background sync refreshes it when Trakt's updated_at / item_count for the list change.
+
+CREATE TABLE IF NOT EXISTS list_mirror (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  list_id TEXT NOT NULL,
+  url TEXT NOT NULL DEFAULT '',
+  type TEXT NOT NULL DEFAULT 'movie',
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  item_count INT,
+  source_updated_at TIMESTAMPTZ,
+  synced_at TIMESTAMPTZ,
+  checked_at TIMESTAMPTZ,
+  PRIMARY KEY (user_id, list_id)
+);
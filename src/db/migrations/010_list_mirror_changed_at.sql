@@ -0,0 +1,3 @@
+-- When delta refresh last saw a list's contents change (dashboard "last changed"); checked_at is the last check.
+
+ALTER TABLE list_mirror ADD COLUMN IF NOT EXISTS changed_at TIMESTAMPTZ;
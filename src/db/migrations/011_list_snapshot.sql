@@ -0,0 +1,14 @@
+-- Periodic snapshots of each list's items (id, title, year, type) for the change history view.
+-- A row is written when a list's membership differs from its latest snapshot; old rows are trimmed per list.
+
+CREATE TABLE IF NOT EXISTS list_snapshot (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  list_id TEXT NOT NULL,
+  url TEXT NOT NULL DEFAULT '',
+  taken_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  item_count INT NOT NULL DEFAULT 0,
+  items JSONB NOT NULL DEFAULT '[]'::jsonb
+);
+
+CREATE INDEX IF NOT EXISTS idx_list_snapshot_list ON list_snapshot(user_id, list_id, taken_at DESC);
@@ -0,0 +1,11 @@
+-- Items of lists that live in this addon rather than on Trakt (file imports).
+-- Items keep the Trakt list item shape so catalogs filter and sort them like mirrored lists.
+
+CREATE TABLE IF NOT EXISTS local_list (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  list_id TEXT NOT NULL,
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  source JSONB,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, list_id)
+);
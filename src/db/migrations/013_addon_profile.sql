@@ -0,0 +1,11 @@
+-- Addon profiles: extra manifests per account, each with its own name, catalog prefix,
+-- subset/order of lists, global filters, addon token and manifest revision (kept in data).
+
+CREATE TABLE IF NOT EXISTS addon_profile (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  id TEXT NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, id)
+);
@@ -0,0 +1,11 @@
+-- Per-device addon tokens. Only a SHA-256 hash of each token is stored (in data), together with
+-- its name, optional profile scope, expiry, last use and revocation time.
+
+CREATE TABLE IF NOT EXISTS addon_device_token (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  id TEXT NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, id)
+);
@@ -0,0 +1,4 @@
+-- Allow "local" lists (file imports and hand-built lists whose items live in local_list)
+
+ALTER TABLE list_config DROP CONSTRAINT IF EXISTS chk_list_config_kind;
+ALTER TABLE list_config ADD CONSTRAINT chk_list_config_kind CHECK (kind IN ('trakt', 'composite', 'local'));
@@ -4,6 +4,42 @@
 const { getPg } = require('./pg');
 const { logger } = require('../utils/logger');
 
+// list_config columns; every other list field round-trips through the options JSONB column
+const LIST_CORE_FIELDS = new Set([
+  'id', 'userId', 'user_id', 'name', 'url', 'type', 'sortBy', 'sortOrder', 'enabled', 'order', 'kind',
+  'createdAt', 'updatedAt', 'created_at', 'updated_at', 'options'
+]);
+
+function listOptions(list) {
+  const out = {};
+  for (const key of Object.keys(list || {})) {
+    if (!LIST_CORE_FIELDS.has(key) && list[key] !== undefined) out[key] = list[key];
+  }
+  return out;
+}
+
+/**
+ * Map a list_config row to the camelCase shape the filesystem backend stores
+ */
+function rowToList(row) {
+  const options = row.options && typeof row.options === 'object' ? row.options : {};
+  return {
+    ...options,
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    url: row.url,
+    type: row.type,
+    sortBy: row.sort_by || '',
+    sortOrder: row.sort_order || '',
+    enabled: row.enabled !== false,
+    order: row.order,
+    kind: row.kind || 'trakt',
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
 /**
  * Optimized user queries with proper indexing usage
  */
@@ -141,7 +177,7 @@ const optimizedQueries = {
       
       lists.forEach((list, index) => {
         const startParam = paramIndex;
-        placeholders.push(`($${startParam}, $${startParam + 1}, $${startParam + 2}, $${startParam + 3}, $${startParam + 4}, $${startParam + 5}, $${startParam + 6}, $${startParam + 7}, $${startParam + 8}, NOW(), NOW())`);
+        placeholders.push(`($${startParam}, $${startParam + 1}, $${startParam + 2}, $${startParam + 3}, $${startParam + 4}, $${startParam + 5}, $${startParam + 6}, $${startParam + 7}, $${startParam + 8}, $${startParam + 9}, $${startParam + 10}, NOW(), NOW())`);
         values.push(
           list.id,
           userId,
@@ -151,14 +187,16 @@ const optimizedQueries = {
           list.sortBy || null,
           list.sortOrder || null,
           !!list.enabled,
-          list.order || index
+          list.order || index,
+          list.kind || 'trakt',
+          JSON.stringify(listOptions(list))
         );
-        paramIndex += 9;
+        paramIndex += 11;
       });
       
       if (placeholders.length > 0) {
         const insertQuery = `
-          INSERT INTO list_config(id, user_id, name, url, type, sort_by, sort_order, enabled, "order", created_at, updated_at)
+          INSERT INTO list_config(id, user_id, name, url, type, sort_by, sort_order, enabled, "order", kind, options, created_at, updated_at)
           VALUES ${placeholders.join(', ')}
         `;
         
@@ -349,4 +387,6 @@ const optimizedQueries = {
   }
 };
 
+optimizedQueries.rowToList = rowToList;
+
 module.exports = optimizedQueries;
\ No newline at end of file
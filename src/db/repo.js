@@ -3,6 +3,8 @@
 // - manifestVersion (get/bump) per user
 // - lastAutoRefreshAt / lastManualRefreshAt per user (get/set)
 // - listUsers helper for Admin
+// - cached copy of the user's Trakt watched/hidden state
+// - per-list item mirror (FS: one file per list under <dataDir>/mirrors/<userId>/)
 // - safe PG + FS support without breaking existing flows
 
 const { v4: uuidv4 } = require('uuid');
@@ -11,6 +13,7 @@ const fsp = require('fs').promises;
 const path = require('path');
 const os = require('os');
 
+const { Pool } = require('pg');
 const { getPg } = require('./pg');
 const fsdb = require('./fs');
 const cfg = require('../config');
@@ -53,7 +56,10 @@ async function readUserDoc(userId) {
 }
 
 async function writeUserDocAtomic(userId, doc) {
-  const file = userFile(userId);
+  await writeJsonAtomic(userFile(userId), doc);
+}
+
+async function writeJsonAtomic(file, doc) {
   ensureDirSync(path.dirname(file));
   const base = path.basename(file);
   const tmp = path.join(
@@ -80,6 +86,23 @@ async function writeUserDocAtomic(userId, doc) {
     }
   }
 }
+function safeSegment(s) {
+  return String(s || '').replace(/[^A-Za-z0-9_-]/g, '');
+}
+
+function mirrorFile(userId, listId) {
+  return path.join(DATA_DIR, 'mirrors', safeSegment(userId), `${safeSegment(listId)}.json`);
+}
+// checkedAt of an unchanged mirror, kept beside it so a check doesn't rewrite every item
+function mirrorCheckFile(userId, listId) {
+  return path.join(DATA_DIR, 'mirrors', safeSegment(userId), 'checked', `${safeSegment(listId)}.json`);
+}
+function snapshotFile(userId, listId) {
+  return path.join(DATA_DIR, 'snapshots', safeSegment(userId), `${safeSegment(listId)}.json`);
+}
+function localListFile(userId, listId) {
+  return path.join(DATA_DIR, 'local-lists', safeSegment(userId), `${safeSegment(listId)}.json`);
+}
 /* --------------------------------------------------- */
 
 async function initDb() {
@@ -132,6 +155,76 @@ async function initDb() {
         updated_at TIMESTAMPTZ DEFAULT NOW()
       );
     `).catch(() => {});
+    await pg.query(`
+      ALTER TABLE list_config
+        ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'trakt',
+        ADD COLUMN IF NOT EXISTS options JSONB NOT NULL DEFAULT '{}'::jsonb;
+    `).catch(() => {});
+    await pg.query(`
+      CREATE TABLE IF NOT EXISTS list_mirror (
+        user_id UUID NOT NULL,
+        list_id TEXT NOT NULL,
+        url TEXT NOT NULL DEFAULT '',
+        type TEXT NOT NULL DEFAULT 'movie',
+        items JSONB NOT NULL DEFAULT '[]'::jsonb,
+        item_count INT,
+        source_updated_at TIMESTAMPTZ,
+        synced_at TIMESTAMPTZ,
+        checked_at TIMESTAMPTZ,
+        changed_at TIMESTAMPTZ,
+        PRIMARY KEY (user_id, list_id)
+      );
+    `).catch(() => {});
+    await pg.query(`ALTER TABLE list_mirror ADD COLUMN IF NOT EXISTS changed_at TIMESTAMPTZ;`).catch(() => {});
+    await pg.query(`
+      CREATE TABLE IF NOT EXISTS list_snapshot (
+        id BIGSERIAL PRIMARY KEY,
+        user_id UUID NOT NULL,
+        list_id TEXT NOT NULL,
+        url TEXT NOT NULL DEFAULT '',
+        taken_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        item_count INT NOT NULL DEFAULT 0,
+        items JSONB NOT NULL DEFAULT '[]'::jsonb
+      );
+      CREATE INDEX IF NOT EXISTS idx_list_snapshot_list ON list_snapshot(user_id, list_id, taken_at DESC);
+    `).catch(() => {});
+    await pg.query(`
+      CREATE TABLE IF NOT EXISTS local_list (
+        user_id UUID NOT NULL,
+        list_id TEXT NOT NULL,
+        items JSONB NOT NULL DEFAULT '[]'::jsonb,
+        source JSONB,
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (user_id, list_id)
+      );
+    `).catch(() => {});
+    await pg.query(`
+      CREATE TABLE IF NOT EXISTS addon_profile (
+        user_id UUID NOT NULL,
+        id TEXT NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        data JSONB NOT NULL DEFAULT '{}'::jsonb,
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (user_id, id)
+      );
+    `).catch(() => {});
+    await pg.query(`
+      CREATE TABLE IF NOT EXISTS addon_device_token (
+        user_id UUID NOT NULL,
+        id TEXT NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        data JSONB NOT NULL DEFAULT '{}'::jsonb,
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (user_id, id)
+      );
+    `).catch(() => {});
+    await pg.query(`
+      CREATE TABLE IF NOT EXISTS trakt_watched (
+        user_id UUID PRIMARY KEY,
+        state JSONB NOT NULL DEFAULT '{}'::jsonb,
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `).catch(() => {});
     
     // Session management tables
     await pg.query(`
@@ -170,6 +263,30 @@ async function initDb() {
   }
 }
 
+// Replace a user's rows in a (user_id, id, position, data) table in one transaction. getPg() hands back
+// a Pool (production / USE_DB_POOL) or one already-connected Client (dev): a Pool lends a client for the
+// transaction, a Client runs it itself (it has no connect()/release() to call again).
+async function replaceUserRows(pg, table, userId, list) {
+  const pooled = pg instanceof Pool;
+  const conn = pooled ? await pg.connect() : pg;
+  try {
+    await conn.query('BEGIN');
+    await conn.query(`DELETE FROM ${table} WHERE user_id=$1`, [userId]);
+    for (let i = 0; i < list.length; i++) {
+      await conn.query(
+        `INSERT INTO ${table}(user_id, id, position, data, updated_at) VALUES ($1,$2,$3,$4,NOW())`,
+        [userId, String(list[i].id), i, JSON.stringify(list[i])]
+      );
+    }
+    await conn.query('COMMIT');
+  } catch (e) {
+    await conn.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    if (pooled) conn.release();
+  }
+}
+
 const repo = {
   // Users
   async createUser({ username, email, passwordHash, role = 'user', provider = 'local', provider_id = null, avatar_url = null, email_verified = false }) {
@@ -429,7 +546,9 @@ const repo = {
         `SELECT * FROM list_config WHERE user_id=$1 ORDER BY "order" NULLS LAST, created_at`,
         [userId]
       );
-      return rows;
+      // Same camelCase shape as the filesystem backend (extra options live in a JSONB column)
+      const { rowToList } = require('./optimizedQueries');
+      return rows.map(rowToList);
     } else {
       const doc = await readUserDoc(userId);
       const lists = Array.isArray(doc.lists) ? doc.lists : [];
@@ -487,6 +606,18 @@ const repo = {
     }
   },
 
+  // Drops the legacy plaintext token once it has been moved to a hashed device token
+  async clearAddonToken(userId) {
+    if (usePg) {
+      const pg = await getPg();
+      await pg.query(`UPDATE users SET addon_token=NULL WHERE id=$1`, [userId]);
+    } else {
+      const doc = await readUserDoc(userId);
+      delete doc.addonToken;
+      await writeUserDocAtomic(userId, doc);
+    }
+  },
+
   /* ===== Added: manifestVersion helpers ===== */
   async getManifestVersion(userId) {
     if (usePg) {
@@ -585,6 +716,315 @@ const repo = {
     }
   },
 
+  /* ===== Added: cached Trakt watched state ===== */
+  async getWatchedState(userId) {
+    if (usePg) {
+      const pg = await getPg();
+      const { rows } = await pg.query(`SELECT state FROM trakt_watched WHERE user_id=$1`, [userId]);
+      return rows && rows[0] ? rows[0].state : null;
+    } else {
+      const doc = await readUserDoc(userId);
+      return doc.traktWatched || null;
+    }
+  },
+
+  async saveWatchedState(userId, state) {
+    if (usePg) {
+      const pg = await getPg();
+      await pg.query(
+        `
+        INSERT INTO trakt_watched(user_id, state, updated_at)
+        VALUES ($1,$2,NOW())
+        ON CONFLICT(user_id) DO UPDATE
+          SET state=EXCLUDED.state,
+              updated_at=NOW()
+        `,
+        [userId, JSON.stringify(state)]
+      );
+    } else {
+      const doc = await readUserDoc(userId);
+      doc.traktWatched = state;
+      await writeUserDocAtomic(userId, doc);
+    }
+  },
+
+  /* ===== Added: per-list item mirror ===== */
+  // Mirror shape: { listId, url, type, items, itemCount, sourceUpdatedAt, syncedAt, checkedAt, changedAt }
+  async getListMirror(userId, listId) {
+    if (usePg) {
+      const pg = await getPg();
+      const { rows } = await pg.query(
+        `SELECT * FROM list_mirror WHERE user_id=$1 AND list_id=$2`,
+        [userId, String(listId)]
+      );
+      const r = rows && rows[0];
+      if (!r) return null;
+      const iso = (v) => (v ? new Date(v).toISOString() : null);
+      return {
+        listId: r.list_id,
+        url: r.url,
+        type: r.type,
+        items: Array.isArray(r.items) ? r.items : [],
+        itemCount: r.item_count,
+        sourceUpdatedAt: iso(r.source_updated_at),
+        syncedAt: iso(r.synced_at),
+        checkedAt: iso(r.checked_at),
+        changedAt: iso(r.changed_at)
+      };
+    } else {
+      try {
+        const buf = await fsp.readFile(mirrorFile(userId, listId));
+        const mirror = JSON.parse(buf.toString('utf8'));
+        const check = await fsp.readFile(mirrorCheckFile(userId, listId))
+          .then(b => JSON.parse(b.toString('utf8'))).catch(() => null);
+        if (check && check.checkedAt > (mirror.checkedAt || '')) mirror.checkedAt = check.checkedAt;
+        return mirror;
+      } catch {
+        return null;
+      }
+    }
+  },
+
+  async saveListMirror(userId, listId, mirror) {
+    if (usePg) {
+      const pg = await getPg();
+      await pg.query(
+        `
+        INSERT INTO list_mirror(user_id, list_id, url, type, items, item_count, source_updated_at, synced_at, checked_at, changed_at)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+        ON CONFLICT(user_id, list_id) DO UPDATE
+          SET url=EXCLUDED.url,
+              type=EXCLUDED.type,
+              items=EXCLUDED.items,
+              item_count=EXCLUDED.item_count,
+              source_updated_at=EXCLUDED.source_updated_at,
+              synced_at=EXCLUDED.synced_at,
+              checked_at=EXCLUDED.checked_at,
+              changed_at=EXCLUDED.changed_at
+        `,
+        [
+          userId, String(listId), mirror.url || '', mirror.type || 'movie',
+          JSON.stringify(mirror.items || []), mirror.itemCount ?? null,
+          mirror.sourceUpdatedAt || null, mirror.syncedAt || null, mirror.checkedAt || null,
+          mirror.changedAt || null
+        ]
+      );
+    } else {
+      await writeJsonAtomic(mirrorFile(userId, listId), { ...mirror, listId: String(listId) });
+      await fsp.unlink(mirrorCheckFile(userId, listId)).catch(() => {});
+    }
+  },
+
+  // Record that an unchanged mirror was checked against its source (no items are written)
+  async touchListMirror(userId, listId, checkedAt) {
+    if (usePg) {
+      const pg = await getPg();
+      await pg.query(
+        `UPDATE list_mirror SET checked_at=$3 WHERE user_id=$1 AND list_id=$2`,
+        [userId, String(listId), checkedAt]
+      );
+    } else {
+      await writeJsonAtomic(mirrorCheckFile(userId, listId), { checkedAt });
+    }
+  },
+
+  async deleteListMirror(userId, listId) {
+    if (usePg) {
+      const pg = await getPg();
+      await pg.query(`DELETE FROM list_mirror WHERE user_id=$1 AND list_id=$2`, [userId, String(listId)]);
+    } else {
+      await fsp.unlink(mirrorFile(userId, listId)).catch(() => {});
+      await fsp.unlink(mirrorCheckFile(userId, listId)).catch(() => {});
+    }
+  },
+
+  /* ===== Added: list snapshots (change history) ===== */
+  // Snapshot shape: { takenAt, url, itemCount, items: [[id, title, year, type], ...] }; newest first on read
+  async getListSnapshots(userId, listId, limit = 50) {
+    if (usePg) {
+      const pg = await getPg();
+      const { rows } = await pg.query(
+        `SELECT url, taken_at, item_count, items FROM list_snapshot
+          WHERE user_id=$1 AND list_id=$2 ORDER BY taken_at DESC, id DESC LIMIT $3`,
+        [userId, String(listId), limit]
+      );
+      return (rows || []).map(r => ({
+        takenAt: new Date(r.taken_at).toISOString(),
+        url: r.url,
+        itemCount: r.item_count,
+        items: Array.isArray(r.items) ? r.items : []
+      }));
+    } else {
+      try {
+        const buf = await fsp.readFile(snapshotFile(userId, listId));
+        const arr = JSON.parse(buf.toString('utf8'));
+        return Array.isArray(arr) ? arr.slice(0, limit) : [];
+      } catch {
+        return [];
+      }
+    }
+  },
+
+  // Prepend a snapshot and keep only the newest `keep`
+  async addListSnapshot(userId, listId, snapshot, keep = 50) {
+    if (usePg) {
+      const pg = await getPg();
+      await pg.query(
+        `INSERT INTO list_snapshot(user_id, list_id, url, taken_at, item_count, items) VALUES ($1,$2,$3,$4,$5,$6)`,
+        [userId, String(listId), snapshot.url || '', snapshot.takenAt, snapshot.itemCount || 0, JSON.stringify(snapshot.items || [])]
+      );
+      await pg.query(
+        `DELETE FROM list_snapshot WHERE user_id=$1 AND list_id=$2 AND id NOT IN (
+           SELECT id FROM list_snapshot WHERE user_id=$1 AND list_id=$2 ORDER BY taken_at DESC, id DESC LIMIT $3
+         )`,
+        [userId, String(listId), keep]
+      );
+    } else {
+      const file = snapshotFile(userId, listId);
+      let prev = [];
+      try { prev = JSON.parse((await fsp.readFile(file)).toString('utf8')); } catch {}
+      await writeJsonAtomic(file, [snapshot].concat(Array.isArray(prev) ? prev : []).slice(0, keep));
+    }
+  },
+
+  async deleteListSnapshots(userId, listId) {
+    if (usePg) {
+      const pg = await getPg();
+      await pg.query(`DELETE FROM list_snapshot WHERE user_id=$1 AND list_id=$2`, [userId, String(listId)]);
+    } else {
+      await fsp.unlink(snapshotFile(userId, listId)).catch(() => {});
+    }
+  },
+
+  /* ===== Added: locally stored list items (file imports) ===== */
+  // Shape: { listId, items: [Trakt-style list items], source: { format, filename, importedAt } | null, updatedAt }
+  async getLocalList(userId, listId) {
+    if (usePg) {
+      const pg = await getPg();
+      const { rows } = await pg.query(
+        `SELECT items, source, updated_at FROM local_list WHERE user_id=$1 AND list_id=$2`,
+        [userId, String(listId)]
+      );
+      const r = rows && rows[0];
+      if (!r) return null;
+      return {
+        listId: String(listId),
+        items: Array.isArray(r.items) ? r.items : [],
+        source: r.source || null,
+        updatedAt: r.updated_at ? new Date(r.updated_at).toISOString() : null
+      };
+    } else {
+      try {
+        const buf = await fsp.readFile(localListFile(userId, listId));
+        return JSON.parse(buf.toString('utf8'));
+      } catch {
+        return null;
+      }
+    }
+  },
+
+  async saveLocalList(userId, listId, doc) {
+    const updatedAt = doc.updatedAt || new Date().toISOString();
+    if (usePg) {
+      const pg = await getPg();
+      await pg.query(
+        `
+        INSERT INTO local_list(user_id, list_id, items, source, updated_at)
+        VALUES ($1,$2,$3,$4,$5)
+        ON CONFLICT(user_id, list_id) DO UPDATE
+          SET items=EXCLUDED.items, source=EXCLUDED.source, updated_at=EXCLUDED.updated_at
+        `,
+        [userId, String(listId), JSON.stringify(doc.items || []), doc.source ? JSON.stringify(doc.source) : null, updatedAt]
+      );
+    } else {
+      await writeJsonAtomic(localListFile(userId, listId), {
+        listId: String(listId),
+        items: doc.items || [],
+        source: doc.source || null,
+        updatedAt
+      });
+    }
+  },
+
+  async deleteLocalList(userId, listId) {
+    if (usePg) {
+      const pg = await getPg();
+      await pg.query(`DELETE FROM local_list WHERE user_id=$1 AND list_id=$2`, [userId, String(listId)]);
+    } else {
+      await fsp.unlink(localListFile(userId, listId)).catch(() => {});
+    }
+  },
+
+  /* ===== Added: addon profiles (extra manifests per account) ===== */
+  // Shape: see services/profiles normalizeProfile; stored in the caller's order
+  async getProfiles(userId) {
+    if (usePg) {
+      const pg = await getPg();
+      const { rows } = await pg.query(
+        `SELECT data FROM addon_profile WHERE user_id=$1 ORDER BY position, id`,
+        [userId]
+      );
+      return rows.map(r => r.data);
+    } else {
+      const doc = await readUserDoc(userId);
+      return Array.isArray(doc.profiles) ? doc.profiles : [];
+    }
+  },
+
+  async saveProfiles(userId, profiles) {
+    const list = Array.isArray(profiles) ? profiles : [];
+    if (usePg) {
+      await replaceUserRows(await getPg(), 'addon_profile', userId, list);
+    } else {
+      const doc = await readUserDoc(userId);
+      doc.profiles = list;
+      await writeUserDocAtomic(userId, doc);
+    }
+  },
+
+  /* ===== Added: per-device addon tokens (hashed; see services/addonTokens) ===== */
+  async getAddonTokens(userId) {
+    if (usePg) {
+      const pg = await getPg();
+      const { rows } = await pg.query(
+        `SELECT data FROM addon_device_token WHERE user_id=$1 ORDER BY position, id`,
+        [userId]
+      );
+      return rows.map(r => r.data);
+    } else {
+      const doc = await readUserDoc(userId);
+      return Array.isArray(doc.addonTokens) ? doc.addonTokens : [];
+    }
+  },
+
+  async saveAddonTokens(userId, tokens) {
+    const list = Array.isArray(tokens) ? tokens : [];
+    if (usePg) {
+      await replaceUserRows(await getPg(), 'addon_device_token', userId, list);
+    } else {
+      const doc = await readUserDoc(userId);
+      doc.addonTokens = list;
+      await writeUserDocAtomic(userId, doc);
+    }
+  },
+
+  // Record one token's last use without rewriting the others
+  async touchAddonToken(userId, tokenId, at) {
+    if (usePg) {
+      const pg = await getPg();
+      await pg.query(
+        `UPDATE addon_device_token SET data = jsonb_set(data, '{lastUsedAt}', to_jsonb($3::text)) WHERE user_id=$1 AND id=$2`,
+        [userId, String(tokenId), at]
+      );
+    } else {
+      const doc = await readUserDoc(userId);
+      const t = (doc.addonTokens || []).find(x => x.id === tokenId);
+      if (!t) return;
+      t.lastUsedAt = at;
+      await writeUserDocAtomic(userId, doc);
+    }
+  },
+
   // Session Management Methods
   async createSession(sessionData) {
     if (usePg) {
@@ -823,6 +1263,7 @@ module.exports = {
   repo,
   ensureAddonToken: repo.ensureAddonToken.bind(repo),
   getAddonToken: repo.getAddonToken.bind(repo),
+  clearAddonToken: repo.clearAddonToken.bind(repo),
   deleteTraktTokens: repo.deleteTraktTokens.bind(repo),
   // convenience re-exports for new helpers
   getManifestVersion: repo.getManifestVersion.bind(repo),
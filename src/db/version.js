@@ -1,5 +1,7 @@
 // src/db/version.js
 // Stores a numeric manifest revision and exposes semver "1.0.<rev>" for Stremio.
+// Addon profiles keep their own revision (manifestRev on the profile record); a profile's
+// version is "1.0.<account rev + profile rev>" so account-wide changes (lists) move it too.
 
 const { repo } = require('./repo'); // adjust if needed
 const mem = new Map(); // fallback when repo lacks config methods
@@ -44,8 +46,36 @@ async function bumpManifestVersion(userId){
   return `1.0.${next}`;
 }
 
+async function readProfileRev(userId, profileId){
+  try {
+    const profiles = await repo.getProfiles(userId);
+    const p = (profiles || []).find(x => x.id === profileId);
+    if (p && Number.isInteger(p.manifestRev)) return p.manifestRev;
+  } catch {}
+  return mem.get(`${userId}:${profileId}`) || 0;
+}
+
+async function readProfileManifestVersion(userId, profileId){
+  const [rev, own] = await Promise.all([readRev(userId), readProfileRev(userId, profileId)]);
+  return `1.0.${rev + own}`;
+}
+
+async function bumpProfileManifestVersion(userId, profileId){
+  const own = (await readProfileRev(userId, profileId)) + 1;
+  try {
+    const profiles = await repo.getProfiles(userId);
+    if ((profiles || []).some(x => x.id === profileId)) {
+      await repo.saveProfiles(userId, profiles.map(x => (x.id === profileId ? { ...x, manifestRev: own } : x)));
+    }
+  } catch {}
+  mem.set(`${userId}:${profileId}`, own);
+  return `1.0.${(await readRev(userId)) + own}`;
+}
+
 module.exports = {
   readManifestVersion,
   bumpManifestVersion,
+  readProfileManifestVersion,
+  bumpProfileManifestVersion,
   getManifestVersion: readManifestVersion // alias for legacy imports
 };
@@ -26,6 +26,7 @@ const oauth2Routes  = require('./routes/oauth2');
 const configRoutes  = require('./routes/config');
 const traktRoutes   = require('./routes/trakt');
 const addonRoutes   = require('./routes/addon');
+const { router: statelessRoutes } = require('./routes/stateless');
 const debugRoutes   = require('./routes/debug');
 const healthRoutes  = require('./routes/health');
 const sessionRoutes = require('./routes/session');
@@ -37,6 +38,8 @@ const { limiterApp, limiterAuthStrict, limiterAPI, limiterDashboard, limiterHeav
 const { auditLogger } = require('./middleware/auditLogger');
 const { requireAdminForPage, requireAdmin } = require('./middleware/adminAuth');
 const { router: listsRouter } = require('./routes/lists');
+const { router: profilesRouter } = require('./routes/profiles');
+const { router: addonTokensRouter } = require('./routes/addonTokens');
 const stremioRoutes = require('./routes/stremio');
 // Collections removed - no longer needed
 // Recommendations removed
@@ -207,6 +210,8 @@ app.use('/api/trakt', traktRoutes);
 
 // Lists + Stremio APIs (heavy operations)
 app.use('/api', limiterAPI, listsRouter);
+app.use('/api', limiterAPI, profilesRouter);
+app.use('/api', limiterAPI, addonTokensRouter);
 app.use('/api/stremio', limiterAPI, stremioRoutes);
 
 // Collections API - removed
@@ -218,6 +223,7 @@ app.use('/api/watchlist', limiterHeavyOps, watchlistRoutes);
 
 // Addon public routes
 app.use('/u', addonRoutes);
+app.use('/c', statelessRoutes); // account-less installs, config in the URL
 
 // Health (already defined above)
 // app.get('/healthz', (_req, res) => res.json({ ok: true }));
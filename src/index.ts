@@ -26,6 +26,7 @@ const oauth2Routes = require('./routes/oauth2');
 const configRoutes = require('./routes/config');
 const traktRoutes = require('./routes/trakt');
 const addonRoutes = require('./routes/addon');
+const { router: statelessRoutes } = require('./routes/stateless');
 const debugRoutes = require('./routes/debug');
 const adminRoutes = require('./routes/admin');
 const analyticsRoutes = require('./routes/analytics');
@@ -42,6 +43,8 @@ const { auditLogger } = require('./middleware/auditLogger');
 const { requireAdminForPage, requireAdmin } = require('./middleware/adminAuth');
 const { trackHealth } = require('./middleware/healthTracking');
 const { router: listsRouter } = require('./routes/lists');
+const { router: profilesRouter } = require('./routes/profiles');
+const { router: addonTokensRouter } = require('./routes/addonTokens');
 // Personalized lists removed
 const stremioRoutes = require('./routes/stremio');
 
@@ -219,6 +222,8 @@ app.use('/api/trakt', traktRoutes);
 
 // Lists + Stremio APIs (heavy operations)
 app.use('/api', limiterAPI, listsRouter);
+app.use('/api', limiterAPI, profilesRouter);
+app.use('/api', limiterAPI, addonTokensRouter);
 app.use('/api/stremio', limiterAPI, stremioRoutes);
 
 // Watchlist Analytics API (heavy operations)
@@ -226,6 +231,7 @@ app.use('/api/watchlist', limiterHeavyOps, watchlistRoutes);
 
 // Addon public routes
 app.use('/u', addonRoutes);
+app.use('/c', statelessRoutes); // account-less installs, config in the URL
 
 // Health
 app.get('/healthz', (_req, res) => res.json({ ok: true }));
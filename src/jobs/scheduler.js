@@ -1,10 +1,12 @@
 // src/jobs/scheduler.js
-// Provides: start(), refreshAllTokens(), prewarmPopularCatalogs(), getRefreshSchedule()
+// Provides: start(), refreshAllTokens(), prewarmPopularCatalogs(), snapshotAllLists(), getRefreshSchedule()
 
 const fetch = require('node-fetch');
 const { repo } = require('../db/repo');
 const { logger } = require('../utils/logger');
 const { markWarmed } = require('../utils/cache');
+const { trakt } = require('../services/traktClient');
+const { runDeltaRefresh } = require('../services/deltaRefresh');
 
 // Trakt app credentials (required for refresh)
 const TRAKT_CLIENT_ID = process.env.TRAKT_CLIENT_ID || '';
@@ -16,6 +18,9 @@ const REFRESH_INTERVAL_MS = Number(process.env.TOKEN_REFRESH_INTERVAL_MS || (30
 // Prewarm loop (unchanged; override with PREWARM_INTERVAL_MS)
 const PREWARM_INTERVAL_MS = Number(process.env.PREWARM_INTERVAL_MS || (6 * 60 * 60 * 1000));
 
+// List snapshot sweep for history (override with LIST_SNAPSHOT_INTERVAL_MS)
+const SNAPSHOT_INTERVAL_MS = Number(process.env.LIST_SNAPSHOT_INTERVAL_MS || (6 * 60 * 60 * 1000));
+
 // Early refresh threshold: 1 hour 30 minutes (override with TOKEN_REFRESH_SKEW_MS)
 const REFRESH_SKEW_MS = Number(process.env.TOKEN_REFRESH_SKEW_MS || (90 * 60 * 1000));
 
@@ -34,25 +39,21 @@ function getRefreshSchedule() {
 
 // ---- Trakt refresh helpers ----
 
-async function refreshTraktPair({ clientId, clientSecret, refreshToken }) {
-  const r = await fetch('https://api.trakt.tv/oauth/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      client_id: clientId,
-      client_secret: clientSecret,
-      refresh_token: refreshToken,
-      grant_type: 'refresh_token',
-      redirect_uri: 'urn:ietf:wg:oauth:2.0:oob'
-    })
-  });
-  if (!r.ok) {
-    const t = await r.text().catch(() => '');
+async function refreshTraktPair({ userId, clientId, clientSecret, refreshToken }) {
+  const r = await trakt.post('/oauth/token', {
+    client_id: clientId,
+    client_secret: clientSecret,
+    refresh_token: refreshToken,
+    grant_type: 'refresh_token',
+    redirect_uri: 'urn:ietf:wg:oauth:2.0:oob'
+  }, { userId, validateStatus: () => true });
+  if (r.status < 200 || r.status >= 300) {
+    const t = typeof r.data === 'string' ? r.data : JSON.stringify(r.data || '');
     const err = new Error(`refresh_failed ${r.status} ${t}`);
     err.status = r.status;
     throw err;
   }
-  return r.json();
+  return r.data;
 }
 
 function needsRefresh(expires_at) {
@@ -75,6 +76,7 @@ async function refreshAllTokens() {
       if (!needsRefresh(tt.expires_at)) continue;
 
       const out = await refreshTraktPair({
+        userId: u.id,
         clientId: TRAKT_CLIENT_ID,
         clientSecret: TRAKT_CLIENT_SECRET,
         refreshToken: tt.refresh_token
@@ -126,6 +128,20 @@ async function prewarmPopularCatalogs() {
   }
 }
 
+// ---- List snapshots ----
+
+// A delta pass per user re-downloads changed lists, and each download records a history snapshot.
+// Covers users whose addon is not being opened (their per-user delta loop never starts).
+async function snapshotAllLists() {
+  const users = await repo.listUsers();
+  let changed = 0;
+  for (const u of users) {
+    const r = await runDeltaRefresh(u.id).catch(() => null);
+    if (r) changed += r.changed.length;
+  }
+  return { users: users.length, changed };
+}
+
 // ---- Start timers ----
 
 function start() {
@@ -147,6 +163,13 @@ function start() {
     prewarmPopularCatalogs()
       .catch(err => logger.warn({ err: String(err && err.message || err) }, 'prewarm_loop_error'));
   }, PREWARM_INTERVAL_MS);
+
+  // List history snapshots (every 6 hours by default)
+  setInterval(() => {
+    snapshotAllLists()
+      .then(sum => logger.info(sum, 'list_snapshot_summary'))
+      .catch(err => logger.warn({ err: String(err && err.message || err) }, 'list_snapshot_loop_error'));
+  }, SNAPSHOT_INTERVAL_MS);
 }
 
-module.exports = { start, refreshAllTokens, prewarmPopularCatalogs, getRefreshSchedule };
+module.exports = { start, refreshAllTokens, prewarmPopularCatalogs, snapshotAllLists, getRefreshSchedule };
@@ -3,6 +3,7 @@
 
 const rateLimit = require('express-rate-limit');
 const { logger } = require('../utils/logger');
+const { isKnownConfig } = require('../services/statelessConfig');
 
 // Store for tracking rate limit violations
 const violationStore = new Map();
@@ -17,6 +18,7 @@ function createEnhancedLimiter(options) {
     skipFailedRequests = false,
     keyGenerator = (req) => req.ip,
     handler = null,
+    skip = null,
     adaptiveScaling = false
   } = options;
 
@@ -90,7 +92,7 @@ function createEnhancedLimiter(options) {
       if (req.path === '/healthz' || req.path.startsWith('/api/health/status')) {
         return true;
       }
-      return false;
+      return skip ? !!skip(req) : false;
     }
   });
 }
@@ -157,6 +159,23 @@ const limiterHeavyOps = createEnhancedLimiter({
   adaptiveScaling: true
 });
 
+// Account-less installs (/c/:config/…), per IP
+const limiterStateless = createEnhancedLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.RL_STATELESS_MAX || 300),
+  name: 'stateless'
+});
+
+// Configs an IP may bring that the server hasn't decoded yet: each one can start Trakt downloads
+// for all of its lists, so these are counted separately (known configs are skipped)
+const limiterStatelessConfigs = createEnhancedLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: Number(process.env.RL_STATELESS_CONFIG_MAX || 10),
+  name: 'stateless_configs',
+  skip: (req) => isKnownConfig(req.params.config),
+  adaptiveScaling: true
+});
+
 // Session management operations
 const limiterSession = createEnhancedLimiter({
   windowMs: 5 * 60 * 1000, // 5 minutes
@@ -201,6 +220,8 @@ function getRateLimitStatus(req, res) {
       api: process.env.RL_API_MAX || 300,
       dashboard: process.env.RL_DASHBOARD_MAX || 100,
       heavy_ops: process.env.RL_HEAVY_MAX || 10,
+      stateless: process.env.RL_STATELESS_MAX || 300,
+      stateless_configs: process.env.RL_STATELESS_CONFIG_MAX || 10,
       session: process.env.RL_SESSION_MAX || 30,
       health: process.env.RL_HEALTH_MAX || 60
     }
@@ -230,6 +251,8 @@ module.exports = {
   limiterTraktDevice, 
   limiterStatusLight,
   limiterHeavyOps,
+  limiterStateless,
+  limiterStatelessConfigs,
   limiterSession,
   limiterHealth,
   getRateLimitStatus
@@ -0,0 +1,116 @@
+// Addon configure page (/u/:userId/:token/configure, opened from Stremio's "Configure" button).
+// Reads and saves through <manifest base>/configure/config.json with the same credential as the manifest;
+// a page opened without one (Stremio drops ?t=) runs on the login session and offers no reinstall link.
+document.addEventListener('DOMContentLoaded', () => {
+  const form = document.getElementById('configureForm');
+  const list = document.getElementById('catalogs');
+  const install = document.getElementById('install');
+  const msg = document.getElementById('msg');
+  if (!form || !list) return;
+
+  const base = location.pathname.replace(/\/configure\/?$/, '');
+  const dataUrl = `${base}/configure/config.json${location.search}`;
+  const manifestUrl = `${location.origin}${base}/manifest.json${location.search}`;
+  const hasCredential = base.split('/').length > 3 || new URLSearchParams(location.search).has('t'); // /u/:userId/:t
+  const flags = ['hideUnreleasedAll', 'hideWatchedAll', 'hideTraktHidden'];
+  let catalogs = [];
+
+  function showMessage(text, type = 'error') {
+    if (!msg) return;
+    msg.textContent = text;
+    msg.className = `form-message ${type}`;
+    msg.style.display = text ? 'block' : 'none';
+  }
+
+  function button(label, onClick, disabled) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'btn ghost';
+    b.textContent = label;
+    b.disabled = !!disabled;
+    b.addEventListener('click', onClick);
+    return b;
+  }
+
+  function move(i, delta) {
+    const j = i + delta;
+    if (j < 0 || j >= catalogs.length) return;
+    catalogs.splice(j, 0, ...catalogs.splice(i, 1));
+    render();
+  }
+
+  function render() {
+    list.textContent = '';
+    catalogs.forEach((c, i) => {
+      const li = document.createElement('li');
+      li.className = `catalog${c.enabled ? '' : ' off'}`;
+
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = c.enabled;
+      toggle.setAttribute('aria-label', `Show ${c.name}`);
+      toggle.addEventListener('change', () => { c.enabled = toggle.checked; render(); });
+
+      const name = document.createElement('span');
+      name.className = 'name';
+      name.textContent = c.name;
+      const meta = document.createElement('span');
+      meta.className = 'meta';
+      meta.textContent = ` ${c.kind === 'trakt' ? '' : `${c.kind} · `}${c.type}`;
+      name.appendChild(meta);
+
+      li.append(toggle, name, button('↑', () => move(i, -1), i === 0), button('↓', () => move(i, 1), i === catalogs.length - 1));
+      list.appendChild(li);
+    });
+    if (!catalogs.length) {
+      const li = document.createElement('li');
+      li.textContent = 'No catalogs yet — add lists from the dashboard.';
+      list.appendChild(li);
+    }
+  }
+
+  async function load() {
+    const r = await fetch(dataUrl, { cache: 'no-store' });
+    if (!r.ok) {
+      showMessage(r.status === 403 ? 'This link is no longer valid. Create a new one in the dashboard.' : 'Loading the configuration failed.');
+      form.querySelector('button[type="submit"]').disabled = true;
+      return;
+    }
+    const data = await r.json();
+    form.addonName.value = data.addonName || '';
+    form.catalogPrefix.value = data.catalogPrefix || '';
+    flags.forEach(f => { form[f].checked = !!data[f]; });
+    catalogs = data.lists || [];
+    render();
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const addonName = form.addonName.value.trim();
+    if (!addonName) return showMessage('The addon needs a name.');
+    const body = {
+      addonName,
+      catalogPrefix: form.catalogPrefix.value.trim(),
+      lists: catalogs.map(c => ({ id: c.id, enabled: c.enabled }))
+    };
+    flags.forEach(f => { body[f] = form[f].checked; });
+    showMessage('');
+    try {
+      const r = await fetch(dataUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const out = await r.json().catch(() => null);
+      if (!r.ok || !out?.ok) return showMessage(out?.error === 'invalid_token' ? 'This link is no longer valid.' : 'Saving failed.');
+      if (!hasCredential) return showMessage(`Saved (version ${out.version}). Reinstall from your dashboard to update Stremio.`, 'success');
+      showMessage(`Saved (version ${out.version}). Reinstall to update Stremio.`, 'success');
+      install.href = `stremio://${encodeURIComponent(manifestUrl)}`;
+      install.hidden = false;
+    } catch {
+      showMessage('Network error. Please try again.');
+    }
+  });
+
+  load();
+});
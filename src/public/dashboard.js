@@ -254,32 +254,60 @@ function wireTabs(){
 }
 
 /* ---------- Addon info + Copy/QR ---------- */
+// Install links carry a per-device token: Copy/QR issue one (POST /api/addon-tokens) and reuse it for this page
 let manifestUrl = '';
+let stremioLink = '';
 
 function showAddonSkeleton() {
   const box = document.getElementById('addonInfo');
   if (box) box.innerHTML = '<div class="skeleton" style="height:102px; border-radius:10px;"></div>';
 }
 
+function renderAddonInfo(enabledCatalogs) {
+  const box = document.getElementById('addonInfo');
+  if (!box) return;
+  box.innerHTML = '';
+  const pre = document.createElement('pre');
+  pre.textContent = manifestUrl
+    ? `Manifest URL (device link):\n${manifestUrl}\n\nEnabled catalogs: ${enabledCatalogs}`
+    : `Enabled catalogs: ${enabledCatalogs}\n\nCopy or QR creates a new device link.`;
+  box.appendChild(pre);
+  if (stremioLink) {
+    const a = document.createElement('a');
+    a.href = stremioLink; a.textContent = 'Install in Stremio'; a.style.marginTop = '8px';
+    box.appendChild(a);
+  }
+}
+
+let enabledCatalogs = 0;
 async function fetchAddonInfo() {
   try {
     const r = await fetch('/api/addon-info', { credentials: 'include' });
     if (!r.ok) return;
     const data = await r.json();
+    enabledCatalogs = data.enabledCatalogs;
+    renderAddonInfo(enabledCatalogs);
+  } catch {}
+}
+
+async function issueDeviceLink() {
+  if (manifestUrl) return manifestUrl;
+  try {
+    const r = await fetch('/api/addon-tokens', {
+      method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: `Dashboard link ${new Date().toLocaleDateString()}` })
+    });
+    if (!r.ok) return '';
+    const data = await r.json();
     manifestUrl = data.manifestUrl || '';
-    const box = document.getElementById('addonInfo');
-    if (!box) return;
-    box.innerHTML = '';
-    const pre = document.createElement('pre');
-    pre.textContent = `Manifest URL:\n${data.manifestUrl}\n\nEnabled catalogs: ${data.enabledCatalogs}`;
-    const a = document.createElement('a');
-    a.href = data.stremioLink; a.textContent = 'Install in Stremio'; a.style.marginTop = '8px';
-    box.appendChild(pre); box.appendChild(a);
+    stremioLink = data.stremioLink || '';
+    renderAddonInfo(enabledCatalogs);
   } catch {}
+  return manifestUrl;
 }
 
 async function onCopyManifest() {
-  if (!manifestUrl) await fetchAddonInfo();
+  if (!await issueDeviceLink()) { flashToast('Could not create a device link'); return; }
   try {
     await navigator.clipboard.writeText(manifestUrl);
     const stamp = document.getElementById('copyStamp');
@@ -288,8 +316,8 @@ async function onCopyManifest() {
   } catch { flashToast('Copy failed'); }
 }
 
-function onShowQr() {
-  if (!manifestUrl) { flashToast('No manifest URL'); return; }
+async function onShowQr() {
+  if (!await issueDeviceLink()) { flashToast('Could not create a device link'); return; }
   const modal = document.getElementById('qrModal'); if (!modal) return;
   modal.style.display = 'flex';
   setTimeout(() => modal.querySelector('.modal')?.classList.add('open'), 0);
@@ -385,11 +413,11 @@ function renderListRow(l) {
       <div>
         <label>Sort</label>
         <select class="sortSelect">
-          <option value="">—</option>
-          <option value="rating" ${l.sortBy === 'rating' ? 'selected' : ''}>Rating</option>
-          <option value="year"   ${l.sortBy === 'year'   ? 'selected' : ''}>Year</option>
-          <option value="runtime"${l.sortBy === 'runtime'? 'selected' : ''}>Runtime</option>
-          <option value="name"   ${l.sortBy === 'name'   ? 'selected' : ''}>Name</option>
+          <option value="">List default</option>
+          ${[['rank','List rank'],['listed_at','Date added'],['rating','Rating'],['votes','Votes'],['year','Year'],
+             ['released','Release date'],['runtime','Runtime'],['name','Name'],['popularity','Popularity (Trakt)'],
+             ['watchers','Watchers (Trakt)'],['random','Random']]
+            .map(([v, label]) => `<option value="${v}" ${l.sortBy === v ? 'selected' : ''}>${label}</option>`).join('')}
         </select>
       </div>
       <div>
@@ -0,0 +1,63 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../db/repo', () => ({ repo: { getLists: jest.fn(async () => []) } }));
+jest.mock('../db/version', () => ({ getManifestVersion: jest.fn(async () => '1.0.3'), readProfileManifestVersion: jest.fn() }));
+jest.mock('../services/addonService', () => ({ baseManifest: jest.fn(), buildUserManifest: jest.fn(), getCatalog: jest.fn() }));
+jest.mock('../services/metaService', () => ({ getMeta: jest.fn() }));
+jest.mock('../services/profiles', () => ({ getProfile: jest.fn() }));
+jest.mock('../services/addonTokens', () => ({ verifyAddonCredential: jest.fn() }));
+jest.mock('../services/configSave', () => ({ saveConfig: jest.fn(async () => ({ ok: true })) }));
+jest.mock('../state/userSettings', () => ({ getUserSettings: jest.fn(async () => ({ addonName: 'Mine' })) }));
+
+const { verifyAddonCredential } = require('../services/addonTokens');
+const { saveConfig } = require('../services/configSave');
+const addonRoutes = require('./addon');
+
+const TOKEN = 'a'.repeat(32);
+
+function app(sessionUser = null) {
+  const a = express();
+  a.use(express.json());
+  a.use((req, _res, next) => { req.session = sessionUser ? { user: sessionUser } : {}; next(); });
+  a.use('/u', addonRoutes);
+  return a;
+}
+
+describe('addon configure routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    verifyAddonCredential.mockImplementation(async (userId, credential) => (credential === TOKEN ? { id: 'tok' } : null));
+  });
+
+  it('accepts the token in the path or as ?t=', async () => {
+    expect((await request(app()).get(`/u/u1/${TOKEN}/configure/config.json`)).status).toBe(200);
+    expect((await request(app()).get(`/u/u1/configure/config.json?t=${TOKEN}`)).status).toBe(200);
+  });
+
+  it('lets the account\'s login session in when Stremio dropped ?t=', async () => {
+    const res = await request(app({ id: 'u1' })).get('/u/u1/configure/config.json');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ addonName: 'Mine', version: '1.0.3' });
+    const saved = await request(app({ id: 'u1' })).post('/u/u1/configure/config.json').send({ addonName: 'New' });
+    expect(saved.status).toBe(200);
+    expect(saveConfig).toHaveBeenCalledWith('u1', { addonName: 'New' });
+  });
+
+  it('refuses other accounts\' sessions and missing or bad tokens', async () => {
+    expect((await request(app({ id: 'u2' })).get('/u/u1/configure/config.json')).status).toBe(403);
+    expect((await request(app()).get('/u/u1/configure/config.json')).status).toBe(403);
+    expect((await request(app()).post(`/u/u1/${'b'.repeat(32)}/configure/config.json`).send({ addonName: 'x' })).status).toBe(403);
+    expect(saveConfig).not.toHaveBeenCalled();
+  });
+
+  it('sends visitors of the page without token or session to the login page', async () => {
+    const res = await request(app()).get('/u/u1/configure');
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('/login');
+  });
+
+  it('keeps requiring a token for the manifest', async () => {
+    expect((await request(app({ id: 'u1' })).get('/u/u1/manifest.json')).status).toBe(403);
+  });
+});
@@ -1,55 +1,63 @@
 // src/routes/addon.js
 const express = require('express');
 const apicache = require('apicache');
-const { getAddonToken } = require('../db/repo');
-const { getManifestVersion } = require('../db/version'); // alias to readManifestVersion
-const { buildUserManifest, getCatalog } = require('../services/addonService');
+const { z } = require('zod');
+const { validate } = require('../middleware/validate');
+const { getManifestVersion, readProfileManifestVersion } = require('../db/version'); // alias to readManifestVersion
+const { baseManifest, buildUserManifest, getCatalog } = require('../services/addonService');
 const { getMeta } = require('../services/metaService');
 const { repo } = require('../db/repo');
+const { getProfile } = require('../services/profiles');
+const { verifyAddonCredential } = require('../services/addonTokens');
+const { saveConfig } = require('../services/configSave');
+const { getUserSettings } = require('../state/userSettings');
+const { parseExtra } = require('../utils/extra');
 const path = require('path');
 
 const router = express.Router();
 const cacheMw = apicache.middleware;
 
-function baseManifest(version) {
-  // version is already semver (e.g., "1.0.39"), keep it as a string
-  return {
-    id: 'org.example.trakt',
-    version: String(version || '1.0.0'),
-    name: 'Trakt Lists (Multi-user)',
-    description: 'Fast paginated catalogs; meta via Cinemeta+Trakt',
-    resources: ['catalog', { name: 'meta', types: ['movie', 'series'], idPrefixes: ['tt'] }],
-    types: ['movie', 'series'],
-    idPrefixes: ['tt'],
-    catalogs: []
-  };
+// Every addon route needs an active device token (path or ?t=, see services/addonTokens).
+// Runs before the manifest cache so a revoked or rotated token stops working at once.
+async function requireToken(req, res, next) {
+  const { userId, t } = req.params;
+  const token = await verifyAddonCredential(userId, t || req.query.t, req.query);
+  if (!token) return res.status(403).json({ error: 'invalid_token' });
+  req.apicacheGroup = `manifest:${userId}`; // dropped when the configure page saves
+  next();
+}
+
+// Profile routes need a token scoped to that profile; sets req.profile.
+async function requireProfile(req, res, next) {
+  const { userId, profileId, t } = req.params;
+  const token = await verifyAddonCredential(userId, t || req.query.t, req.query, { profileId });
+  const profile = token && await getProfile(userId, profileId);
+  if (!profile) return res.status(403).json({ error: 'invalid_token' });
+  req.profile = profile;
+  req.apicacheGroup = `manifest:${userId}`; // profile manifests are dropped together with the account's
+  next();
 }
 
-async function validateToken(req, _res, userId, tokenFromPath) {
-  const queryToken = req.query.t;
-  const token = await getAddonToken(userId);
-  if (!token) return true;
-  const provided = tokenFromPath || queryToken || '';
-  return provided === token;
+// Configure routes also let the account's own login session in: Stremio opens /:userId/configure
+// without the manifest URL's query string, so an install carrying its token as ?t= arrives here without it.
+// The page sends visitors with neither to the login page.
+async function requireConfigure(req, res, next) {
+  const { userId, t } = req.params;
+  const credential = t || req.query.t;
+  if (credential && await verifyAddonCredential(userId, credential, req.query)) return next();
+  const user = req.session && req.session.user;
+  if (user && String(user.id) === String(userId)) return next();
+  if (req.method === 'GET' && !req.path.endsWith('.json')) return res.redirect('/login');
+  return res.status(403).json({ error: 'invalid_token' });
 }
 
 function setNoStore(res) { res.set('Cache-Control', 'no-store, no-cache, must-revalidate, max-age=0'); res.set('Pragma', 'no-cache'); }
 function setNoCache(res) { res.set('Cache-Control', 'no-cache, must-revalidate, max-age=0'); res.set('Pragma', 'no-cache'); }
 
-function parseExtra(extraStr, query) {
-  const out = {};
-  if (typeof extraStr === 'string' && extraStr.length) {
-    extraStr.split('&').forEach(kv => { const [k, v] = kv.split('='); if (k) out[decodeURIComponent(k)] = v ? decodeURIComponent(v) : ''; });
-  }
-  Object.keys(query || {}).forEach(k => { out[k] = query[k]; });
-  return out;
-}
-
 router.use('/assets', express.static(path.join(__dirname, '..', 'public', 'landing', 'assets')));
 
-router.get('/:userId/debug.json', async (req, res) => {
+router.get('/:userId/debug.json', requireToken, async (req, res) => {
   const { userId } = req.params;
-  if (!(await validateToken(req, res, userId, null))) return res.status(403).json({ error: 'invalid_token' });
   try {
     const lists = await repo.getLists(userId);
     let settings = {};
@@ -58,7 +66,7 @@ router.get('/:userId/debug.json', async (req, res) => {
       settings = await getUserSettings(repo, userId); // pass repo explicitly [12]
     } catch {}
     const mv = await getManifestVersion(userId);
-    const manifest = await buildUserManifest({ userId, baseManifest: baseManifest(mv) });
+    const manifest = await buildUserManifest({ userId, baseManifest: baseManifest(mv, { configurable: true }) });
     res.set('Cache-Control', 'no-cache, no-store, must-revalidate'); // always fresh [13]
     res.json({ userId, settings, lists, manifest });
   } catch (e) {
@@ -66,35 +74,128 @@ router.get('/:userId/debug.json', async (req, res) => {
   }
 });
 
+// Configure page (opened from Stremio with the same credential as the manifest, or the login session)
+router.get(['/:userId/:t/configure', '/:userId/configure'], requireConfigure, (req, res, next) => {
+  setNoStore(res);
+  res.sendFile(path.join(__dirname, '..', 'views', 'configure.html'), err => { if (err) next(err); });
+});
+
+// What the configure page edits: catalogs in manifest order and the global settings
+router.get(['/:userId/:t/configure/config.json', '/:userId/configure/config.json'], requireConfigure, async (req, res) => {
+  const { userId } = req.params;
+  try {
+    const lists = await repo.getLists(userId) || [];
+    const settings = await getUserSettings(repo, userId).catch(() => ({}));
+    setNoStore(res);
+    res.json({
+      addonName: settings.addonName || 'Trakt Lists',
+      catalogPrefix: settings.catalogPrefix || '',
+      hideUnreleasedAll: !!settings.hideUnreleasedAll,
+      hideWatchedAll: !!settings.hideWatchedAll,
+      hideTraktHidden: !!settings.hideTraktHidden,
+      lists: lists.map(l => ({ id: l.id, name: l.name, type: l.type, kind: l.kind, enabled: !!l.enabled })),
+      version: await getManifestVersion(userId)
+    });
+  } catch {
+    res.status(500).json({ error: 'load_config_failed' });
+  }
+});
+
+// lists: every catalog to reorder/toggle, in the new order; lists left out keep their place after them
+const configureSchema = z.object({
+  body: z.object({
+    addonName: z.string().trim().min(1).max(100).optional(),
+    catalogPrefix: z.string().trim().max(50).optional(),
+    hideUnreleasedAll: z.boolean().optional(),
+    hideWatchedAll: z.boolean().optional(),
+    hideTraktHidden: z.boolean().optional(),
+    lists: z.array(z.object({ id: z.string().min(1), enabled: z.boolean() })).max(500).optional()
+  })
+});
+router.post(['/:userId/:t/configure/config.json', '/:userId/configure/config.json'], requireConfigure, validate(configureSchema), async (req, res) => {
+  const { userId } = req.params;
+  const { lists: picks, ...settings } = req.validated.body;
+  try {
+    const body = { ...settings };
+    if (picks) {
+      const saved = await repo.getLists(userId) || [];
+      const unknown = picks.filter(p => !saved.some(l => l.id === p.id)).map(p => p.id);
+      if (unknown.length) return res.status(400).json({ ok: false, error: 'unknown_lists', listIds: unknown });
+      const rest = saved.filter(l => !picks.some(p => p.id === l.id));
+      body.lists = picks
+        .map(p => ({ ...saved.find(l => l.id === p.id), enabled: p.enabled }))
+        .concat(rest)
+        .map((l, order) => ({ ...l, order }));
+    }
+    const result = await saveConfig(userId, body); // same path as POST /api/config (cache purge + version bump)
+    if (!result.ok) return res.status(400).json(result);
+    apicache.clear(`manifest:${userId}`);
+    res.json({ ok: true, version: await getManifestVersion(userId) });
+  } catch {
+    res.status(500).json({ ok: false, error: 'save_config_failed' });
+  }
+});
+
 router.get('/install', (req, res, next) => {
   const file = path.join(__dirname, '..', 'public', 'landing', 'index.html'); // absolute path [2]
   res.sendFile(file, err => { if (err) next(err); });
 });
 
+// Addon profiles: /:userId/p/:profileId[/:t]/… serve one profile's manifest, catalogs and metas.
+// Each profile is a separate addon in Stremio, so its manifest id carries the profile id.
+router.get(['/:userId/p/:profileId/:t/manifest.json', '/:userId/p/:profileId/manifest.json'], requireProfile, cacheMw('5 minutes'), async (req, res) => {
+  const { userId } = req.params;
+  const profile = req.profile;
+  const base = baseManifest(await readProfileManifestVersion(userId, profile.id));
+  const manifest = await buildUserManifest({ userId, baseManifest: { ...base, id: `${base.id}.${profile.id}` }, profile });
+  setNoStore(res);
+  return res.json(manifest);
+});
+
+router.get([
+  '/:userId/p/:profileId/:t/catalog/:type/:catalogId/:extra.json',
+  '/:userId/p/:profileId/catalog/:type/:catalogId/:extra.json',
+  '/:userId/p/:profileId/:t/catalog/:type/:catalogId.json',
+  '/:userId/p/:profileId/catalog/:type/:catalogId.json'
+], requireProfile, async (req, res) => {
+  const { userId, type, catalogId, extra } = req.params;
+  const extras = parseExtra(extra || '', req.query);
+  const skip = Number(extras.skip || 0) || 0;
+  const result = await getCatalog({ userId, type, catalogId, skip, extras, profile: req.profile });
+  setNoCache(res);
+  return res.json(result);
+});
+
+router.get(['/:userId/p/:profileId/:t/meta/:type/:id.json', '/:userId/p/:profileId/meta/:type/:id.json'], requireProfile, async (req, res) => {
+  const { userId, type, id } = req.params;
+  const imdb = String(id || '');
+  if (!/^tt\d+$/i.test(imdb)) return res.json({ meta: null });
+  const result = await getMeta({ userId, type, imdb });
+  setNoCache(res);
+  return res.json(result);
+});
+
 // Manifest (token in path)
-router.get('/:userId/:t/manifest.json', cacheMw('5 minutes'), async (req, res) => {
-  const { userId, t } = req.params;
-  if (!(await validateToken(req, res, userId, t))) return res.status(403).json({ error: 'invalid_token' });
+router.get('/:userId/:t/manifest.json', requireToken, cacheMw('5 minutes'), async (req, res) => {
+  const { userId } = req.params;
   const mv = await getManifestVersion(userId);          // semver string
-  const manifest = await buildUserManifest({ userId, baseManifest: baseManifest(mv) });
+  const manifest = await buildUserManifest({ userId, baseManifest: baseManifest(mv, { configurable: true }) });
   setNoStore(res);
   return res.json(manifest);                            // top-level manifest object
 });
 
-// Manifest (token via query or no token required)
-router.get('/:userId/manifest.json', cacheMw('5 minutes'), async (req, res) => {
+// Manifest (token via query)
+router.get('/:userId/manifest.json', requireToken, cacheMw('5 minutes'), async (req, res) => {
   const { userId } = req.params;
-  if (!(await validateToken(req, res, userId, null))) return res.status(403).json({ error: 'invalid_token' });
   const mv = await getManifestVersion(userId);
-  const manifest = await buildUserManifest({ userId, baseManifest: baseManifest(mv) });
+  const manifest = await buildUserManifest({ userId, baseManifest: baseManifest(mv, { configurable: true }) });
   setNoStore(res);
   return res.json(manifest);
 });
 
 // Catalog (extras honored; no cache)
-router.get('/:userId/:t/catalog/:type/:catalogId.json', async (req, res) => {
-  const { userId, t, type, catalogId } = req.params;
-  if (!(await validateToken(req, res, userId, t))) return res.status(403).json({ error: 'invalid_token' });
+router.get('/:userId/:t/catalog/:type/:catalogId.json', requireToken, async (req, res) => {
+  const { userId, type, catalogId } = req.params;
   const skip = Number(req.query.skip || 0) || 0;
   const extras = parseExtra('', req.query);
   const result = await getCatalog({ userId, type, catalogId, skip, extras });
@@ -102,9 +203,8 @@ router.get('/:userId/:t/catalog/:type/:catalogId.json', async (req, res) => {
   return res.json(result);
 });
 
-router.get('/:userId/:t/catalog/:type/:catalogId/:extra.json', async (req, res) => {
-  const { userId, t, type, catalogId, extra } = req.params;
-  if (!(await validateToken(req, res, userId, t))) return res.status(403).json({ error: 'invalid_token' });
+router.get('/:userId/:t/catalog/:type/:catalogId/:extra.json', requireToken, async (req, res) => {
+  const { userId, type, catalogId, extra } = req.params;
   const extras = parseExtra(extra, req.query);
   const skip = Number(extras.skip || 0) || 0;
   const result = await getCatalog({ userId, type, catalogId, skip, extras });
@@ -113,9 +213,8 @@ router.get('/:userId/:t/catalog/:type/:catalogId/:extra.json', async (req, res)
 });
 
 // Variants without token in path
-router.get('/:userId/catalog/:type/:catalogId.json', async (req, res) => {
+router.get('/:userId/catalog/:type/:catalogId.json', requireToken, async (req, res) => {
   const { userId, type, catalogId } = req.params;
-  if (!(await validateToken(req, res, userId, null))) return res.status(403).json({ error: 'invalid_token' });
   const extras = parseExtra('', req.query);
   const skip = Number(extras.skip || 0) || 0;
   const result = await getCatalog({ userId, type, catalogId, skip, extras });
@@ -123,9 +222,8 @@ router.get('/:userId/catalog/:type/:catalogId.json', async (req, res) => {
   return res.json(result);
 });
 
-router.get('/:userId/catalog/:type/:catalogId/:extra.json', async (req, res) => {
+router.get('/:userId/catalog/:type/:catalogId/:extra.json', requireToken, async (req, res) => {
   const { userId, type, catalogId, extra } = req.params;
-  if (!(await validateToken(req, res, userId, null))) return res.status(403).json({ error: 'invalid_token' });
   const extras = parseExtra(extra, req.query);
   const skip = Number(extras.skip || 0) || 0;
   const result = await getCatalog({ userId, type, catalogId, skip, extras });
@@ -134,9 +232,8 @@ router.get('/:userId/catalog/:type/:catalogId/:extra.json', async (req, res) =>
 });
 
 // Meta (no cache)
-router.get('/:userId/:t/meta/:type/:id.json', async (req, res) => {
-  const { userId, t, type, id } = req.params;
-  if (!(await validateToken(req, res, userId, t))) return res.status(403).json({ error: 'invalid_token' });
+router.get('/:userId/:t/meta/:type/:id.json', requireToken, async (req, res) => {
+  const { userId, type, id } = req.params;
   const imdb = String(id || '');
   if (!/^tt\d+$/i.test(imdb)) return res.json({ meta: null });
   const result = await getMeta({ userId, type, imdb });
@@ -144,9 +241,8 @@ router.get('/:userId/:t/meta/:type/:id.json', async (req, res) => {
   return res.json(result);
 });
 
-router.get('/:userId/meta/:type/:id.json', async (req, res) => {
+router.get('/:userId/meta/:type/:id.json', requireToken, async (req, res) => {
   const { userId, type, id } = req.params;
-  if (!(await validateToken(req, res, userId, null))) return res.status(403).json({ error: 'invalid_token' });
   const imdb = String(id || '');
   if (!/^tt\d+$/i.test(imdb)) return res.json({ meta: null });
   const result = await getMeta({ userId, type, imdb });
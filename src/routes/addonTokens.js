@@ -0,0 +1,77 @@
+// src/routes/addonTokens.js
+// Per-device addon tokens: one named install link per TV/phone/…, with last use, revoke and rotate.
+// A token's link (manifestUrl/stremioLink) is only returned when it is issued; afterwards only its hash exists.
+const express = require('express');
+const { z } = require('zod');
+const { validate } = require('../middleware/validate');
+const { authRequired } = require('../middleware/auth');
+const { repo } = require('../db/repo');
+const cfg = require('../config');
+const {
+  listAddonTokens, createAddonToken, revokeAddonTokens, rotateAddonToken, installLinks
+} = require('../services/addonTokens');
+
+const router = express.Router();
+router.use(authRequired);
+
+// GET all tokens (revoked and expired ones included, newest first)
+router.get('/addon-tokens', async (req, res) => {
+  try {
+    const tokens = await listAddonTokens(req.user.id);
+    res.json({ signing: !!cfg.addonSigning.secret, tokens: tokens.reverse() });
+  } catch {
+    res.status(500).json({ error: 'load_tokens_failed' });
+  }
+});
+
+// POST issue a token; expiresInDays makes a signed, expiring link (needs ADDON_SIGNING_SECRET)
+const createSchema = z.object({
+  body: z.object({
+    name: z.string().trim().min(1).max(100),
+    profileId: z.string().trim().min(1).optional(),
+    expiresInDays: z.coerce.number().int().min(1).max(365).optional()
+  })
+});
+router.post('/addon-tokens', validate(createSchema), async (req, res) => {
+  const { name, profileId, expiresInDays } = req.validated.body;
+  try {
+    if (expiresInDays && !cfg.addonSigning.secret) return res.status(400).json({ error: 'signing_disabled' });
+    if (profileId) {
+      const profiles = await repo.getProfiles(req.user.id) || [];
+      if (!profiles.some(p => p.id === profileId)) return res.status(404).json({ error: 'profile_not_found' });
+    }
+    const issued = await createAddonToken(req.user.id, {
+      name,
+      profileId: profileId || null,
+      expiresInSec: expiresInDays ? expiresInDays * 86400 : 0
+    });
+    if (!issued) return res.status(400).json({ error: 'signing_disabled' });
+    res.status(201).json({ token: issued.token, ...installLinks(req.user.id, issued.credential, issued.token.profileId) });
+  } catch {
+    res.status(500).json({ error: 'create_token_failed' });
+  }
+});
+
+// POST replace a token with a new one for the same device; the old link stops working
+router.post('/addon-tokens/:id/rotate', async (req, res) => {
+  try {
+    const issued = await rotateAddonToken(req.user.id, req.params.id);
+    if (!issued) return res.status(404).json({ error: 'token_not_found' });
+    res.json({ token: issued.token, ...installLinks(req.user.id, issued.credential, issued.token.profileId) });
+  } catch {
+    res.status(500).json({ error: 'rotate_token_failed' });
+  }
+});
+
+// DELETE revoke a token (kept in the list as revoked)
+router.delete('/addon-tokens/:id', async (req, res) => {
+  try {
+    const n = await revokeAddonTokens(req.user.id, t => t.id === req.params.id);
+    if (!n) return res.status(404).json({ error: 'token_not_found' });
+    res.status(204).end();
+  } catch {
+    res.status(500).json({ error: 'revoke_token_failed' });
+  }
+});
+
+module.exports = { router };
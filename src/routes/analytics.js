@@ -4,7 +4,7 @@ const { ensureValidToken } = require('../services/traktService');
 const { authRequired } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
 // Removed personalizedLists dependency
-const axios = require('axios');
+const { trakt } = require('../services/traktClient');
 
 // Get user's analytics data from Trakt
 router.get('/analytics', authRequired, async (req, res) => {
@@ -17,18 +17,16 @@ router.get('/analytics', authRequired, async (req, res) => {
       return res.status(401).json({ error: 'Trakt authentication required. Please connect your Trakt account first.' });
     }
 
-    const headers = {
-      'Content-Type': 'application/json',
-      'trakt-api-version': '2',
-      'trakt-api-key': process.env.TRAKT_CLIENT_ID || '',
-      'Authorization': `Bearer ${accessToken}`
+    const opts = {
+      headers: { 'Authorization': `Bearer ${accessToken}` },
+      userId
     };
 
     // Fetch analytics data from Trakt API
     const [statsResponse, historyResponse, ratingsResponse] = await Promise.allSettled([
-      axios.get('https://api.trakt.tv/users/me/stats', { headers }),
-      axios.get('https://api.trakt.tv/users/me/history?limit=100', { headers }),
-      axios.get('https://api.trakt.tv/users/me/ratings?limit=100', { headers })
+      trakt.get('/users/me/stats', opts),
+      trakt.get('/users/me/history?limit=100', opts),
+      trakt.get('/users/me/ratings?limit=100', opts)
     ]);
 
     let analytics = {
@@ -3,14 +3,22 @@ const express = require('express');
 const { z } = require('zod');
 const { validate } = require('../middleware/validate');
 const { authRequired } = require('../middleware/auth');
-const { repo, ensureAddonToken } = require('../db/repo');
+const { repo } = require('../db/repo');
 const { bumpManifestVersion } = require('../db/version');
-const { v4: uuidv4 } = require('uuid');
 const cfg = require('../config');
 const { validateListExists, getUserListItems } = require('../services/traktService');
-const { cache } = require('../utils/cache');
-const { getUserSettings, updateUserSettings } = require('../state/userSettings');
+const { getUserSettings } = require('../state/userSettings');
+const { POSTER_SOURCES } = require('../services/artworkService');
 const { GENRES } = require('../constants/genres');
+const { normalizeSortKey, sortItems } = require('../utils/sort');
+const { dropListMirror, getListSyncStatus, clearUserCatalogCache } = require('../services/listMirror');
+const { getListHistory, dropListHistory } = require('../services/listHistory');
+const { IMPORT_FORMATS, parseImport, resolveImport } = require('../services/listImport');
+const { replaceLocalItems, dropLocalList } = require('../services/localLists');
+const { refreshCatalogOptions } = require('../services/addonService');
+const { LIST_TYPES, LIST_KINDS, COMPOSITE_OPERATORS, ROTATIONS, NEW_MARKERS, CATALOG_TYPES, FACET_GROUPS, MAX_PRESETS, normalizeList, nextListOrder } = require('../services/listConfig');
+const { validComposite, validRow, saveConfig } = require('../services/configSave');
+const { EXPORT_FORMAT, EXPORT_VERSION, IMPORT_MODES, buildExport, loadCurrent, planImport, applyImport } = require('../services/configBackup');
 
 const router = express.Router();
 router.use(authRequired);
@@ -19,7 +27,19 @@ router.use(authRequired);
 const urlOrSlug = z.string().min(3);
 
 // Coercive list item schema (includes filters)
-const typeCoerce = z.preprocess(v => String(v ?? '').toLowerCase(), z.enum(['movie', 'series']));
+const typeCoerce = z.preprocess(v => String(v ?? '').toLowerCase(), z.enum(LIST_TYPES));
+// Named facet preset (services/listFacets): a label for the genre picker plus the ranges it applies;
+// unnamed presets (a row still being filled in) are dropped by normalizeList
+const presetSchema = z.object({
+  name: z.string().trim().max(40),
+  yearMin: z.coerce.number().int().min(1800).max(3000).optional(),
+  yearMax: z.coerce.number().int().min(1800).max(3000).optional(),
+  ratingMin: z.coerce.number().min(0).max(10).optional(),
+  ratingMax: z.coerce.number().min(0).max(10).optional(),
+  runtimeMin: z.coerce.number().int().min(0).max(1000).optional(),
+  runtimeMax: z.coerce.number().int().min(0).max(1000).optional()
+});
+
 const listItemLoose = z.object({
   id: z.preprocess(v => (v == null || v === '') ? undefined : String(v), z.string().optional()),
   name: z.string().trim().min(1),
@@ -34,24 +54,46 @@ const listItemLoose = z.object({
   ratingMax: z.string().trim().optional(),   // NEW
   enabled: z.coerce.boolean().optional(),
   order: z.coerce.number().int().optional(),
-  hideUnreleased: z.coerce.boolean().optional() // NEW
+  hideUnreleased: z.coerce.boolean().optional(), // NEW
+  hideWatched: z.coerce.boolean().optional(),
+  rotation: z.enum(ROTATIONS).or(z.literal('')).optional(),
+  rotationSize: z.coerce.number().int().min(0).max(1000).optional(),
+  recentDays: z.coerce.number().int().min(0).max(365).optional(),
+  newMarker: z.enum(NEW_MARKERS).or(z.literal('')).optional(),
+  catalogType: z.enum(CATALOG_TYPES).or(z.literal('')).optional(),
+  showInHome: z.boolean().optional(),
+  facets: z.array(z.enum(FACET_GROUPS)).optional(),
+  presets: z.array(presetSchema).max(MAX_PRESETS).optional(),
+  kind: z.enum(LIST_KINDS).optional(),
+  members: z.array(z.string().trim().min(1)).optional(),
+  operator: z.enum(COMPOSITE_OPERATORS).or(z.literal('')).optional()
 });
 
+// Global settings accepted by POST /config and inside backups
+const settingsFields = {
+  catalogPrefix: z.string().optional(),
+  addonName: z.string().optional(),
+  hideUnreleasedAll: z.coerce.boolean().optional(), // NEW
+  hideWatchedAll: z.coerce.boolean().optional(),
+  hideTraktHidden: z.coerce.boolean().optional(),
+  posterSource: z.enum(POSTER_SOURCES).optional(),
+  catalogTypes: z.enum(CATALOG_TYPES).optional(),
+  genreCounts: z.coerce.boolean().optional(),
+  // Custom poster URL; {imdb} is required so every title gets its own image
+  posterTemplate: z.union([
+    z.literal(''),
+    z.string().trim().regex(/^https?:\/\/\S+$/).refine(s => s.includes('{imdb}'), 'template_needs_imdb')
+  ]).optional()
+};
+
 // Save payload: lists/settings both optional
 const saveSchema = z.object({
   body: z.object({
     lists: z.array(listItemLoose).optional(),
-    catalogPrefix: z.string().optional(),
-    addonName: z.string().optional(),
-    hideUnreleasedAll: z.coerce.boolean().optional() // NEW
+    ...settingsFields
   })
 });
 
-function clearUserCatalogCache(userId) {
-  const prefix = `${userId}:catalog:`;
-  cache.keys().forEach(key => { if (key.startsWith(prefix)) cache.del(key); });
-}
-
 // Genres helper (for UI display, sourced from manifest’s canonical list)
 router.get('/genres', async (_req, res) => {
   res.json({ genres: Array.isArray(GENRES) ? GENRES : [] });
@@ -62,11 +104,19 @@ router.get('/config', async (req, res) => {
   try{
     const lists = await repo.getLists(req.user.id);
     const settings = await getUserSettings(repo, req.user.id).catch(() => ({}));
+    const listSync = await getListSyncStatus(req.user.id, lists).catch(() => ({}));
     res.json({
       lists,
+      listSync,
       catalogPrefix: settings.catalogPrefix || '',
       addonName: settings.addonName || 'Trakt Lists',
-      hideUnreleasedAll: !!settings.hideUnreleasedAll
+      hideUnreleasedAll: !!settings.hideUnreleasedAll,
+      hideWatchedAll: !!settings.hideWatchedAll,
+      hideTraktHidden: !!settings.hideTraktHidden,
+      posterSource: settings.posterSource || 'cinemeta',
+      posterTemplate: settings.posterTemplate || '',
+      catalogTypes: settings.catalogTypes || 'custom',
+      genreCounts: !!settings.genreCounts
     });
   }catch(e){
     res.status(500).json({ error: 'load_config_failed' });
@@ -75,68 +125,18 @@ router.get('/config', async (req, res) => {
 
 // POST /config — save lists and/or settings
 router.post('/config', validate(saveSchema), async (req, res) => {
-  const { lists, catalogPrefix, addonName, hideUnreleasedAll } = req.validated.body || {};
-
-  // For cache invalidation on global toggle change
-  const before = await getUserSettings(repo, req.user.id).catch(() => ({}));
-  const beforeFlag = !!before.hideUnreleasedAll;
-
-  if (Array.isArray(lists)) {
-    const existing = await repo.getLists(req.user.id).catch(() => []);
-    const maxOrder = existing.reduce((m, r) => Number.isInteger(r.order) ? Math.max(m, r.order) : m, -1);
-    let nextOrder = maxOrder + 1;
-    const normalized = lists.map((l) => ({
-      id: (l.id && typeof l.id === 'string' && l.id) ? l.id : uuidv4(),
-      name: (l.name || '').trim(),
-      url: typeof l.url === 'string' ? l.url.trim() : '',
-      type: l.type === 'series' ? 'series' : 'movie',
-      sortBy: l.sortBy || '',
-      sortOrder: l.sortOrder || '',
-      genre: l.genre || '',             // NEW persisted
-      yearMin: l.yearMin || '',         // NEW persisted
-      yearMax: l.yearMax || '',         // NEW persisted
-      ratingMin: l.ratingMin || '',     // NEW persisted
-      ratingMax: l.ratingMax || '',     // NEW persisted
-      enabled: typeof l.enabled === 'boolean' ? l.enabled : true,
-      order: Number.isInteger(l.order) ? l.order : (nextOrder++),
-      hideUnreleased: !!l.hideUnreleased
-    }));
-    const bad = normalized
-      .map((r, i) => ({ i, ok: r.name.length >= 1 && r.url.length >= 3 }))
-      .filter(x => !x.ok).map(x => x.i);
-    if (bad.length) return res.status(400).json({ ok: false, error: 'invalid_rows', rows: bad });
-    await repo.saveLists(req.user.id, normalized);
-    clearUserCatalogCache(req.user.id); // lists changed
-  }
-
-  // Persist provided settings; ignore undefined keys
-  let changedGlobal = false;
-  if (
-    typeof catalogPrefix === 'string' ||
-    typeof addonName === 'string' ||
-    typeof hideUnreleasedAll === 'boolean'
-  ) {
-    await updateUserSettings(repo, req.user.id, { catalogPrefix, addonName, hideUnreleasedAll }); // NEW
-    if (typeof hideUnreleasedAll === 'boolean') {
-      changedGlobal = beforeFlag !== hideUnreleasedAll;
-    }
-  }
-
-  if (changedGlobal) {
-    clearUserCatalogCache(req.user.id); // global filter changed => purge caches
-  }
-
-  await bumpManifestVersion(req.user.id);
+  const result = await saveConfig(req.user.id, req.validated.body);
+  if (!result.ok) return res.status(400).json(result);
   res.json({ ok: true });
 });
 
 // Validate list (quick checks)
-const validateSchema = z.object({ body: z.object({ url: urlOrSlug, type: z.enum(['movie','series']) }) });
+const validateSchema = z.object({ body: z.object({ url: urlOrSlug, type: z.enum(LIST_TYPES) }) });
 router.post('/validate-list', validate(validateSchema), async (req, res) => {
   const { url, type } = req.validated.body;
   try {
-    const exists = await validateListExists(url);
-    if (!exists.ok) return res.status(400).json({ ok: false, error: 'invalid_list' });
+    const exists = await validateListExists(url, req.user.id);
+    if (!exists.ok) return res.status(400).json({ ok: false, error: exists.error || 'invalid_list' });
     const items = await getUserListItems({ userId: req.user.id, urlOrSlug: url, stremioType: type, limit: 1 });
     return res.json({ ok: true, count: Array.isArray(items) ? items.length : 0 });
   } catch {
@@ -149,8 +149,18 @@ router.post('/validate-all', async (req, res) => {
     const lists = await repo.getLists(req.user.id);
     const out = [];
     for (const l of (lists || [])) {
+      if (l.kind === 'composite') {
+        const ok = validComposite({ ...l, members: l.members || [] }, lists);
+        out.push({ id: l.id, name: l.name, ok });
+        continue;
+      }
+      if (l.kind === 'local') {
+        const doc = await repo.getLocalList(req.user.id, l.id).catch(() => null);
+        out.push({ id: l.id, name: l.name, ok: !!(doc && doc.items.length) });
+        continue;
+      }
       try {
-        const r = await validateListExists(l.url || '');
+        const r = await validateListExists(l.url || '', req.user.id);
         out.push({ id: l.id, name: l.name, ok: !!r.ok });
       } catch {
         out.push({ id: l.id, name: l.name, ok: false });
@@ -167,7 +177,7 @@ router.post('/validate-all', async (req, res) => {
 const previewSchema = z.object({
   body: z.object({
     url: urlOrSlug,
-    type: z.enum(['movie','series']),
+    type: z.enum(LIST_TYPES),
     extras: z.object({
       sort: z.string().optional(),
       order: z.string().optional(),
@@ -265,22 +275,17 @@ function applyPreviewFilters(items, extras = {}) {
   return out;
 }
 
-function applyPreviewSort(items, sort, order) {
-  const dir = (String(order||'desc').toLowerCase()==='asc') ? 1 : -1;
-  const s = String(sort||'').toLowerCase();
-  const arr = items.slice();
-  if (s === 'rating') arr.sort((a,b) => (((a[a.type]?.rating)||0) - ((b[b.type]?.rating)||0)) * dir);
-  else if (s === 'year') arr.sort((a,b) => (((a[a.type]?.year)||0) - ((b[b.type]?.year)||0)) * dir);
-  else if (s === 'runtime') arr.sort((a,b) => (((a[a.type]?.runtime)||0) - ((b[b.type]?.runtime)||0)) * dir);
-  else if (s === 'name') arr.sort((a,b) => String(a[a.type]?.title||'').localeCompare(String(b[b.type]?.title||'')) * dir);
-  return arr;
+// Same item-level sort as catalogs (Trakt-only keys keep the fetched order)
+function applyPreviewSort(items, sort, order, seed) {
+  const key = normalizeSortKey(sort);
+  return key ? sortItems(items, key, order || undefined, { seed }) : items;
 }
 
 router.post('/preview-list', validate(previewSchema), async (req, res) => {
   const { url, type, extras } = req.validated.body;
   try {
-    const exists = await validateListExists(url);
-    if (!exists.ok) return res.status(400).json({ error: 'invalid_list' });
+    const exists = await validateListExists(url, req.user.id);
+    if (!exists.ok) return res.status(400).json({ error: exists.error || 'invalid_list' });
 
     // Determine if AND is requested and increase candidate pool for intersections
     const genreText = String(extras?.genre || '').trim();
@@ -297,7 +302,7 @@ router.post('/preview-list', validate(previewSchema), async (req, res) => {
       filtered = applyPreviewFilters(more || [], extras || {});
     }
 
-    if (extras?.sort) filtered = applyPreviewSort(filtered, extras.sort, extras.order);
+    if (extras?.sort) filtered = applyPreviewSort(filtered, extras.sort, extras.order, `${req.user.id}:${url}`);
 
     const previews = (filtered || []).slice(0, 25).map(it => {
       const core = it[it.type];
@@ -314,22 +319,133 @@ router.delete('/config/:id', async (req, res) => {
   const lists = await repo.getLists(req.user.id);
   const next = lists.filter(l => l.id !== req.params.id);
   await repo.saveLists(req.user.id, next);
+  await dropListMirror(req.user.id, req.params.id);
+  await dropListHistory(req.user.id, req.params.id);
+  await dropLocalList(req.user.id, req.params.id);
   clearUserCatalogCache(req.user.id);
   await bumpManifestVersion(req.user.id);
+  refreshCatalogOptions(req.user.id).catch(() => {});
   res.json({ ok: true });
 });
 
-// Addon info (tokenized manifest link)
+// POST /import-list — create a local list from an export file, or replace the items of one (?listId=).
+// The raw file is the body (text/csv, text/plain or JSON); the response carries the match report.
+const importSchema = z.object({
+  query: z.object({
+    name: z.string().trim().min(1).max(100).optional(),
+    filename: z.string().trim().max(255).optional(),
+    type: z.enum(LIST_TYPES).optional(),
+    format: z.enum(IMPORT_FORMATS).optional(),
+    listId: z.string().trim().min(1).optional()
+  }),
+  body: z.union([z.string(), z.array(z.unknown()), z.record(z.unknown())])
+});
+const importBody = express.text({ type: ['text/*', 'application/octet-stream'], limit: '5mb' });
+
+router.post('/import-list', importBody, validate(importSchema), async (req, res) => {
+  const { name, filename, type, format, listId } = req.validated.query;
+  const parsed = parseImport(req.validated.body, format);
+  if (!parsed.ok) return res.status(400).json({ ok: false, error: parsed.error });
+  try {
+    const lists = await repo.getLists(req.user.id);
+    let list = listId ? lists.find(l => l.id === listId) : null;
+    if (listId && (!list || list.kind !== 'local')) return res.status(404).json({ ok: false, error: 'list_not_found' });
+
+    const { items, report } = await resolveImport(req.user.id, parsed);
+    if (!items.length) return res.status(400).json({ ok: false, error: 'no_matches', report });
+
+    if (!list) {
+      const types = new Set(items.map(it => it.type));
+      const inferred = types.size > 1 ? 'mixed' : (types.has('show') ? 'series' : 'movie');
+      const fallbackName = String(filename || '').replace(/\.[a-z0-9]+$/i, '').trim() || `Imported ${report.format} list`;
+      list = normalizeList({ name: name || fallbackName, type: type || inferred, kind: 'local' }, nextListOrder(lists));
+      await repo.saveLists(req.user.id, lists.concat(list));
+    }
+    const source = { format: report.format, filename: filename || '', importedAt: new Date().toISOString() };
+    await replaceLocalItems(req.user.id, list, items, source);
+    await bumpManifestVersion(req.user.id);
+    res.json({ ok: true, list, report });
+  } catch {
+    res.status(500).json({ ok: false, error: 'import_failed' });
+  }
+});
+
+// GET /config/export — lists, settings and local list items as a versioned backup document
+router.get('/config/export', async (req, res) => {
+  try{
+    const doc = await buildExport(req.user.id);
+    const day = doc.exportedAt.slice(0, 10);
+    res.set('Cache-Control', 'no-store');
+    res.set('Content-Disposition', `attachment; filename="trakt-lists-config-${day}.json"`);
+    res.json(doc);
+  }catch{
+    res.status(500).json({ error: 'export_failed' });
+  }
+});
+
+// POST /config/import?mode=merge|replace&dryRun=1 — restore a backup; dry runs only return the diff.
+// Small backups may be sent as JSON; larger ones (local list items) as a text/plain file body.
+const backupSchema = z.object({
+  format: z.literal(EXPORT_FORMAT),
+  version: z.number().int().min(1).max(EXPORT_VERSION),
+  exportedAt: z.string().optional(),
+  settings: z.object(settingsFields).optional(),
+  lists: z.array(listItemLoose).max(1000),
+  localLists: z.record(z.array(z.unknown())).optional()
+});
+const restoreSchema = z.object({
+  query: z.object({
+    mode: z.enum(IMPORT_MODES).optional().default('merge'),
+    dryRun: z.preprocess(v => v === '1' || v === 'true', z.boolean())
+  }),
+  body: z.preprocess(v => {
+    if (typeof v !== 'string') return v;
+    try { return JSON.parse(v.replace(/^\uFEFF/, '')); } catch { return undefined; }
+  }, backupSchema)
+});
+
+router.post('/config/import', importBody, validate(restoreSchema), async (req, res) => {
+  const { mode, dryRun } = req.validated.query;
+  try{
+    const plan = planImport(await loadCurrent(req.user.id), req.validated.body, mode);
+    const bad = plan.lists
+      .filter(r => !validRow(r, plan.lists))
+      .map(r => ({ id: r.id, name: r.name }));
+    if (bad.length) return res.status(400).json({ ok: false, error: 'invalid_rows', rows: bad, diff: plan.diff });
+    if (dryRun) return res.json({ ok: true, dryRun: true, diff: plan.diff });
+
+    await applyImport(req.user.id, plan);
+    clearUserCatalogCache(req.user.id);
+    await bumpManifestVersion(req.user.id);
+    refreshCatalogOptions(req.user.id).catch(() => {});
+    res.json({ ok: true, dryRun: false, diff: plan.diff });
+  }catch{
+    res.status(500).json({ ok: false, error: 'config_import_failed' });
+  }
+});
+
+// GET /lists/:id/history — titles added/removed between snapshots, newest first
+router.get('/lists/:id/history', async (req, res) => {
+  try{
+    const lists = await repo.getLists(req.user.id);
+    const list = lists.find(l => l.id === req.params.id);
+    if (!list) return res.status(404).json({ error: 'list_not_found' });
+    if (list.kind === 'composite') return res.status(400).json({ error: 'history_not_available' });
+    const limit = Math.min(50, Math.max(1, parseInt(String(req.query.limit || '20'), 10) || 20));
+    const history = await getListHistory(req.user.id, list.id, { limit });
+    res.json({ listId: list.id, ...history });
+  }catch{
+    res.status(500).json({ error: 'load_history_failed' });
+  }
+});
+
+// Addon info; install links carry a device token and are only handed out by /api/addon-tokens
 router.get('/addon-info', async (req, res) => {
   const lists = await repo.getLists(req.user.id);
   const enabled = lists.filter(l => l.enabled).length;
-  const token = await ensureAddonToken(req.user.id);
-  const base = `${cfg.baseUrl}/u/${req.user.id}/manifest.json`;
-  const tokenized = `${base}?t=${token}`;
   res.json({
-    manifestUrl: tokenized,
     enabledCatalogs: enabled,
-    stremioLink: `stremio://${encodeURIComponent(tokenized)}`
+    signing: !!cfg.addonSigning.secret
   });
 });
 
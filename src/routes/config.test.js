@@ -0,0 +1,56 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../db/repo', () => ({
+  repo: { getLists: jest.fn(), getLocalList: jest.fn() }
+}));
+jest.mock('../services/traktService', () => ({
+  validateListExists: jest.fn(),
+  getUserListItems: jest.fn()
+}));
+
+const { repo } = require('../db/repo');
+const { validateListExists } = require('../services/traktService');
+const configRoutes = require('./config');
+
+function app() {
+  const a = express();
+  a.use(express.json());
+  a.use((req, _res, next) => { req.user = { id: 'u1' }; next(); });
+  a.use('/api', configRoutes);
+  return a;
+}
+
+describe('POST /api/validate-all', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('checks Trakt, local and composite lists', async () => {
+    repo.getLists.mockResolvedValue([
+      { id: 'a', name: 'A', kind: 'trakt', url: 'https://trakt.tv/users/x/lists/a' },
+      { id: 'b', name: 'B', kind: 'trakt', url: 'https://trakt.tv/users/x/lists/b' },
+      { id: 'loc', name: 'Local', kind: 'local' },
+      { id: 'c', name: 'Both', kind: 'composite', members: ['a', 'b'] },
+      { id: 'bad', name: 'Broken', kind: 'composite', members: ['c'] }
+    ]);
+    repo.getLocalList.mockResolvedValue({ items: [{ imdb: 'tt0000001' }] });
+    validateListExists.mockImplementation(async (url) => ({ ok: url.endsWith('/a') }));
+
+    const res = await request(app()).post('/api/validate-all');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 5, ok: 3, failed: 2 });
+    expect(Object.fromEntries(res.body.results.map(r => [r.id, r.ok])))
+      .toEqual({ a: true, b: false, loc: true, c: true, bad: false });
+    expect(validateListExists).toHaveBeenCalledWith('https://trakt.tv/users/x/lists/a', 'u1');
+  });
+
+  it('reports a failed Trakt check instead of failing the request', async () => {
+    repo.getLists.mockResolvedValue([{ id: 'a', name: 'A', kind: 'trakt', url: 'x' }]);
+    validateListExists.mockRejectedValue(new Error('down'));
+
+    const res = await request(app()).post('/api/validate-all');
+
+    expect(res.status).toBe(200);
+    expect(res.body.results).toEqual([{ id: 'a', name: 'A', ok: false }]);
+  });
+});
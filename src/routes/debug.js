@@ -1,25 +1,9 @@
 // src/routes/debug.js
 const express = require('express');
-const axios = require('axios');
+const { trakt } = require('../services/traktClient');
 
 const router = express.Router();
 
-const TRAKT_BASE = 'https://api.trakt.tv';
-const TRAKT_CLIENT_ID = process.env.TRAKT_CLIENT_ID || '';
-
-const probe = axios.create({
-  baseURL: TRAKT_BASE,
-  timeout: 15000,
-  validateStatus: () => true // never throw on non-2xx so we see real status codes
-});
-
-probe.interceptors.request.use((cfg) => {
-  cfg.headers = cfg.headers || {};
-  cfg.headers['trakt-api-version'] = '2';
-  cfg.headers['trakt-api-key'] = TRAKT_CLIENT_ID;
-  return cfg;
-});
-
 router.get('/debug/trakt-probe', async (req, res) => {
   const raw = req.query.url || '';
   const clean = String(raw).replace(/[?#].*$/, '').replace(/\/+$/, ''); // strip query/hash/slash [4]
@@ -45,7 +29,7 @@ router.get('/debug/trakt-probe', async (req, res) => {
   if (!tries.length) return res.status(400).json({ error: 'bad_input', input: raw, clean }); // parse failed [4]
 
   for (const t of tries) {
-    const r = await probe.get(t.path);
+    const r = await trakt.get(t.path, { validateStatus: () => true }); // never throw on non-2xx so we see real status codes
     t.status = r.status;
   }
   res.json({ input: raw, clean, user, slug, idOrSlug, attempts: tries });
@@ -6,6 +6,7 @@ const router = express.Router();
 const healthMonitor = require('../services/healthMonitor');
 const { authRequired } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
+const { getTraktStats } = require('../services/traktClient');
 
 /**
  * Public health endpoint for basic status
@@ -123,4 +124,16 @@ router.get('/services', authRequired, async (req, res) => {
   }
 });
 
+/**
+ * Trakt API client: queue state and per-endpoint timings/errors (authenticated)
+ */
+router.get('/trakt', authRequired, async (req, res) => {
+  try {
+    res.json({ ...getTraktStats(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error({ error }, 'trakt_stats_endpoint_error');
+    res.status(500).json({ error: 'Failed to get Trakt API stats' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,51 +1,200 @@
+// src/routes/lists.js
+// Self-hosted lists: user-owned lists whose items live in this addon (saved lists of kind "local").
+// They publish catalogs like Trakt lists, can be composite members and need no Trakt account;
+// items are added, removed, annotated and reordered by IMDb id.
 const express = require('express');
+const { z } = require('zod');
+const { validate } = require('../middleware/validate');
+const { authRequired } = require('../middleware/auth');
+const { repo } = require('../db/repo');
+const { bumpManifestVersion } = require('../db/version');
+const { LIST_TYPES, normalizeList, nextListOrder } = require('../services/listConfig');
+const {
+  listLocalItems, addLocalItems, removeLocalItems, updateLocalItem, reorderLocalItems, dropLocalList
+} = require('../services/localLists');
+const { clearListCatalogCache } = require('../services/listMirror');
+const { refreshCatalogOptions } = require('../services/addonService');
+const { dropListHistory } = require('../services/listHistory');
+
 const router = express.Router();
+router.use(authRequired);
+
+const MAX_BATCH = 500; // ids per bulk request
+const imdbId = z.string().trim().regex(/^tt\d{5,}$/i);
+const ids = z.array(imdbId).min(1).max(MAX_BATCH);
+const position = z.coerce.number().int().min(1);
+const notes = z.string().max(500);
 
-// In-memory store for quick restore; replace with DB as needed
-let seq = 3;
-let lists = [
-  { id: 'watchlist', name: 'Watchlist', position: 0 },
-  { id: 'favorites', name: 'Favorites', position: 1 },
-  { id: 'docs',      name: 'Documentaries', position: 2 },
-];
+function summary(list, doc) {
+  return {
+    id: list.id,
+    name: list.name,
+    type: list.type,
+    enabled: list.enabled !== false,
+    itemCount: doc && Array.isArray(doc.items) ? doc.items.length : 0,
+    updatedAt: (doc && doc.updatedAt) || null
+  };
+}
 
-// Utilities
-function sortByPos(a, b) { return (a.position ?? 0) - (b.position ?? 0); }
+// Resolve :id to one of the user's local lists (req.lists / req.localList)
+async function loadLocalList(req, res, next) {
+  try {
+    const lists = await repo.getLists(req.user.id);
+    const list = (lists || []).find(l => l.id === req.params.id && l.kind === 'local');
+    if (!list) return res.status(404).json({ error: 'list_not_found' });
+    req.lists = lists;
+    req.localList = list;
+    next();
+  } catch {
+    res.status(500).json({ error: 'load_list_failed' });
+  }
+}
 
-// GET all lists
-router.get('/lists', async (_req, res) => {
-  res.json(lists.slice().sort(sortByPos).map(l => ({ id: l.id, name: l.name })));
+// GET all local lists
+router.get('/lists', async (req, res) => {
+  try {
+    const lists = (await repo.getLists(req.user.id) || []).filter(l => l.kind === 'local');
+    const out = [];
+    for (const l of lists) out.push(summary(l, await repo.getLocalList(req.user.id, l.id).catch(() => null)));
+    res.json(out);
+  } catch {
+    res.status(500).json({ error: 'load_lists_failed' });
+  }
 });
 
 // POST create a new list
-router.post('/lists', async (req, res) => {
-  const name = String(req.body?.name || '').trim();
-  if (!name) return res.status(400).json({ error: 'name required' });
-  const id = `list_${Date.now()}_${seq++}`;
-  const position = lists.length;
-  const rec = { id, name, position };
-  lists.push(rec);
-  res.status(201).json({ id, name });
-});
-
-// PATCH rename a list
-router.patch('/lists/:id', async (req, res) => {
-  const name = String(req.body?.name || '').trim();
-  if (!name) return res.status(400).json({ error: 'name required' });
-  const i = lists.findIndex(l => l.id === req.params.id);
-  if (i < 0) return res.status(404).json({ error: 'not found' });
-  lists[i] = { ...lists[i], name };
-  res.json({ id: lists[i].id, name: lists[i].name });
-});
-
-// DELETE a list
-router.delete('/lists/:id', async (req, res) => {
-  const i = lists.findIndex(l => l.id === req.params.id);
-  if (i < 0) return res.status(404).json({ error: 'not found' });
-  lists.splice(i, 1);
-  // re-sequence positions
-  lists = lists.map((l, idx) => ({ ...l, position: idx }));
-  res.status(204).end();
+const createSchema = z.object({
+  body: z.object({
+    name: z.string().trim().min(1).max(100),
+    type: z.enum(LIST_TYPES).optional()
+  })
+});
+router.post('/lists', validate(createSchema), async (req, res) => {
+  const { name, type } = req.validated.body;
+  try {
+    const lists = await repo.getLists(req.user.id) || [];
+    const list = normalizeList({ name, type: type || 'mixed', kind: 'local' }, nextListOrder(lists));
+    await repo.saveLists(req.user.id, lists.concat(list));
+    await bumpManifestVersion(req.user.id);
+    refreshCatalogOptions(req.user.id).catch(() => {});
+    res.status(201).json(summary(list, null));
+  } catch {
+    res.status(500).json({ error: 'create_list_failed' });
+  }
+});
+
+// PATCH rename a list / change its catalog type or enabled flag
+const updateSchema = z.object({
+  body: z.object({
+    name: z.string().trim().min(1).max(100).optional(),
+    type: z.enum(LIST_TYPES).optional(),
+    enabled: z.boolean().optional()
+  })
+});
+router.patch('/lists/:id', loadLocalList, validate(updateSchema), async (req, res) => {
+  const changes = req.validated.body;
+  try {
+    const list = { ...req.localList, ...Object.fromEntries(Object.entries(changes).filter(([, v]) => v !== undefined)) };
+    await repo.saveLists(req.user.id, req.lists.map(l => (l.id === list.id ? list : l)));
+    clearListCatalogCache(req.user.id, [list.id]);
+    await bumpManifestVersion(req.user.id);
+    refreshCatalogOptions(req.user.id).catch(() => {});
+    res.json(summary(list, await repo.getLocalList(req.user.id, list.id).catch(() => null)));
+  } catch {
+    res.status(500).json({ error: 'update_list_failed' });
+  }
+});
+
+// DELETE a list with its items and history
+router.delete('/lists/:id', loadLocalList, async (req, res) => {
+  try {
+    await repo.saveLists(req.user.id, req.lists.filter(l => l.id !== req.localList.id));
+    await dropLocalList(req.user.id, req.localList.id);
+    await dropListHistory(req.user.id, req.localList.id);
+    clearListCatalogCache(req.user.id, [req.localList.id]);
+    await bumpManifestVersion(req.user.id);
+    refreshCatalogOptions(req.user.id).catch(() => {});
+    res.status(204).end();
+  } catch {
+    res.status(500).json({ error: 'delete_list_failed' });
+  }
+});
+
+// GET items in list order
+router.get('/lists/:id/items', loadLocalList, async (req, res) => {
+  try {
+    res.json({ items: await listLocalItems(req.user.id, req.localList) });
+  } catch {
+    res.status(500).json({ error: 'load_items_failed' });
+  }
+});
+
+// POST add items (bulk); titles already on the list are reported, not duplicated
+const addSchema = z.object({
+  body: z.object({
+    items: z.array(z.object({
+      imdb: imdbId,
+      type: z.enum(['movie', 'series']).optional(),
+      notes: notes.optional()
+    })).min(1).max(MAX_BATCH),
+    position: position.optional()
+  })
+});
+router.post('/lists/:id/items', loadLocalList, validate(addSchema), async (req, res) => {
+  const { items, position: at } = req.validated.body;
+  try {
+    res.json(await addLocalItems(req.user.id, req.localList, items, { position: at }));
+  } catch {
+    res.status(500).json({ error: 'add_items_failed' });
+  }
+});
+
+// DELETE remove items (bulk)
+const removeSchema = z.object({ body: z.object({ ids }) });
+router.delete('/lists/:id/items', loadLocalList, validate(removeSchema), async (req, res) => {
+  try {
+    const removed = await removeLocalItems(req.user.id, req.localList, req.validated.body.ids);
+    res.json({ removed });
+  } catch {
+    res.status(500).json({ error: 'remove_items_failed' });
+  }
+});
+
+// PUT reorder: listed ids first, in that order
+const orderSchema = z.object({ body: z.object({ ids: z.array(imdbId).min(1).max(10000) }) });
+router.put('/lists/:id/items/order', loadLocalList, validate(orderSchema), async (req, res) => {
+  try {
+    res.json({ items: await reorderLocalItems(req.user.id, req.localList, req.validated.body.ids) });
+  } catch {
+    res.status(500).json({ error: 'reorder_items_failed' });
+  }
+});
+
+// PATCH one item: notes and/or position
+const itemSchema = z.object({
+  params: z.object({ id: z.string(), imdb: imdbId }),
+  body: z.object({ notes: notes.optional(), position: position.optional() })
+});
+router.patch('/lists/:id/items/:imdb', loadLocalList, validate(itemSchema), async (req, res) => {
+  const { notes: text, position: at } = req.validated.body;
+  try {
+    const item = await updateLocalItem(req.user.id, req.localList, req.validated.params.imdb, { notes: text, position: at });
+    if (!item) return res.status(404).json({ error: 'item_not_found' });
+    res.json(item);
+  } catch {
+    res.status(500).json({ error: 'update_item_failed' });
+  }
+});
+
+// DELETE one item
+router.delete('/lists/:id/items/:imdb', loadLocalList, async (req, res) => {
+  try {
+    const removed = await removeLocalItems(req.user.id, req.localList, [req.params.imdb]);
+    if (!removed) return res.status(404).json({ error: 'item_not_found' });
+    res.status(204).end();
+  } catch {
+    res.status(500).json({ error: 'remove_items_failed' });
+  }
 });
 
 module.exports = { router };
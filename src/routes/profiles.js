@@ -0,0 +1,161 @@
+// src/routes/profiles.js
+// Addon profiles: several Stremio addons from one account, each with its own manifest URL
+// (/u/:userId/p/:profileId/<token>/manifest.json), name, prefix, lists and filters.
+// The link is only returned when a token is issued (create, new link); see routes/addonTokens.
+const express = require('express');
+const { z } = require('zod');
+const { validate } = require('../middleware/validate');
+const { authRequired } = require('../middleware/auth');
+const { repo } = require('../db/repo');
+const { readProfileManifestVersion, bumpProfileManifestVersion } = require('../db/version');
+const {
+  MAX_PROFILES, normalizeProfile, clearProfileCatalogCache
+} = require('../services/profiles');
+const { createAddonToken, revokeAddonTokens, installLinks } = require('../services/addonTokens');
+const { refreshCatalogOptions } = require('../services/addonService');
+
+const router = express.Router();
+router.use(authRequired);
+
+const fields = {
+  name: z.string().trim().min(1).max(100),
+  catalogPrefix: z.string().trim().max(50),
+  listIds: z.array(z.string().trim().min(1)).max(500),
+  hideUnreleasedAll: z.boolean(),
+  hideWatchedAll: z.boolean(),
+  hideTraktHidden: z.boolean()
+};
+
+async function view(userId, p) {
+  return {
+    id: p.id,
+    name: p.name,
+    catalogPrefix: p.catalogPrefix,
+    listIds: p.listIds,
+    hideUnreleasedAll: p.hideUnreleasedAll,
+    hideWatchedAll: p.hideWatchedAll,
+    hideTraktHidden: p.hideTraktHidden,
+    version: await readProfileManifestVersion(userId, p.id)
+  };
+}
+
+// Issue a device token scoped to the profile; the view gets its (one-time) install links
+async function withNewToken(userId, profile) {
+  const issued = await createAddonToken(userId, { name: profile.name, profileId: profile.id });
+  return { ...(await view(userId, profile)), token: issued.token, ...installLinks(userId, issued.credential, profile.id) };
+}
+
+// listIds must name saved lists
+async function unknownLists(userId, listIds) {
+  if (!listIds) return [];
+  const saved = new Set((await repo.getLists(userId) || []).map(l => l.id));
+  return listIds.filter(id => !saved.has(id));
+}
+
+// Resolve :id to one of the user's profiles (req.profiles / req.profile)
+async function loadProfile(req, res, next) {
+  try {
+    const profiles = await repo.getProfiles(req.user.id) || [];
+    const profile = profiles.find(p => p.id === req.params.id);
+    if (!profile) return res.status(404).json({ error: 'profile_not_found' });
+    req.profiles = profiles;
+    req.profile = profile;
+    next();
+  } catch {
+    res.status(500).json({ error: 'load_profile_failed' });
+  }
+}
+
+// Save the edited profile, purge its catalog pages, move its manifest version and recount its genre options
+async function saveProfile(req, profile) {
+  await repo.saveProfiles(req.user.id, req.profiles.map(p => (p.id === profile.id ? profile : p)));
+  clearProfileCatalogCache(req.user.id, profile.id);
+  await bumpProfileManifestVersion(req.user.id, profile.id);
+  refreshCatalogOptions(req.user.id).catch(() => {});
+}
+
+// GET all profiles
+router.get('/profiles', async (req, res) => {
+  try {
+    const profiles = await repo.getProfiles(req.user.id) || [];
+    const out = [];
+    for (const p of profiles) out.push(await view(req.user.id, p));
+    res.json(out);
+  } catch {
+    res.status(500).json({ error: 'load_profiles_failed' });
+  }
+});
+
+// POST create a profile
+const createSchema = z.object({
+  body: z.object({
+    name: fields.name,
+    catalogPrefix: fields.catalogPrefix.optional(),
+    listIds: fields.listIds.optional(),
+    hideUnreleasedAll: fields.hideUnreleasedAll.optional(),
+    hideWatchedAll: fields.hideWatchedAll.optional(),
+    hideTraktHidden: fields.hideTraktHidden.optional()
+  })
+});
+router.post('/profiles', validate(createSchema), async (req, res) => {
+  try {
+    const profiles = await repo.getProfiles(req.user.id) || [];
+    if (profiles.length >= MAX_PROFILES) return res.status(409).json({ error: 'profile_limit_reached' });
+    const unknown = await unknownLists(req.user.id, req.validated.body.listIds);
+    if (unknown.length) return res.status(400).json({ error: 'unknown_lists', listIds: unknown });
+    const profile = normalizeProfile(req.validated.body);
+    await repo.saveProfiles(req.user.id, profiles.concat(profile));
+    refreshCatalogOptions(req.user.id).catch(() => {});
+    res.status(201).json(await withNewToken(req.user.id, profile));
+  } catch {
+    res.status(500).json({ error: 'create_profile_failed' });
+  }
+});
+
+// PATCH name, prefix, lists (subset and order) or filters
+const updateSchema = z.object({
+  body: z.object({
+    name: fields.name.optional(),
+    catalogPrefix: fields.catalogPrefix.optional(),
+    listIds: fields.listIds.optional(),
+    hideUnreleasedAll: fields.hideUnreleasedAll.optional(),
+    hideWatchedAll: fields.hideWatchedAll.optional(),
+    hideTraktHidden: fields.hideTraktHidden.optional()
+  })
+});
+router.patch('/profiles/:id', loadProfile, validate(updateSchema), async (req, res) => {
+  const changes = Object.fromEntries(Object.entries(req.validated.body).filter(([, v]) => v !== undefined));
+  try {
+    const unknown = await unknownLists(req.user.id, changes.listIds);
+    if (unknown.length) return res.status(400).json({ error: 'unknown_lists', listIds: unknown });
+    const profile = normalizeProfile({ ...req.profile, ...changes });
+    await saveProfile(req, profile);
+    res.json(await view(req.user.id, profile));
+  } catch {
+    res.status(500).json({ error: 'update_profile_failed' });
+  }
+});
+
+// POST a new install link; every earlier token of the profile is revoked
+router.post('/profiles/:id/token', loadProfile, async (req, res) => {
+  try {
+    await revokeAddonTokens(req.user.id, t => t.profileId === req.profile.id);
+    res.json(await withNewToken(req.user.id, req.profile));
+  } catch {
+    res.status(500).json({ error: 'rotate_token_failed' });
+  }
+});
+
+// DELETE a profile (its addon stops resolving)
+router.delete('/profiles/:id', loadProfile, async (req, res) => {
+  try {
+    await repo.saveProfiles(req.user.id, req.profiles.filter(p => p.id !== req.profile.id));
+    await revokeAddonTokens(req.user.id, t => t.profileId === req.profile.id);
+    clearProfileCatalogCache(req.user.id, req.profile.id);
+    res.status(204).end();
+  } catch {
+    res.status(500).json({ error: 'delete_profile_failed' });
+  }
+});
+
+module.exports = { router };
@@ -0,0 +1,81 @@
+// src/routes/stateless.js
+// Account-less addon: /c/:config/… where :config carries the lists, filters and naming
+// (services/statelessConfig). Catalogs run through the same getCatalog pipeline as /u, without a user.
+const express = require('express');
+const apicache = require('apicache');
+const cfg = require('../config');
+const { baseManifest, buildUserManifest, getCatalog } = require('../services/addonService');
+const { getMeta } = require('../services/metaService');
+const { validateListExists } = require('../services/traktService');
+const { normalizeDoc, encodeConfig, decodeConfig } = require('../services/statelessConfig');
+const { limiterHeavyOps, limiterStateless, limiterStatelessConfigs } = require('../middleware/rate_limit');
+const { parseExtra } = require('../utils/extra');
+
+const router = express.Router();
+const cacheMw = apicache.middleware;
+
+// Decode :config into req.source; a bad or (when required) missing signature is refused
+async function requireConfig(req, res, next) {
+  const result = await decodeConfig(req.params.config);
+  if (!result.ok) {
+    const status = result.error === 'invalid_config' ? 400 : 403;
+    return res.status(status).json({ error: result.error });
+  }
+  req.source = result.source;
+  next();
+}
+
+// Per-IP limits, then the config itself
+const guard = [limiterStateless, limiterStatelessConfigs, requireConfig];
+
+function setNoCache(res) { res.set('Cache-Control', 'no-cache, must-revalidate, max-age=0'); res.set('Pragma', 'no-cache'); }
+
+// POST a config document → its install links. Lists are checked against Trakt (public lists only).
+router.post('/encode', limiterHeavyOps, async (req, res) => {
+  try {
+    const norm = await normalizeDoc(req.body);
+    if (!norm.ok) return res.status(400).json(norm);
+    const missing = [];
+    for (const l of norm.lists) {
+      if (l.kind !== 'trakt') continue;
+      const check = await validateListExists(l.url, null).catch(() => ({ ok: false }));
+      if (!check.ok) missing.push(l.name);
+    }
+    if (missing.length) return res.status(400).json({ ok: false, error: 'unknown_lists', rows: missing });
+    const config = encodeConfig(norm.doc);
+    const manifestUrl = `${cfg.baseUrl}/c/${config}/manifest.json`;
+    res.json({ ok: true, config, manifestUrl, stremioLink: `stremio://${encodeURIComponent(manifestUrl)}` });
+  } catch {
+    res.status(500).json({ ok: false, error: 'encode_failed' });
+  }
+});
+
+// A config never changes (editing it makes a new URL), so its manifest keeps version 1.0.0;
+// the id carries the config key so several stateless installs can sit side by side.
+router.get('/:config/manifest.json', guard, cacheMw('5 minutes'), async (req, res) => {
+  const { source } = req;
+  const base = baseManifest('1.0.0');
+  const manifest = await buildUserManifest({ userId: source.key, baseManifest: { ...base, id: `${base.id}.${source.key}` }, source });
+  setNoCache(res);
+  return res.json(manifest);
+});
+
+router.get(['/:config/catalog/:type/:catalogId/:extra.json', '/:config/catalog/:type/:catalogId.json'], guard, async (req, res) => {
+  const { type, catalogId, extra } = req.params;
+  const extras = parseExtra(extra || '', req.query);
+  const skip = Number(extras.skip || 0) || 0;
+  const result = await getCatalog({ userId: req.source.key, type, catalogId, skip, extras, source: req.source });
+  setNoCache(res);
+  return res.json(result);
+});
+
+router.get('/:config/meta/:type/:id.json', guard, async (req, res) => {
+  const { type, id } = req.params;
+  const imdb = String(id || '');
+  if (!/^tt\d+$/i.test(imdb)) return res.json({ meta: null });
+  const result = await getMeta({ userId: null, type, imdb });
+  setNoCache(res);
+  return res.json(result);
+});
+
+module.exports = { router };
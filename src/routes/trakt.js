@@ -1,16 +1,23 @@
 // src/routes/trakt.js
 const express = require('express');
-const fetch = require('node-fetch');
 const { authRequired } = require('../middleware/auth');
 const { repo } = require('../db/repo');
 const { limiterTraktDevice, limiterStatusLight } = require('../middleware/rate_limit');
 const { getRefreshSchedule } = require('../jobs/scheduler');
+const { trakt } = require('../services/traktClient');
+const { z } = require('zod');
+const { validate } = require('../middleware/validate');
+const {
+  TRAKT_LIST_PRIVACY, getOwnList, getOwnListItems, createOwnList, updateOwnList, deleteOwnList,
+  addOwnListItems, removeOwnListItems, searchByExternalId, searchByTitle
+} = require('../services/traktService');
+const { afterItemsChanged, afterListUpdated, afterListDeleted } = require('../services/traktWriteBack');
 
 const router = express.Router();
 
-const OAUTH_DEVICE_CODE_URL  = 'https://api.trakt.tv/oauth/device/code';
-const OAUTH_DEVICE_TOKEN_URL = 'https://api.trakt.tv/oauth/device/token';
-const OAUTH_TOKEN_URL        = 'https://api.trakt.tv/oauth/token';
+const OAUTH_DEVICE_CODE_PATH  = '/oauth/device/code';
+const OAUTH_DEVICE_TOKEN_PATH = '/oauth/device/token';
+const OAUTH_TOKEN_PATH        = '/oauth/token';
 
 const CLIENT_ID     = process.env.TRAKT_CLIENT_ID || '';
 const CLIENT_SECRET = process.env.TRAKT_CLIENT_SECRET || '';
@@ -21,6 +28,14 @@ function noCache(_req,res,next){
   next();
 }
 
+// Trakt error bodies come back parsed when they are JSON
+function bodyText(data){
+  if (data == null || data === '') return '';
+  return typeof data === 'string' ? data : JSON.stringify(data);
+}
+
+const ok = (r) => r.status >= 200 && r.status < 300;
+
 function expISO(expires_in_sec, created_at_ms){
   const base = (created_at_ms && Number.isFinite(created_at_ms)) ? created_at_ms : Date.now();
   return new Date(base + Math.max(0, Number(expires_in_sec)||0) * 1000).toISOString();
@@ -66,42 +81,244 @@ router.get('/me/lists', authRequired, limiterStatusLight, async (req, res) => {
   try {
     const tt = await repo.getTraktTokens(req.user.id);
     if (!tt?.access_token) return res.status(401).json({ error: 'not_authorized' });
-    const r = await fetch('https://api.trakt.tv/users/me/lists', {
-      headers: {
-        'Content-Type': 'application/json',
-        'trakt-api-version': '2',
-        'trakt-api-key': process.env.TRAKT_CLIENT_ID || '',
-        'Authorization': `Bearer ${tt.access_token}`
-      }
+    const r = await trakt.get('/users/me/lists', {
+      headers: { 'Authorization': `Bearer ${tt.access_token}` },
+      userId: req.user.id,
+      validateStatus: () => true
     });
-    if (!r.ok) return res.status(r.status).json({ error: 'trakt_error' });
-    const arr = await r.json();
-    // Return minimal fields for import
+    if (!ok(r)) return res.status(r.status).json({ error: 'trakt_error' });
+    const arr = Array.isArray(r.data) ? r.data : [];
+    // Return minimal fields for import and editing
     res.json(arr.map(x => ({
+      id: x?.ids?.trakt ?? null,
       name: x?.name,
       slug: x?.ids?.slug,
-      privacy: x?.privacy
+      privacy: x?.privacy,
+      description: x?.description || '',
+      item_count: x?.item_count ?? 0,
+      updated_at: x?.updated_at || null
     })));
   } catch (e) {
     res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
+// ---- Write-back to the user's own lists ----
+// Errors from traktService come back as { ok:false, status, error }; 401 means "connect Trakt first"
+
+const MAX_ITEM_BATCH = 100; // titles per add/remove request
+const imdbId = z.string().trim().regex(/^tt\d{5,}$/i).transform(s => s.toLowerCase());
+const listRef = z.object({ list: z.string().trim().min(1).max(200) });
+const listFields = {
+  name: z.string().trim().min(1).max(100),
+  description: z.string().max(2000),
+  privacy: z.enum(TRAKT_LIST_PRIVACY)
+};
+const itemsBody = z.object({
+  items: z.array(z.object({ imdb: imdbId, type: z.enum(['movie', 'series']).optional() })).min(1).max(MAX_ITEM_BATCH)
+});
+
+function traktFailure(res, r){
+  const status = r.error === 'not_authorized' ? 401
+    : r.error === 'not_found' ? 404
+    : r.error === 'list_limit_reached' ? 409
+    : 502;
+  return res.status(status).json({ error: r.error === 'not_found' ? 'list_not_found' : r.error });
+}
+
+function listOut(x){
+  return {
+    id: x?.ids?.trakt ?? null,
+    name: x?.name,
+    slug: x?.ids?.slug,
+    privacy: x?.privacy,
+    description: x?.description || '',
+    item_count: x?.item_count ?? 0,
+    updated_at: x?.updated_at || null
+  };
+}
+
+// { imdb, type, title, year } for a Trakt list row or search result
+function titleOut(row){
+  const core = row && row[row.type];
+  if (!core) return null;
+  return {
+    imdb: core.ids?.imdb || null,
+    type: row.type === 'show' ? 'series' : 'movie',
+    title: core.title || '',
+    year: Number.isFinite(core.year) ? core.year : null
+  };
+}
+
+// { movies: [{ ids:{imdb} }], shows: [...] }; titles without a type go in both buckets
+function toTraktEntries(items){
+  const out = { movies: [], shows: [] };
+  for (const it of items){
+    if (it.type !== 'series') out.movies.push({ ids: { imdb: it.imdb } });
+    if (it.type !== 'movie') out.shows.push({ ids: { imdb: it.imdb } });
+  }
+  return out;
+}
+
+// IMDb ids Trakt reported as not found in every bucket they were sent to
+function notFoundIds(items, data){
+  const nf = data?.not_found || {};
+  const counts = new Map();
+  for (const x of [...(nf.movies || []), ...(nf.shows || [])]){
+    const id = x?.ids?.imdb;
+    if (id) counts.set(id, (counts.get(id) || 0) + 1);
+  }
+  return items.filter(it => (counts.get(it.imdb) || 0) >= (it.type ? 1 : 2)).map(it => it.imdb);
+}
+
+const sum = (o) => (o?.movies || 0) + (o?.shows || 0);
+
+// POST /api/trakt/me/lists  — create a list
+const createListSchema = z.object({
+  body: z.object({
+    name: listFields.name,
+    description: listFields.description.optional(),
+    privacy: listFields.privacy.optional()
+  })
+});
+router.post('/me/lists', authRequired, validate(createListSchema), async (req, res) => {
+  try {
+    const r = await createOwnList(req.user.id, req.validated.body);
+    if (!r.ok) return traktFailure(res, r);
+    res.status(201).json(listOut(r.data));
+  } catch {
+    res.status(500).json({ error: 'create_list_failed' });
+  }
+});
+
+// PATCH /api/trakt/me/lists/:list  — rename / edit description or privacy
+const updateListSchema = z.object({
+  params: listRef,
+  body: z.object({
+    name: listFields.name.optional(),
+    description: listFields.description.optional(),
+    privacy: listFields.privacy.optional()
+  }).refine(b => Object.values(b).some(v => v !== undefined), 'nothing_to_update')
+});
+router.patch('/me/lists/:list', authRequired, validate(updateListSchema), async (req, res) => {
+  const { list } = req.validated.params;
+  try {
+    const before = await getOwnList(req.user.id, list);
+    if (!before.ok) return traktFailure(res, before);
+    const fields = Object.fromEntries(Object.entries(req.validated.body).filter(([, v]) => v !== undefined));
+    const r = await updateOwnList(req.user.id, list, fields);
+    if (!r.ok) return traktFailure(res, r);
+    const affectedLists = await afterListUpdated(req.user.id, before.data, r.data);
+    res.json({ ...listOut(r.data), affectedLists });
+  } catch {
+    res.status(500).json({ error: 'update_list_failed' });
+  }
+});
+
+// DELETE /api/trakt/me/lists/:list  — saved lists backed by it are disabled
+router.delete('/me/lists/:list', authRequired, validate(z.object({ params: listRef })), async (req, res) => {
+  const { list } = req.validated.params;
+  try {
+    const before = await getOwnList(req.user.id, list);
+    if (!before.ok) return traktFailure(res, before);
+    const r = await deleteOwnList(req.user.id, list);
+    if (!r.ok) return traktFailure(res, r);
+    const affectedLists = await afterListDeleted(req.user.id, before.data);
+    res.json({ ok: true, affectedLists });
+  } catch {
+    res.status(500).json({ error: 'delete_list_failed' });
+  }
+});
+
+// GET /api/trakt/me/lists/:list/items
+router.get('/me/lists/:list/items', authRequired, limiterStatusLight, validate(z.object({ params: listRef })), async (req, res) => {
+  try {
+    const r = await getOwnListItems(req.user.id, req.validated.params.list);
+    if (!r.ok) return traktFailure(res, r);
+    res.json({ items: (Array.isArray(r.data) ? r.data : []).map(titleOut).filter(Boolean) });
+  } catch {
+    res.status(500).json({ error: 'load_items_failed' });
+  }
+});
+
+// POST /api/trakt/me/lists/:list/items  — add by IMDb id; a missing type is looked up first
+router.post('/me/lists/:list/items', authRequired, validate(z.object({ params: listRef, body: itemsBody })), async (req, res) => {
+  const { list } = req.validated.params;
+  try {
+    const target = await getOwnList(req.user.id, list);
+    if (!target.ok) return traktFailure(res, target);
+    const items = [];
+    const notFound = [];
+    for (const it of req.validated.body.items){
+      if (it.type) { items.push(it); continue; }
+      const hits = await searchByExternalId({ userId: req.user.id, idType: 'imdb', id: it.imdb });
+      if (hits === null) return res.status(502).json({ error: 'trakt_error' });
+      const hit = hits.find(h => h.type === 'movie' || h.type === 'show');
+      if (hit) items.push({ imdb: it.imdb, type: hit.type === 'show' ? 'series' : 'movie' });
+      else notFound.push(it.imdb);
+    }
+    let data = null;
+    if (items.length){
+      const r = await addOwnListItems(req.user.id, list, toTraktEntries(items));
+      if (!r.ok) return traktFailure(res, r);
+      data = r.data;
+    }
+    const affectedLists = data ? await afterItemsChanged(req.user.id, target.data) : [];
+    res.json({
+      added: sum(data?.added),
+      existing: sum(data?.existing),
+      notFound: notFound.concat(notFoundIds(items, data)),
+      affectedLists
+    });
+  } catch {
+    res.status(500).json({ error: 'add_items_failed' });
+  }
+});
+
+// DELETE /api/trakt/me/lists/:list/items  — remove by IMDb id
+router.delete('/me/lists/:list/items', authRequired, validate(z.object({ params: listRef, body: itemsBody })), async (req, res) => {
+  const { list } = req.validated.params;
+  try {
+    const target = await getOwnList(req.user.id, list);
+    if (!target.ok) return traktFailure(res, target);
+    const { items } = req.validated.body;
+    const r = await removeOwnListItems(req.user.id, list, toTraktEntries(items));
+    if (!r.ok) return traktFailure(res, r);
+    const affectedLists = await afterItemsChanged(req.user.id, target.data);
+    res.json({ removed: sum(r.data?.deleted), notFound: notFoundIds(items, r.data), affectedLists });
+  } catch {
+    res.status(500).json({ error: 'remove_items_failed' });
+  }
+});
+
+// GET /api/trakt/search?q=&type=movie|series  — titles to add (an IMDb id as q looks it up directly)
+const searchSchema = z.object({
+  query: z.object({
+    q: z.string().trim().min(1).max(200),
+    type: z.enum(['movie', 'series']).optional()
+  })
+});
+router.get('/search', authRequired, limiterStatusLight, validate(searchSchema), async (req, res) => {
+  const { q, type } = req.validated.query;
+  const traktTypes = type === 'movie' ? 'movie' : type === 'series' ? 'show' : 'movie,show';
+  try {
+    const hits = /^tt\d{5,}$/i.test(q)
+      ? await searchByExternalId({ userId: req.user.id, idType: 'imdb', id: q.toLowerCase(), traktTypes })
+      : await searchByTitle({ userId: req.user.id, query: q, traktTypes });
+    if (hits === null) return res.status(502).json({ error: 'trakt_error' });
+    res.json(hits.map(titleOut).filter(t => t && t.imdb));
+  } catch {
+    res.status(500).json({ error: 'search_failed' });
+  }
+});
+
 // POST /api/trakt/auth/init (device code)
 router.post('/auth/init', authRequired, limiterTraktDevice, async (_req,res)=>{
   try{
     if (!CLIENT_ID) return res.status(500).json({ error:'missing_client_id' });
-    const r = await fetch(OAUTH_DEVICE_CODE_URL, {
-      method:'POST',
-      headers:{ 'Content-Type':'application/json' },
-      body: JSON.stringify({ client_id: CLIENT_ID })
-    });
-    if (!r.ok){
-      const t = await r.text().catch(()=> '');
-      return res.status(r.status).json({ error: t || 'device_code_failed' });
-    }
-    const out = await r.json();
-    res.json(out);
+    const r = await trakt.post(OAUTH_DEVICE_CODE_PATH, { client_id: CLIENT_ID }, { validateStatus: () => true });
+    if (!ok(r)) return res.status(r.status).json({ error: bodyText(r.data) || 'device_code_failed' });
+    res.json(r.data);
   }catch(e){
     res.status(500).json({ error:String(e&&e.message||e) });
   }
@@ -114,19 +331,15 @@ router.post('/auth/poll', authRequired, limiterTraktDevice, async (req,res)=>{
     const { device_code } = req.body || {};
     if (!device_code) return res.status(400).json({ error:'missing_device_code' });
 
-    const r = await fetch(OAUTH_DEVICE_TOKEN_URL, {
-      method:'POST',
-      headers:{ 'Content-Type':'application/json' },
-      body: JSON.stringify({ code: device_code, device_code, client_id: CLIENT_ID, client_secret: CLIENT_SECRET })
-    });
+    // retry:false — 429 is the device flow's slow_down and goes straight back to the poller
+    const r = await trakt.post(OAUTH_DEVICE_TOKEN_PATH,
+      { code: device_code, device_code, client_id: CLIENT_ID, client_secret: CLIENT_SECRET },
+      { retry: false, validateStatus: () => true });
     if (r.status === 400 || r.status === 429) return res.sendStatus(202); // pending/slow down per device flow [3]
     if (r.status === 404 || r.status === 410 || r.status === 418) return res.status(400).json({ error:'invalid_or_expired_or_denied' });
-    if (!r.ok){
-      const t = await r.text().catch(()=> '');
-      return res.status(r.status).json({ error: t || 'poll_failed' });
-    }
+    if (!ok(r)) return res.status(r.status).json({ error: bodyText(r.data) || 'poll_failed' });
 
-    const out = await r.json();
+    const out = r.data;
     const expires_at = out.created_at ? expISO(out.expires_in, out.created_at*1000) : expISO(out.expires_in);
     await repo.upsertTraktTokens({
       userId: req.user.id,
@@ -147,22 +360,15 @@ router.post('/token/refresh', authRequired, async (req,res)=>{
     const tt = await repo.getTraktTokens(req.user.id).catch(()=>null);
     if (!tt || !tt.refresh_token) return res.status(400).json({ error:'no_refresh_token' });
 
-    const r = await fetch(OAUTH_TOKEN_URL, {
-      method:'POST',
-      headers:{ 'Content-Type':'application/json' },
-      body: JSON.stringify({
-        client_id: CLIENT_ID,
-        client_secret: CLIENT_SECRET,
-        refresh_token: tt.refresh_token,
-        grant_type: 'refresh_token',
-        redirect_uri: 'urn:ietf:wg:oauth:2.0:oob'
-      })
-    });
-    if (!r.ok){
-      const t = await r.text().catch(()=> '');
-      return res.status(r.status).json({ error: t || 'refresh_failed' });
-    }
-    const out = await r.json();
+    const r = await trakt.post(OAUTH_TOKEN_PATH, {
+      client_id: CLIENT_ID,
+      client_secret: CLIENT_SECRET,
+      refresh_token: tt.refresh_token,
+      grant_type: 'refresh_token',
+      redirect_uri: 'urn:ietf:wg:oauth:2.0:oob'
+    }, { userId: req.user.id, validateStatus: () => true });
+    if (!ok(r)) return res.status(r.status).json({ error: bodyText(r.data) || 'refresh_failed' });
+    const out = r.data;
     const expires_at = out.created_at ? expISO(out.expires_in, out.created_at*1000) : expISO(out.expires_in);
     await repo.upsertTraktTokens({
       userId: req.user.id,
@@ -1,7 +1,18 @@
 // src/services/addonService.js
+const apicache = require('apicache');
 const { repo } = require('../db/repo');
-const { getUserListItems } = require('../services/traktService'); // should request extended=full so items include genres/released where available [Trakt API]
+const { bumpManifestVersion } = require('../db/version');
+const { getUserListItems, getListSort } = require('../services/traktService'); // should request extended=full so items include genres/released where available [Trakt API]
 const { cache, k } = require('../utils/cache');
+const { parseQuery, scoreCandidate } = require('../utils/search');
+const { SORT_KEYS, TRAKT_ONLY_SORTS, normalizeSortKey, defaultOrder, sortItems } = require('../utils/sort');
+const { seededShuffle } = require('../utils/random');
+const { getWatchedIds } = require('./watchedService');
+const { getMirroredItems } = require('./listMirror');
+const { getLocalListItems } = require('./localLists');
+const { addArtwork } = require('./artworkService');
+const { profileLists, profileSettings } = require('./profiles');
+const { listFacets, findFacet } = require('./listFacets');
 // Optional settings reader (graceful fallback)
 let getUserSettings = null;
 try { ({ getUserSettings } = require('../state/userSettings')); }
@@ -17,6 +28,11 @@ let GENRES = [
 ];
 try { ({ GENRES } = require('../constants/genres')); } catch {}
 const PAGE_SIZE = 100;
+const SEARCH_CATALOG_ID = 'search-lists';
+const POOL_TTL_SEC = 10 * 60; // Trakt-sorted pools and list sort lookups
+const RECENT_SUFFIX = ':recent'; // companion "Recently added" catalog id = `${listId}:recent`
+const NEW_MARKER_DAYS = 7;       // NEW marker window when the list has no recentDays of its own
+const DAY_MS = 24 * 60 * 60 * 1000;
 function round1(val){ return (typeof val === 'number' && isFinite(val)) ? Math.round(val * 10)/10 : undefined; }
 
 // Normalized genre canonicalization (maps variants to a stable form)
@@ -128,6 +144,8 @@ function applyFilters(metas, extras = {}){
   const yMax = Number(extras.yearMax) || undefined;
   const rMin = Number(extras.ratingMin) || undefined;
   const rMax = Number(extras.ratingMax) || undefined;
+  const tMin = Number(extras.runtimeMin) || undefined; // minutes; only facets set these
+  const tMax = Number(extras.runtimeMax) || undefined;
 
   // Only apply genre filter if metas expose genres; never nuke the list solely due to metadata gaps
   const anyGenresExposed = out.some(m => Array.isArray(m.genres) && m.genres.length);
@@ -158,18 +176,126 @@ function applyFilters(metas, extras = {}){
   if (yMax) out = out.filter(m => Number(m.releaseInfo) ? Number(m.releaseInfo) <= yMax : true);
   if (rMin) out = out.filter(m => typeof m.imdbRating === 'number' ? m.imdbRating >= rMin : true);
   if (rMax) out = out.filter(m => typeof m.imdbRating === 'number' ? m.imdbRating <= rMax : true);
+  if (tMin) out = out.filter(m => typeof m.runtime === 'number' ? m.runtime >= tMin : true);
+  if (tMax) out = out.filter(m => typeof m.runtime === 'number' ? m.runtime <= tMax : true);
   return out;
 }
 
-function applySort(metas, sort, order){
-  const dir = (String(order||'desc').toLowerCase()==='asc') ? 1 : -1;
-  const s = String(sort||'').toLowerCase();
-  const arr = metas.slice();
-  if (s === 'rating') arr.sort((a,b) => ((a.imdbRating||0)-(b.imdbRating||0)) * dir);
-  else if (s === 'year') arr.sort((a,b) => ((Number(a.releaseInfo)||0)-(Number(b.releaseInfo)||0)) * dir);
-  else if (s === 'runtime') arr.sort((a,b) => ((a.runtime||0)-(b.runtime||0)) * dir);
-  else if (s === 'name') arr.sort((a,b) => (String(a.name||'')).localeCompare(String(b.name||'')) * dir);
-  return arr;
+// meta -> Trakt ids of the item it came from (fanart.tv needs TVDB ids for shows)
+const metaIds = new WeakMap();
+
+// Trakt list item → Stremio catalog meta (null when the item has no usable IMDb id)
+function itemToMeta(it){
+  const core = it && it[it.type];
+  const imdb = core?.ids?.imdb;
+  if (!imdb || !/^tt\d+$/i.test(imdb)) return null;
+  const year = Number.isFinite(core.year) ? core.year : undefined;
+  const genresRaw = Array.isArray(core.genres) ? core.genres : null;
+  const genres = genresRaw && genresRaw.length
+    ? Array.from(new Set(genresRaw.map(mapGenre).filter(Boolean)))
+    : undefined;
+  const meta = {
+    id: imdb,
+    type: it.type === 'show' ? 'series' : 'movie',
+    name: core.title || '',
+    description: core.overview || undefined,
+    imdbRating: round1(core.rating),
+    releaseInfo: year ? String(year) : undefined,
+    runtime: Number.isFinite(core.runtime) ? core.runtime : undefined,
+    genres
+  };
+  metaIds.set(meta, core.ids);
+  return meta;
+}
+
+// Posters/backgrounds from the user's configured source (shared per-IMDb cache)
+function withArtwork(metas, settings){
+  return addArtwork(metas, {
+    source: settings && settings.posterSource,
+    template: settings && settings.posterTemplate,
+    tvdbOf: (m) => metaIds.get(m)?.tvdb
+  }).catch(() => metas);
+}
+
+function toMetas(items){
+  const out = [];
+  for (const it of items){
+    const m = itemToMeta(it);
+    if (m) out.push(m);
+  }
+  return out;
+}
+
+// "<listId>:recent" → { listId, recent: true }
+function parseCatalogId(catalogId){
+  const id = String(catalogId || '');
+  return id.endsWith(RECENT_SUFFIX)
+    ? { listId: id.slice(0, -RECENT_SUFFIX.length), recent: true }
+    : { listId: id, recent: false };
+}
+
+function addedSince(it, sinceMs){
+  const at = Date.parse(it && it.listed_at || '');
+  return Number.isFinite(at) && at >= sinceMs;
+}
+
+// Flag metas whose item joined the list within the marker window ("NEW · " name prefix or a description line)
+function markNewMetas(metas, items, l, now){
+  if (l.newMarker !== 'name' && l.newMarker !== 'description') return metas;
+  const since = now - (Number(l.recentDays) || NEW_MARKER_DAYS) * DAY_MS;
+  const fresh = new Set(items.filter(it => addedSince(it, since)).map(imdbOf).filter(Boolean));
+  for (const m of metas){
+    if (!fresh.has(m.id)) continue;
+    if (l.newMarker === 'name') m.name = `NEW · ${m.name}`;
+    else m.description = m.description ? `NEW on this list.\n\n${m.description}` : 'NEW on this list.';
+  }
+  return metas;
+}
+
+// Unreleased = movie with a known release date in the future; shows always pass
+function isReleased(it, now = Date.now()){
+  if (it.type !== 'movie') return true;
+  const relISO = it.movie && it.movie.released ? String(it.movie.released) : '';
+  const relMs = Date.parse(relISO);
+  return !Number.isFinite(relMs) || relMs <= now;
+}
+
+// Manifest skeleton the routes hand to buildUserManifest; version is already semver (e.g., "1.0.39")
+function baseManifest(version, { configurable = false } = {}){
+  return {
+    id: 'org.example.trakt',
+    version: String(version || '1.0.0'),
+    name: 'Trakt Lists (Multi-user)',
+    description: 'Fast paginated catalogs; meta via Cinemeta+Trakt',
+    resources: ['catalog', { name: 'meta', types: ['movie', 'series'], idPrefixes: ['tt'] }],
+    types: ['movie', 'series'],
+    idPrefixes: ['tt'],
+    catalogs: [],
+    // Stremio's "Configure" button opens <manifest base>/configure
+    ...(configurable ? { behaviorHints: { configurable: true } } : {})
+  };
+}
+
+// Stateless installs (services/statelessConfig) pass `source` = { key, lists, settings } decoded from the
+// manifest URL instead of a user record; `userId` is then source.key, which only namespaces cache keys and
+// seeds, and Trakt is read without a user token (public lists only).
+
+// Saved lists, or the lists of a stateless config
+async function loadLists(userId, source){
+  return source ? source.lists : (await repo.getLists(userId) || []);
+}
+
+// Account settings, with the profile's naming and filters on top when serving a profile's manifest
+async function loadSettings(userId, profile, source = null){
+  if (source) return source.settings;
+  let settings = {};
+  try { settings = await getUserSettings(repo, userId); } catch {}
+  return profile ? profileSettings(settings, profile) : settings;
+}
+
+// Lists a manifest publishes: the enabled ones, or a profile's own subset in its order
+function publishedLists(lists, profile){
+  return profile ? profileLists(lists, profile) : (lists || []).filter(l => l.enabled);
 }
 
 // Make a safe label for manifest.types (left selector label)
@@ -179,37 +305,158 @@ function toTypeLabel(input){
   return noSpaces.replace(/[^A-Za-z0-9]/g, '') || 'MyTrakt';
 }
 
-async function buildUserManifest({ userId, baseManifest }){
-  const lists = await repo.getLists(userId);
+// Manifest types for a list: the custom label, or movie/series by the list's type (mixed lists get both)
+function catalogTypesFor(l, settings, customType){
+  const mode = l.catalogType || settings?.catalogTypes || 'custom';
+  if (mode !== 'native') return [customType];
+  if (l.type === 'movie') return ['movie'];
+  if (l.type === 'series') return ['series'];
+  return ['movie', 'series'];
+}
+
+// A list published under native types serves only that type's items from each catalog
+function nativeTypeFilter(l, settings, type){
+  const mode = l.catalogType || settings?.catalogTypes || 'custom';
+  return mode === 'native' && (type === 'movie' || type === 'series') ? type : null;
+}
+
+// Catalogs a manifest lists: per published list one per manifest type, each followed by its
+// "Recently added" companion (only what the list gained in the last recentDays, newest first)
+function listCatalogs(lists, profile, s, customType){
+  const out = [];
+  for (const l of publishedLists(lists, profile)){
+    for (const type of catalogTypesFor(l, s, customType)){
+      out.push({ l, type, id: l.id, name: l.name || 'List' });
+      if (l.recentDays > 0) out.push({ l, type, id: `${l.id}${RECENT_SUFFIX}`, name: `${l.name || 'List'} · Recently added` });
+    }
+  }
+  return out;
+}
+
+// Genre picker options of every published catalog, per account / profile / stateless config. They are
+// computed in the background (a list's mirror changed, the config was saved, or a manifest found a catalog
+// without options), never while a manifest request waits on list downloads and Trakt calls.
+const OPTIONS_MAX = 5000; // scopes kept (least recently used dropped first)
+const optionsStore = new Map(); // scope -> { options: Map(optionsKey -> labels), published: signature of the last manifest's }
+const optionsRuns = new Map();  // scope -> { promise, again }
+
+function remember(store, key, value){
+  store.delete(key);
+  store.set(key, value);
+  if (store.size > OPTIONS_MAX) store.delete(store.keys().next().value);
+}
+
+const optionsScope = ({ userId, profile, source }) => (source ? source.key : `${userId}:${profile ? profile.id : ''}`);
+
+// Custom-label catalogs of a list share options; native ones differ per type, rotating ones per period
+function optionsKey(c, s){
+  const recent = c.id.endsWith(RECENT_SUFFIX);
+  return `${nativeTypeFilter(c.l, s, c.type) || ''}:${c.id}:${recent ? '' : rotationPeriodKey(c.l.rotation)}`;
+}
+
+const optionsSig = (options) => JSON.stringify([...options]);
+
+// Recompute a scope's options: the genres a catalog's titles carry, then the list's facets (services/listFacets),
+// since the genre picker is the only extra Stremio lets users set. When they differ from what the last manifest
+// published, the account's manifest version moves (profiles' versions include it) and the cached manifests are
+// dropped so Stremio picks them up; a stateless config has a fixed version, its manifest follows once its
+// 5-minute cache expires.
+async function updateOptions({ userId, profile, source }, scope){
+  const lists = await loadLists(userId, source);
+  const s = await loadSettings(userId, profile, source);
+  const options = new Map();
+  for (const c of listCatalogs(lists, profile, s, '')){
+    const found = await catalogOptions({ userId, type: c.type, catalogId: c.id, profile, source }).catch(() => null);
+    if (!found) continue; // left to the canonical genres until the next refresh
+    options.set(optionsKey(c, s), found.genres.concat(found.facets).map(o => s?.genreCounts ? `${o.label} (${o.count})` : o.label));
+  }
+  const prev = optionsStore.get(scope);
+  const sig = optionsSig(options);
+  const changed = !!(prev && prev.published && prev.published !== sig);
+  remember(optionsStore, scope, { options, published: changed ? sig : prev && prev.published });
+  if (changed && !source){
+    await bumpManifestVersion(userId).catch(() => {});
+    apicache.clear(`manifest:${userId}`);
+  }
+}
+
+// One run per scope at a time; a request during a run queues exactly one more
+function scheduleOptions(args){
+  const scope = optionsScope(args);
+  const running = optionsRuns.get(scope);
+  if (running){ running.again = true; return running.promise; }
+  const run = { again: false };
+  run.promise = (async () => {
+    do { run.again = false; await updateOptions(args, scope); } while (run.again);
+  })().catch(() => {}).finally(() => optionsRuns.delete(scope));
+  optionsRuns.set(scope, run);
+  return run.promise;
+}
+
+/** Recompute the genre picker options of the account's manifest and its profiles' (after list or config changes) */
+async function refreshCatalogOptions(userId){
+  const profiles = await repo.getProfiles(userId).catch(() => []);
+  await Promise.all([null].concat(profiles || []).map(profile => scheduleOptions({ userId, profile })));
+}
+
+/**
+ * @param {{userId:string, baseManifest:object, profile?:object, source?:object}} args
+ *   profile: serve that addon profile's manifest (its lists, naming and filters) instead of the account's
+ *   source: stateless config (see loadLists)
+ */
+async function buildUserManifest({ userId, baseManifest, profile = null, source = null }){
+  const lists = await loadLists(userId, source);
   // Background delta refresh (no‑op if scheduler missing)
-  ensureDeltaScheduleForUser(userId); // polls Trakt “updated since” and purges caches on change
+  if (!source) ensureDeltaScheduleForUser(userId); // re-syncs lists whose Trakt updated_at moved and purges their caches
   // Settings → manifest naming
-  const s = await getUserSettings(repo, userId).catch(() => ({ addonName: 'Trakt Lists', catalogPrefix: '' }));
+  const s = await loadSettings(userId, profile, source);
   const addonName = s?.addonName || baseManifest.name || 'Trakt Lists';
   const prefix = (s?.catalogPrefix || '').trim();
   const customType = (prefix || addonName).replace(/\s+/g, '').replace(/[^A-Za-z0-9]/g, '') || 'MyTrakt';
 
-  // Catalogs with published genre options so Stremio shows native picker
-  const catalogs = (lists || [])
-    .filter(l => l.enabled)
-    .map(l => ({
+  // Genre picker options come from the background-computed store (see scheduleOptions); a catalog it doesn't
+  // cover yet offers the canonical genres until the computed options arrive with a manifest version bump
+  const scope = optionsScope({ userId, profile, source });
+  const stored = optionsStore.get(scope);
+  const published = new Map();
+  const genreOptions = (c) => {
+    const key = optionsKey(c, s);
+    const found = stored && stored.options.get(key);
+    published.set(key, found || GENRES);
+    return found || GENRES;
+  };
+  const extraFor = (genres) => [
+    { name: 'skip', isRequired: false },
+    { name: 'sort', isRequired: false, options: SORT_KEYS },
+    { name: 'order', isRequired: false, options: ['asc','desc'] },
+    ...(genres.length ? [{ name: 'genre', isRequired: false, options: genres }] : []), // Stremio genre extra
+    { name: 'yearMin', isRequired: false },
+    { name: 'yearMax', isRequired: false },
+    { name: 'ratingMin', isRequired: false },
+    { name: 'ratingMax', isRequired: false }
+  ];
+  const catalogs = listCatalogs(lists, profile, s, customType).map(c => ({
+    type: c.type, id: c.id, name: c.name, extra: extraFor(genreOptions(c)), showInHome: c.l.showInHome !== false, __listType: c.l.type
+  }));
+  const missing = [...published.values()].some(o => o === GENRES);
+  remember(optionsStore, scope, { options: stored ? stored.options : new Map(), published: optionsSig(published) });
+  if (missing) scheduleOptions({ userId, profile, source });
+
+  // One search-only catalog spanning every enabled list (Stremio only queries it from the search bar)
+  if (catalogs.length){
+    catalogs.push({
       type: customType,
-      id: l.id,
-      name: l.name || 'List',
+      id: SEARCH_CATALOG_ID,
+      name: 'Search my lists',
       extra: [
-        { name: 'skip', isRequired: false },
-        { name: 'sort', isRequired: false, options: ['rating','year','runtime','name'] },
-        { name: 'order', isRequired: false, options: ['asc','desc'] },
-        { name: 'genre', isRequired: false, options: GENRES }, // Stremio genre extra
-        { name: 'yearMin', isRequired: false },
-        { name: 'yearMax', isRequired: false },
-        { name: 'ratingMin', isRequired: false },
-        { name: 'ratingMax', isRequired: false }
-      ],
-      __listType: l.type
-    }));
-
-  const types = [customType];
+        { name: 'search', isRequired: true },
+        { name: 'skip', isRequired: false }
+      ]
+    });
+  }
+
+  const types = [...new Set(catalogs.map(c => c.type))];
+  if (!types.length) types.push(customType);
   const resources = Array.isArray(baseManifest.resources) && baseManifest.resources.length
     ? baseManifest.resources
     : ['catalog', { name: 'meta', types: ['movie','series'], idPrefixes: ['tt'] }];
@@ -220,8 +467,9 @@ async function buildUserManifest({ userId, baseManifest }){
   setImmediate(() => {
     try{
       for (const c of catalogs){
-        const warmKey = k(userId, `catalog:${c.id}:0:{}`);
-        if (!cache.get(warmKey)) getCatalog({ userId, type: c.type, catalogId: c.id, skip: 0, extras: {} }).catch(()=>{});
+        if (c.id === SEARCH_CATALOG_ID) continue;
+        const warmKey = k(userId, `catalog:${c.id}:0:${extrasCacheKey({}, profile, c.type)}`);
+        if (!cache.get(warmKey)) getCatalog({ userId, type: c.type, catalogId: c.id, skip: 0, extras: {}, profile, source }).catch(()=>{});
       }
     }catch{}
   });
@@ -229,43 +477,293 @@ async function buildUserManifest({ userId, baseManifest }){
   return manifest;
 }
 
-async function fetchTraktSlice({ userId, urlOrSlug, stremioType, skip }){
-  // Pull enough pages to serve PAGE_SIZE starting at skip
-  const pageStart = Math.floor(skip / 100) + 1;
-  const offset = skip % 100;
-  let out = [];
-  const p1 = await getUserListItems({ userId, urlOrSlug, stremioType, limit: 100, page: pageStart });
-  const a1 = Array.isArray(p1) ? p1 : [];
-  if (offset < a1.length) out = out.concat(a1.slice(offset));
-  let nextPage = pageStart + 1;
-  while (out.length < PAGE_SIZE) {
-    const pn = await getUserListItems({ userId, urlOrSlug, stremioType, limit: 100, page: nextPage });
-    const an = Array.isArray(pn) ? pn : [];
-    if (!an.length) break;
-    out = out.concat(an);
-    nextPage += 1;
+// Whole list for sorting, filtering and cross-list lookups, in Trakt rank order from the local mirror
+// (local lists: their stored order). traktSort ({ by, how }) instead fetches it in a Trakt-side order
+// (popularity, watchers), cached under the catalog prefix so purges apply. Stateless lists have no
+// mirror, so their rank-order pool is fetched and cached the same way, capped much lower: anyone can
+// write a config URL, and its lists are read with the app's client id.
+const MAX_POOL_PAGES = 100;
+const MAX_STATELESS_POOL_PAGES = 10;
+const poolRuns = new Map(); // pool cache key -> download in flight
+async function fetchListPool({ userId, list, traktSort = null, source = null }){
+  if (list.kind === 'local') return getLocalListItems({ userId, list });
+  if (!traktSort && !source) return getMirroredItems({ userId, list });
+  const poolKey = k(userId, `catalog:pool:${list.id}:${traktSort ? `${traktSort.by}:${traktSort.how}` : 'rank'}`);
+  const hit = cache.get(poolKey);
+  if (hit) return hit;
+  // Manifest warm-up, option counting and the first catalog request ask at once: one download serves them all
+  if (!poolRuns.has(poolKey)){
+    poolRuns.set(poolKey, downloadPool({ userId, list, traktSort, source })
+      .then(pool => { cache.set(poolKey, pool, POOL_TTL_SEC); return pool; })
+      .finally(() => poolRuns.delete(poolKey)));
+  }
+  return poolRuns.get(poolKey);
+}
+
+async function downloadPool({ userId, list, traktSort, source }){
+  let pool = [];
+  const maxPages = source ? MAX_STATELESS_POOL_PAGES : MAX_POOL_PAGES;
+  for (let page = 1; page <= maxPages; page++){
+    const raw = await getUserListItems({
+      userId: source ? null : userId, urlOrSlug: list.url, stremioType: list.type, limit: 100, page,
+      sortBy: traktSort ? traktSort.by : undefined, sortHow: traktSort ? traktSort.how : undefined
+    }).catch(() => []);
+    const arr = Array.isArray(raw) ? raw : [];
+    if (!arr.length) break;
+    pool = pool.concat(arr);
   }
-  return out.slice(0, PAGE_SIZE);
+  return pool;
 }
 
-async function getCatalog({ userId, type, catalogId, skip = 0, extras = {} }){
-  const extrasKey = JSON.stringify({
+function imdbOf(it){
+  const id = it && it[it.type]?.ids?.imdb;
+  return id && /^tt\d+$/i.test(id) ? id : null;
+}
+
+// Keep the first occurrence of each IMDb id
+function dedupeByImdb(items){
+  const seen = new Set();
+  const out = [];
+  for (const it of items){
+    const id = imdbOf(it);
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    out.push(it);
+  }
+  return out;
+}
+
+// Apply a composite operator to de-duplicated member pools (order follows the first member / member order)
+function combineMembers(pools, operator){
+  const sets = pools.map(dedupeByImdb);
+  if (!sets.length) return [];
+  const ids = sets.map(arr => new Set(arr.map(imdbOf)));
+  switch (operator){
+    case 'intersection':
+      return sets[0].filter(it => ids.slice(1).every(set => set.has(imdbOf(it))));
+    case 'difference':
+      return sets[0].filter(it => !ids.slice(1).some(set => set.has(imdbOf(it))));
+    case 'interleave': {
+      const out = [];
+      const longest = Math.max(...sets.map(arr => arr.length));
+      for (let i = 0; i < longest; i++){
+        for (const arr of sets){ if (i < arr.length) out.push(arr[i]); }
+      }
+      return dedupeByImdb(out);
+    }
+    case 'union':
+    default:
+      return dedupeByImdb([].concat(...sets));
+  }
+}
+
+// Members are resolved regardless of their own enabled flag; nested composites are ignored
+async function fetchCompositeItems({ userId, list, lists, source = null }){
+  const members = (list.members || [])
+    .map(id => (lists || []).find(x => x.id === id))
+    .filter(m => m && m.kind !== 'composite');
+  const pools = [];
+  for (const m of members) pools.push(await fetchListPool({ userId, list: m, source }));
+  const combined = combineMembers(pools, list.operator);
+  if (list.type === 'movie') return combined.filter(it => it.type === 'movie');
+  if (list.type === 'series') return combined.filter(it => it.type === 'show');
+  return combined;
+}
+
+// Watched ids to drop for this list (per-list OR global hideWatched), or null when the option is off
+async function watchedFilter(userId, l, settings){
+  const hideWatched = !!(l.hideWatched) || !!(settings && settings.hideWatchedAll);
+  if (!hideWatched) return null;
+  const ids = await getWatchedIds(userId, { hidden: !!(settings && settings.hideTraktHidden) }).catch(() => null);
+  return ids && ids.size ? ids : null;
+}
+
+// Rotation period (UTC) for "shuffle" lists: the sample seed changes when this key does
+const ROTATIONS = ['daily', 'weekly'];
+function rotationPeriodKey(rotation, now = new Date()){
+  if (!ROTATIONS.includes(rotation)) return '';
+  const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (rotation === 'weekly') day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7)); // back to Monday
+  return `${rotation}:${day.toISOString().slice(0, 10)}`;
+}
+
+// Effective sort: the catalog's sort extra or the saved list sort, else the Trakt list's own sort.
+// null means Trakt's rank order, which can be paged straight from the API.
+async function resolveSort({ userId, list, extras, source = null }){
+  if (extras.sort){
+    const key = normalizeSortKey(extras.sort);
+    if (!key) return null;
+    const order = String(extras.order || '').toLowerCase();
+    return { key, order: order === 'asc' || order === 'desc' ? order : defaultOrder(key) };
+  }
+  if (list.kind === 'composite' || list.kind === 'local') return null;
+  const sortKey = k(userId, `catalog:listsort:${list.id}`);
+  let own = cache.get(sortKey);
+  if (own === undefined){
+    own = await getListSort({ userId: source ? null : userId, urlOrSlug: list.url }).catch(() => null) || null;
+    cache.set(sortKey, own, POOL_TTL_SEC);
+  }
+  const key = own && normalizeSortKey(own.by);
+  if (!key || (key === 'rank' && own.how !== 'desc')) return null;
+  return { key, order: own.how === 'asc' || own.how === 'desc' ? own.how : defaultOrder(key) };
+}
+
+// Rank items from all enabled lists against the query; exact and prefix title matches come first
+async function searchLists({ userId, query, skip, profile = null, source = null }){
+  const q = parseQuery(query);
+  if (!q.text && !q.year) return [];
+
+  const all = await loadLists(userId, source);
+  const lists = publishedLists(all, profile);
+  const settings = await loadSettings(userId, profile, source);
+  const now = Date.now();
+
+  const seen = new Map(); // imdb -> { meta, score, order }
+  let order = 0;
+  for (const l of lists){
+    const hideUnreleased = !!(l.hideUnreleased) || !!(settings && settings.hideUnreleasedAll);
+    const watched = await watchedFilter(userId, l, settings);
+    const pool = l.kind === 'composite'
+      ? await fetchCompositeItems({ userId, list: l, lists: all, source })
+      : await fetchListPool({ userId, list: l, source });
+    for (const it of pool){
+      if (hideUnreleased && !isReleased(it, now)) continue;
+      if (watched && watched.has(imdbOf(it))) continue;
+      const core = it[it.type];
+      const score = scoreCandidate(q, {
+        titles: [core?.title, core?.original_title].filter(Boolean),
+        year: Number.isFinite(core?.year) ? core.year : undefined
+      });
+      if (!score) continue;
+      const meta = itemToMeta(it);
+      if (!meta) continue;
+      const prev = seen.get(meta.id);
+      if (!prev || prev.score < score) seen.set(meta.id, { meta, score, order: prev ? prev.order : order++ });
+    }
+  }
+
+  const ranked = Array.from(seen.values())
+    .sort((a, b) => (b.score - a.score) || ((b.meta.imdbRating || 0) - (a.meta.imdbRating || 0)) || (a.order - b.order))
+    .map(x => x.meta);
+  return ranked.slice(skip, skip + PAGE_SIZE);
+}
+
+/**
+ * Items a list's catalog draws from, before sorting and extras: the whole list (mirror, Trakt-sorted pool,
+ * or composite members combined by the set operator) minus hidden titles, narrowed to the recently-added
+ * window or the rotation sample.
+ */
+async function catalogItems({ userId, l, lists, settings, recent, period, traktSort = null, source = null, now = Date.now() }){
+  // Hide unreleased movies (per-list OR global)
+  const hideUnreleased = !!(l.hideUnreleased) || !!(settings && settings.hideUnreleasedAll);
+  // Hide watched movies / completed series (per-list OR global), from the local watched copy
+  const watched = await watchedFilter(userId, l, settings);
+  const items = l.kind === 'composite'
+    ? await fetchCompositeItems({ userId, list: l, lists, source })
+    : await fetchListPool({ userId, list: l, traktSort, source });
+  let pruned = items.filter(it =>
+    (!hideUnreleased || isReleased(it, now)) && !(watched && watched.has(imdbOf(it)))
+  );
+  if (recent) pruned = pruned.filter(it => addedSince(it, now - l.recentDays * DAY_MS));
+  if (period){
+    // Same user + list + period => same sample on every page and cache miss; the sample is drawn before filters
+    pruned = seededShuffle(pruned, `${userId}:${l.id}:${period}`);
+    const size = Number(l.rotationSize) || 0;
+    if (size > 0) pruned = pruned.slice(0, size);
+  }
+  return pruned;
+}
+
+// Items → metas, keeping only the requested type when the list is published under native types
+function typedMetas(items, l, settings, type){
+  const onlyType = nativeTypeFilter(l, settings, type);
+  const metas = toMetas(items);
+  return onlyType ? metas.filter(m => m.type === onlyType) : metas;
+}
+
+// "Drama (12)" (a genre option published with its count) → "Drama"
+function genreFromOption(value){
+  return String(value || '').replace(/\s+\(\d+\)$/, '');
+}
+
+/**
+ * Genre picker options of a catalog, each with the number of titles behind it: the genres that occur
+ * (counted after the list's own year/rating ranges) and the list's facets that match anything (also after
+ * its saved genre, which still applies when a facet is picked). Cached beside the catalog's pages,
+ * so a list change purges it together with them.
+ * @returns {Promise<{genres:{label:string, count:number}[], facets:{label:string, count:number}[]}>}
+ *   genres alphabetical, facets in listFacets order
+ */
+async function catalogOptions({ userId, type, catalogId, profile = null, source = null }){
+  const { listId, recent } = parseCatalogId(catalogId);
+  const lists = await loadLists(userId, source);
+  const l = publishedLists(lists, profile).find(x => x.id === listId);
+  if (!l) return { genres: [], facets: [] };
+  const period = recent ? '' : rotationPeriodKey(l.rotation);
+  const key = k(userId, `catalog:${catalogId}:options:${profile ? profile.id : ''}:${type}:${period}`);
+  const hit = cache.get(key);
+  if (hit) return hit;
+
+  const settings = await loadSettings(userId, profile, source);
+  const items = await catalogItems({ userId, l, lists, settings, recent, period, source });
+  const metas = applyFilters(typedMetas(items, l, settings, type), {
+    yearMin: l.yearMin, yearMax: l.yearMax, ratingMin: l.ratingMin, ratingMax: l.ratingMax
+  });
+  const counts = new Map();
+  for (const m of metas){
+    for (const g of m.genres || []) counts.set(g, (counts.get(g) || 0) + 1);
+  }
+  const genres = Array.from(counts, ([label, count]) => ({ label, count }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+  const base = l.genre ? applyFilters(metas, { genre: l.genre }) : metas;
+  const facets = listFacets(l)
+    .map(f => ({ label: f.label, count: applyFilters(base, f.range).length }))
+    .filter(f => f.count > 0);
+  const out = { genres, facets };
+  cache.set(key, out, POOL_TTL_SEC);
+  return out;
+}
+
+// Cache key part for the requested extras; profile pages are kept apart since their filters differ,
+// and so are the movie/series halves of a list published under native types
+function extrasCacheKey(extras, profile, type){
+  return JSON.stringify({
+    search: extras.search || undefined,
     sort: extras.sort || undefined,
     order: extras.order || undefined,
-    genre: extras.genre || undefined,
+    genre: genreFromOption(extras.genre) || undefined,
     yearMin: extras.yearMin || undefined,
     yearMax: extras.yearMax || undefined,
     ratingMin: extras.ratingMin || undefined,
-    ratingMax: extras.ratingMax || undefined
+    ratingMax: extras.ratingMax || undefined,
+    profile: profile ? profile.id : undefined,
+    type: type || undefined
   });
-  const cacheKey = k(userId, `catalog:${catalogId}:${skip}:${extrasKey}`);
+}
+
+/**
+ * One catalog page. profile / source as for buildUserManifest.
+ */
+async function getCatalog({ userId, type, catalogId, skip = 0, extras = {}, profile = null, source = null }){
+  const cacheKey = k(userId, `catalog:${catalogId}:${skip}:${extrasCacheKey(extras, profile, type)}`);
   const hit = cache.get(cacheKey);
-  if (hit) return { ...hit, _cached: true, _cachedAt: hit._cachedAt || new Date().toISOString() };
+  // Rotating catalogs carry their period; a page cached before the rollover is stale
+  const fresh = hit && (!hit._rotation || hit._period === rotationPeriodKey(hit._rotation));
+  if (fresh) return { ...hit, _cached: true, _cachedAt: hit._cachedAt || new Date().toISOString() };
+
+  if (catalogId === SEARCH_CATALOG_ID){
+    const metas = await searchLists({ userId, query: String(extras.search || ''), skip: Math.max(0, Number(skip) || 0), profile, source }).catch(() => []);
+    const settings = await loadSettings(userId, profile, source);
+    const result = { metas: await withArtwork(metas, settings) };
+    cache.set(cacheKey, { ...result, _cachedAt: new Date().toISOString() });
+    return { ...result, _cached: false, _cachedAt: new Date().toISOString() };
+  }
 
   try{
-    const lists = await repo.getLists(userId);
-    const l = (lists || []).find(x => x.id === catalogId && x.enabled);
-    if (!l) {
+    const lists = await loadLists(userId, source);
+    const { listId, recent } = parseCatalogId(catalogId);
+    const l = publishedLists(lists, profile).find(x => x.id === listId);
+    if (!l || (recent && !(l.recentDays > 0))) {
       const empty = { metas: [] };
       cache.set(cacheKey, { ...empty, _cachedAt: new Date().toISOString() });
       return { ...empty, _cached: false, _cachedAt: new Date().toISOString() };
@@ -273,134 +771,41 @@ async function getCatalog({ userId, type, catalogId, skip = 0, extras = {} }){
 
     // Defaults from saved list if extras missing (include genre/ranges)
     const effExtras = { ...extras };
-    if (!effExtras.sort && l.sortBy) effExtras.sort = l.sortBy;
-    if (!effExtras.order && l.sortOrder) effExtras.order = l.sortOrder;
+    // The recently-added view keeps its newest-first order unless the request sorts explicitly
+    if (!recent && !effExtras.sort && l.sortBy) effExtras.sort = l.sortBy;
+    if (!recent && !effExtras.order && l.sortOrder) effExtras.order = l.sortOrder;
+    if (effExtras.genre) effExtras.genre = genreFromOption(effExtras.genre);
+    // A facet picked in the genre picker narrows by its ranges; the list's own genre still applies
+    const facet = findFacet(l, effExtras.genre);
+    if (facet) delete effExtras.genre;
     if (!effExtras.genre && l.genre) effExtras.genre = l.genre;
     if (!effExtras.yearMin && l.yearMin) effExtras.yearMin = l.yearMin;
     if (!effExtras.yearMax && l.yearMax) effExtras.yearMax = l.yearMax;
     if (!effExtras.ratingMin && l.ratingMin) effExtras.ratingMin = l.ratingMin;
     if (!effExtras.ratingMax && l.ratingMax) effExtras.ratingMax = l.ratingMax;
 
-    // Hide unreleased movies (per-list OR global)
-    let settings = {};
-    try { settings = await getUserSettings(repo, userId); } catch {}
-    const hideUnreleased = !!(l.hideUnreleased) || !!(settings && settings.hideUnreleasedAll);
+    const settings = await loadSettings(userId, profile, source);
     const now = Date.now();
 
-    // Is this a “narrowing” query requiring filter-aware pagination?
-    const hasNarrowing =
-      (effExtras.genre && String(effExtras.genre).trim()) ||
-      effExtras.yearMin || effExtras.yearMax || effExtras.ratingMin || effExtras.ratingMax;
-
-    const MAX_PAGES = 10; // safety cap (1000 items)
-    const LIMIT = 100;
-
-    if (hasNarrowing){
-      // Filter-aware pagination: gather across pages, apply filters on each chunk, and accumulate
-      let filteredPool = [];
-      for (let page=1; page<=MAX_PAGES; page++){
-        const raw = await getUserListItems({ userId, urlOrSlug: l.url, stremioType: l.type, limit: LIMIT, page }).catch(() => []);
-        const arr = Array.isArray(raw) ? raw : [];
-        if (!arr.length) break;
-
-        const pruned = hideUnreleased
-          ? arr.filter(it => {
-              if (it.type !== 'movie') return true;
-              const relISO = it.movie && it.movie.released ? String(it.movie.released) : '';
-              const relMs = Date.parse(relISO);
-              return !Number.isFinite(relMs) || relMs <= now;
-            })
-          : arr;
-
-        const metasChunk = [];
-        for (const it of pruned){
-          const core = it[it.type];
-          const imdb = core?.ids?.imdb;
-          if (!imdb || !/^tt\d+$/i.test(imdb)) continue;
-          const name = core.title || '';
-          const year = Number.isFinite(core.year) ? core.year : undefined;
-          const overview = core.overview || undefined;
-          const runtimeMin = Number.isFinite(core.runtime) ? core.runtime : undefined;
-          const ratingNum = round1(core.rating);
-          const genresRaw = Array.isArray(core.genres) ? core.genres : null;
-          const genres = genresRaw && genresRaw.length
-            ? Array.from(new Set(genresRaw.map(mapGenre).filter(Boolean)))
-            : undefined;
-          const releaseInfo = year ? String(year) : undefined;
-          metasChunk.push({
-            id: imdb,
-            type: it.type === 'show' ? 'series' : 'movie',
-            name,
-            description: overview,
-            imdbRating: ratingNum,
-            releaseInfo,
-            runtime: runtimeMin,
-            genres
-          });
-        }
-
-        const filteredChunk = applyFilters(metasChunk, effExtras);
-        filteredPool = filteredPool.concat(filteredChunk);
-
-        if (filteredPool.length >= (Number(skip) || 0) + PAGE_SIZE) break;
-      }
-
-      if (effExtras.sort) filteredPool = applySort(filteredPool, effExtras.sort, effExtras.order);
-      const pageSlice = filteredPool.slice(Number(skip) || 0, (Number(skip) || 0) + PAGE_SIZE);
-      const result = { metas: pageSlice };
-      cache.set(cacheKey, { ...result, _cachedAt: new Date().toISOString() });
-      return { ...result, _cached: false, _cachedAt: new Date().toISOString() };
-    } else {
-      const items = await fetchTraktSlice({
-        userId,
-        urlOrSlug: l.url,
-        stremioType: l.type,
-        skip: Math.max(0, Number(skip) || 0)
-      });
-
-      const pruned = hideUnreleased
-        ? items.filter(it => {
-            if (it.type !== 'movie') return true;
-            const relISO = it.movie && it.movie.released ? String(it.movie.released) : '';
-            const relMs = Date.parse(relISO);
-            return !Number.isFinite(relMs) || relMs <= now;
-          })
-        : items;
-
-      const metas = [];
-      for (const it of pruned){
-        const core = it[it.type];
-        const imdb = core?.ids?.imdb;
-        if (!imdb || !/^tt\d+$/i.test(imdb)) continue;
-        const name = core.title || '';
-        const year = Number.isFinite(core.year) ? core.year : undefined;
-        const overview = core.overview || undefined;
-        const runtimeMin = Number.isFinite(core.runtime) ? core.runtime : undefined;
-        const ratingNum = round1(core.rating);
-        const genresRaw = Array.isArray(core.genres) ? core.genres : null;
-        const genres = genresRaw && genresRaw.length
-          ? Array.from(new Set(genresRaw.map(mapGenre).filter(Boolean)))
-          : undefined;
-        const releaseInfo = year ? String(year) : undefined;
-        metas.push({
-          id: imdb,
-          type: it.type === 'show' ? 'series' : 'movie',
-          name,
-          description: overview,
-          imdbRating: ratingNum,
-          releaseInfo,
-          runtime: runtimeMin,
-          genres
-        });
-      }
-
-      let out = applyFilters(metas, effExtras);
-      if (effExtras.sort) out = applySort(out, effExtras.sort, effExtras.order);
-
-      const result = { metas: out };
-      cache.set(cacheKey, { ...result, _cachedAt: new Date().toISOString() });
-      return { ...result, _cached: false, _cachedAt: new Date().toISOString() };
-    }
+    // Rotating lists show a seeded sample; only an explicit sort reorders it (the list's own sort would undo the shuffle)
+    const period = recent ? '' : rotationPeriodKey(l.rotation);
+    const sort = recent && !effExtras.sort
+      ? { key: 'listed_at', order: 'desc' }
+      : (period && !effExtras.sort ? null : await resolveSort({ userId, list: l, extras: effExtras, source }));
+
+    const start = Math.max(0, Number(skip) || 0);
+
+    const traktSort = sort && TRAKT_ONLY_SORTS[sort.key] ? { by: TRAKT_ONLY_SORTS[sort.key], how: sort.order } : null;
+    let pruned = await catalogItems({ userId, l, lists, settings, recent, period, traktSort, source, now });
+    if (sort) pruned = sortItems(pruned, sort.key, sort.order, { seed: `${userId}:${l.id}` });
+    let out = applyFilters(typedMetas(pruned, l, settings, type), effExtras);
+    if (facet) out = applyFilters(out, facet.range);
+    const page = out.slice(start, start + PAGE_SIZE);
+    if (!recent) markNewMetas(page, pruned, l, now);
+    const result = { metas: await withArtwork(page, settings) };
+    const rotationTag = period ? { _rotation: l.rotation, _period: period } : {};
+    cache.set(cacheKey, { ...result, ...rotationTag, _cachedAt: new Date().toISOString() });
+    return { ...result, _cached: false, _cachedAt: new Date().toISOString() };
   }catch{
     const fallback = { metas: [] };
     cache.set(cacheKey, { ...fallback, _cachedAt: new Date().toISOString() });
@@ -408,4 +813,4 @@ async function getCatalog({ userId, type, catalogId, skip = 0, extras = {} }){
   }
 }
 
-module.exports = { buildUserManifest, getCatalog };
+module.exports = { baseManifest, buildUserManifest, getCatalog, refreshCatalogOptions, combineMembers };
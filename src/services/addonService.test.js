@@ -0,0 +1,41 @@
+const { combineMembers } = require('./addonService');
+
+const item = (imdb, title = imdb) => ({ type: 'movie', movie: { title, ids: { imdb } } });
+const ids = (items) => items.map(it => it.movie.ids.imdb);
+
+describe('combineMembers', () => {
+  const a = [item('tt1'), item('tt2'), item('tt3')];
+  const b = [item('tt3'), item('tt4'), item('tt2', 'second copy')];
+  const c = [item('tt2'), item('tt5')];
+
+  it('unions members in order, first occurrence wins', () => {
+    const out = combineMembers([a, b], 'union');
+    expect(ids(out)).toEqual(['tt1', 'tt2', 'tt3', 'tt4']);
+    expect(out[1].movie.title).toBe('tt2');
+  });
+
+  it('treats an unknown or missing operator as union', () => {
+    expect(ids(combineMembers([a, b]))).toEqual(['tt1', 'tt2', 'tt3', 'tt4']);
+    expect(ids(combineMembers([a, b], 'xor'))).toEqual(['tt1', 'tt2', 'tt3', 'tt4']);
+  });
+
+  it('keeps what the first member shares with every other one', () => {
+    expect(ids(combineMembers([a, b], 'intersection'))).toEqual(['tt2', 'tt3']);
+    expect(ids(combineMembers([a, b, c], 'intersection'))).toEqual(['tt2']);
+  });
+
+  it('drops from the first member what any other one has', () => {
+    expect(ids(combineMembers([a, b], 'difference'))).toEqual(['tt1']);
+    expect(ids(combineMembers([a, c], 'difference'))).toEqual(['tt1', 'tt3']);
+  });
+
+  it('interleaves members round-robin without duplicates', () => {
+    expect(ids(combineMembers([a, c], 'interleave'))).toEqual(['tt1', 'tt2', 'tt5', 'tt3']);
+  });
+
+  it('skips items without an IMDb id and handles no members', () => {
+    const noId = { type: 'movie', movie: { title: 'x', ids: {} } };
+    expect(ids(combineMembers([[noId, item('tt1')]], 'union'))).toEqual(['tt1']);
+    expect(combineMembers([], 'union')).toEqual([]);
+  });
+});
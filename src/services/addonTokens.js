@@ -0,0 +1,237 @@
+// src/services/addonTokens.js
+// Per-device addon tokens. Each install (TV, phone, …) gets its own named token; only its SHA-256
+// hash is stored, requests are matched in constant time, and a token can be revoked or rotated
+// without touching the others. A token may be scoped to one addon profile (profileId) and may
+// expire: expiring links carry an hmacSignUserLink signature bound to the user and token id.
+//
+// The credential in a manifest URL is the token itself, or `<token>.<exp>.<sig>` for expiring links
+// (path segment /u/:userId/:credential/manifest.json; ?t=&exp=&sig= is accepted as well).
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { repo } = require('../db/repo');
+const cfg = require('../config');
+const { hmacSignUserLink, hmacVerifyUserLink } = require('../utils/crypto');
+
+const TOKEN_BYTES = 24;
+const MAX_TOKENS = 50;                 // stored records per user, revoked ones included
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000; // lastUsedAt is written at most this often per token
+const MEM_MAX = 10000;                 // entries kept in `touched` / `migrated` (oldest dropped first)
+// Tokens are hex: 32 chars for links from before per-device tokens, 48 for issued ones
+const TOKEN_RE = /^[a-f0-9]{32,64}$/i;
+
+const touched = new Map(); // `${userId}:${tokenId}` -> ms of the last lastUsedAt write
+const locks = new Map();   // userId -> tail of pending token edits (dropped once idle)
+const migrated = new Set(); // existing users whose plaintext tokens were already moved (nothing creates new ones)
+
+// Insertion-ordered Map/Set capped at MEM_MAX
+function remember(store, key, value){
+  store.delete(key);
+  if (store instanceof Map) store.set(key, value); else store.add(key);
+  if (store.size > MEM_MAX) store.delete(store.keys().next().value);
+}
+
+// Token edits of one user run one after another (read-modify-write of the whole set)
+function withUserLock(userId, fn){
+  const run = (locks.get(userId) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  locks.set(userId, tail);
+  tail.then(() => { if (locks.get(userId) === tail) locks.delete(userId); });
+  return run;
+}
+
+function hashToken(token){
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function sameHash(a, b){
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+const isActive = (t, now = Date.now()) => !t.revokedAt && !(t.expiresAt && Date.parse(t.expiresAt) < now);
+
+// Signature payload: user and token id, so a signature can't be moved to another token
+const signedSubject = (userId, tokenId) => `${userId}:${tokenId}`;
+
+// Public view of a stored token (never the hash)
+function toView(t){
+  return {
+    id: t.id,
+    name: t.name,
+    profileId: t.profileId || null,
+    createdAt: t.createdAt,
+    lastUsedAt: t.lastUsedAt || null,
+    expiresAt: t.expiresAt || null,
+    revokedAt: t.revokedAt || null,
+    active: isActive(t)
+  };
+}
+
+function newRecord(userId, { name, profileId = null, expiresInSec = 0 }, token){
+  const record = {
+    id: uuidv4(),
+    name: String(name || '').trim() || 'Device',
+    profileId: profileId || null,
+    hash: hashToken(token),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    expiresAt: null,
+    revokedAt: null
+  };
+  let credential = token;
+  if (expiresInSec > 0){
+    const signed = hmacSignUserLink(signedSubject(userId, record.id), expiresInSec);
+    if (!signed) return null; // ADDON_SIGNING_SECRET not configured
+    record.expiresAt = new Date(signed.exp * 1000).toISOString();
+    credential = `${token}.${signed.exp}.${signed.sig}`;
+  }
+  return { record, credential };
+}
+
+// Oldest revoked/expired records go first when the cap is hit
+function trim(tokens){
+  if (tokens.length <= MAX_TOKENS) return tokens;
+  const dead = tokens.filter(t => !isActive(t)).map(t => t.id);
+  const drop = new Set(dead.slice(0, tokens.length - MAX_TOKENS));
+  return tokens.filter(t => !drop.has(t.id));
+}
+
+// Move plaintext tokens from before per-device tokens (users.addon_token, profile.token) to hashed records.
+// Only users that exist are remembered, so unknown ids can't fill `migrated`.
+async function migrateLegacy(userId){
+  if (migrated.has(userId)) return;
+  if (!await repo.findUserById(userId).catch(() => null)) return;
+  const legacy = await repo.getAddonToken(userId).catch(() => null);
+  const profiles = await repo.getProfiles(userId).catch(() => []);
+  const withToken = (profiles || []).filter(p => p.token);
+  if (!legacy && !withToken.length) { remember(migrated, userId); return; }
+  const tokens = await repo.getAddonTokens(userId);
+  const now = new Date().toISOString();
+  const moved = [];
+  if (legacy) moved.push({ name: 'Original link', profileId: null, token: legacy });
+  for (const p of withToken) moved.push({ name: `${p.name} (original link)`, profileId: p.id, token: p.token });
+  const records = moved.map(m => ({
+    id: uuidv4(), name: m.name, profileId: m.profileId, hash: hashToken(m.token),
+    createdAt: now, lastUsedAt: null, expiresAt: null, revokedAt: null
+  }));
+  await repo.saveAddonTokens(userId, tokens.concat(records));
+  if (legacy) await repo.clearAddonToken(userId);
+  if (withToken.length) await repo.saveProfiles(userId, profiles.map(({ token, ...p }) => p));
+  remember(migrated, userId);
+}
+
+/** Stored tokens of the user, as public views */
+async function listAddonTokens(userId){
+  await withUserLock(userId, () => migrateLegacy(userId));
+  return (await repo.getAddonTokens(userId)).map(toView);
+}
+
+/**
+ * Issue a token for one device.
+ * @param {{name:string, profileId?:string|null, expiresInSec?:number}} opts
+ * @returns {Promise<{token:object, credential:string}|null>} null when an expiring link was asked for but signing is off
+ */
+function createAddonToken(userId, opts){
+  return withUserLock(userId, async () => {
+    await migrateLegacy(userId);
+    const issued = newRecord(userId, opts, crypto.randomBytes(TOKEN_BYTES).toString('hex'));
+    if (!issued) return null;
+    const tokens = await repo.getAddonTokens(userId);
+    await repo.saveAddonTokens(userId, trim(tokens.concat(issued.record)));
+    return { token: toView(issued.record), credential: issued.credential };
+  });
+}
+
+/** Revoke tokens matching `pick(record)`; resolves with the number revoked */
+function revokeAddonTokens(userId, pick){
+  return withUserLock(userId, async () => {
+    await migrateLegacy(userId);
+    const now = new Date().toISOString();
+    let n = 0;
+    const tokens = (await repo.getAddonTokens(userId)).map(t => {
+      if (t.revokedAt || !pick(t)) return t;
+      n++;
+      return { ...t, revokedAt: now };
+    });
+    if (n) await repo.saveAddonTokens(userId, tokens);
+    return n;
+  });
+}
+
+/**
+ * Replace a token with a new one for the same device (same name, scope and lifetime); the old one is revoked.
+ * @returns {Promise<{token:object, credential:string}|null>} null when the token is unknown or already revoked
+ */
+function rotateAddonToken(userId, tokenId){
+  return withUserLock(userId, async () => {
+    await migrateLegacy(userId);
+    const tokens = await repo.getAddonTokens(userId);
+    const old = tokens.find(t => t.id === tokenId && !t.revokedAt);
+    if (!old) return null;
+    const lifetime = old.expiresAt ? Math.max(0, Math.round((Date.parse(old.expiresAt) - Date.parse(old.createdAt)) / 1000)) : 0;
+    const issued = newRecord(userId, { name: old.name, profileId: old.profileId, expiresInSec: lifetime }, crypto.randomBytes(TOKEN_BYTES).toString('hex'));
+    if (!issued) return null;
+    const now = new Date().toISOString();
+    const next = tokens.map(t => (t.id === old.id ? { ...t, revokedAt: now } : t)).concat(issued.record);
+    await repo.saveAddonTokens(userId, trim(next));
+    return { token: toView(issued.record), credential: issued.credential };
+  });
+}
+
+function parseCredential(credential, query = {}){
+  const [token, exp, sig] = String(credential || '').split('.');
+  return { token, exp: exp || query.exp || '', sig: sig || query.sig || '' };
+}
+
+/**
+ * Check a request's credential against the active tokens of the user in the given scope
+ * (profileId null = the account's main manifest).
+ * @param {string} credential path segment or ?t= value
+ * @param {{exp?:string, sig?:string}} [query] ?exp=&sig= when not in the credential
+ * @returns {Promise<object|null>} the matching token view, or null
+ */
+async function verifyAddonCredential(userId, credential, query, { profileId = null } = {}){
+  const { token, exp, sig } = parseCredential(credential, query);
+  // Malformed credentials are refused before any lookup or migration
+  if (!TOKEN_RE.test(token) || !userId) return null;
+  await withUserLock(userId, () => migrateLegacy(userId)).catch(() => {});
+  const hash = hashToken(token);
+  const now = Date.now();
+  let match = null;
+  // Every stored hash is compared so the time taken doesn't depend on which one matched
+  for (const t of await repo.getAddonTokens(userId).catch(() => [])){
+    if (sameHash(t.hash, hash) && isActive(t, now) && (t.profileId || null) === (profileId || null)) match = t;
+  }
+  if (!match) return null;
+  if (match.expiresAt){
+    if (!/^\d+$/.test(exp) || !hmacVerifyUserLink(signedSubject(userId, match.id), sig, exp)) return null;
+    if (Number(exp) * 1000 < now) return null;
+  }
+  touch(userId, match.id, now);
+  return toView(match);
+}
+
+// Record lastUsedAt in the background, at most every TOUCH_INTERVAL_MS per token; only that token is written
+function touch(userId, tokenId, now){
+  const key = `${userId}:${tokenId}`;
+  if (now - (touched.get(key) || 0) < TOUCH_INTERVAL_MS) return;
+  remember(touched, key, now);
+  withUserLock(userId, () => repo.touchAddonToken(userId, tokenId, new Date(now).toISOString())).catch(() => {});
+}
+
+/** Install links for a credential (account manifest, or a profile's); only shown when a token is issued */
+function installLinks(userId, credential, profileId = null){
+  const manifestUrl = `${cfg.baseUrl}/u/${userId}${profileId ? `/p/${profileId}` : ''}/${credential}/manifest.json`;
+  return { manifestUrl, stremioLink: `stremio://${encodeURIComponent(manifestUrl)}` };
+}
+
+module.exports = {
+  listAddonTokens,
+  createAddonToken,
+  revokeAddonTokens,
+  rotateAddonToken,
+  verifyAddonCredential,
+  installLinks
+};
@@ -0,0 +1,113 @@
+// src/services/artworkService.js
+// Poster/background resolution for catalog metas.
+// Sources: cinemeta (default, no upstream call), omdb (OMDB_API_KEY), fanart (FANARTTV_API_KEY)
+// and custom (URL template with {imdb}/{type}). Results are cached per IMDb id and shared by all users.
+
+const axios = require('axios');
+const { default: PQueue } = require('p-queue');
+const cfg = require('../config');
+const { cache } = require('../utils/cache');
+
+const http = axios.create({ timeout: 8000 });
+const METAHUB_BASE = 'https://images.metahub.space';
+const FANART_BASE = 'https://webservice.fanart.tv/v3';
+
+const POSTER_SOURCES = ['cinemeta', 'omdb', 'fanart', 'custom'];
+const ART_TTL_SEC = 7 * 24 * 60 * 60;   // artwork for a title rarely changes
+const ART_MISS_TTL_SEC = 6 * 60 * 60;   // retry titles without artwork a few times a day
+
+// One queue for all users so a cold 100-item page can't flood OMDb/fanart.tv
+const queue = new PQueue({ concurrency: 8 });
+const inflight = new Map(); // cache key -> pending lookup
+
+function cinemetaArt(imdb){
+  return {
+    poster: `${METAHUB_BASE}/poster/medium/${imdb}/img`,
+    background: `${METAHUB_BASE}/background/medium/${imdb}/img`
+  };
+}
+
+function templateArt(template, imdb, type){
+  if (!template) return null;
+  const poster = template.replace(/\{imdb\}/g, imdb).replace(/\{type\}/g, type);
+  return /^https?:\/\//.test(poster) ? { poster } : null;
+}
+
+async function fetchOmdbArt(imdb){
+  const key = process.env.OMDB_API_KEY || cfg.OMDB_API_KEY || '';
+  if (!key) return null;
+  const url = `https://www.omdbapi.com/?apikey=${encodeURIComponent(key)}&i=${encodeURIComponent(imdb)}`;
+  const { data, status } = await http.get(url, { validateStatus: () => true });
+  if (status !== 200 || !data || data.Response === 'False') return null;
+  return data.Poster && /^https?:\/\//.test(data.Poster) ? { poster: data.Poster } : null;
+}
+
+// Prefer English/language-neutral images, then the most liked
+function pickFanart(images){
+  if (!Array.isArray(images) || !images.length) return undefined;
+  const rank = (img) => (img.lang === 'en' ? 2 : (img.lang === '00' || !img.lang ? 1 : 0));
+  const best = images.slice().sort((a, b) => (rank(b) - rank(a)) || ((Number(b.likes) || 0) - (Number(a.likes) || 0)))[0];
+  return best && best.url ? best.url : undefined;
+}
+
+// fanart.tv keys movies by IMDb id but shows by TVDB id
+async function fetchFanartArt(imdb, type, tvdb){
+  const key = process.env.FANARTTV_API_KEY || cfg.FANARTTV_API_KEY || '';
+  if (!key) return null;
+  const isSeries = type === 'series';
+  if (isSeries && !tvdb) return null;
+  const url = isSeries
+    ? `${FANART_BASE}/tv/${encodeURIComponent(tvdb)}?api_key=${encodeURIComponent(key)}`
+    : `${FANART_BASE}/movies/${encodeURIComponent(imdb)}?api_key=${encodeURIComponent(key)}`;
+  const { data, status } = await http.get(url, { validateStatus: () => true });
+  if (status !== 200 || !data) return null;
+  const poster = pickFanart(isSeries ? data.tvposter : data.movieposter);
+  const background = pickFanart(isSeries ? data.showbackground : data.moviebackground);
+  return poster || background ? { poster, background } : null;
+}
+
+async function lookup(source, imdb, type, tvdb){
+  if (source === 'omdb') return fetchOmdbArt(imdb);
+  if (source === 'fanart') return fetchFanartArt(imdb, type, tvdb);
+  return null;
+}
+
+// Cached upstream lookup; null when the source has nothing for this title
+async function remoteArt(source, imdb, type, tvdb){
+  const key = `art:${source}:${imdb}`;
+  const hit = cache.get(key);
+  if (hit !== undefined) return hit.art;
+  if (!inflight.has(key)){
+    inflight.set(key, queue.add(async () => {
+      try{
+        const art = await lookup(source, imdb, type, tvdb).catch(() => null);
+        cache.set(key, { art }, art ? ART_TTL_SEC : ART_MISS_TTL_SEC);
+        return art;
+      } finally {
+        inflight.delete(key);
+      }
+    }));
+  }
+  return inflight.get(key);
+}
+
+/**
+ * Fill in poster/background on catalog metas (in place). Anything the chosen
+ * source can't provide falls back to Cinemeta's image URLs.
+ * @param {object[]} metas catalog metas with IMDb ids
+ * @param {{source?:string, template?:string, tvdbOf?:(meta:object)=>(number|string|undefined)}} opts
+ */
+async function addArtwork(metas, { source = 'cinemeta', template = '', tvdbOf = () => undefined } = {}){
+  const src = POSTER_SOURCES.includes(source) ? source : 'cinemeta';
+  await Promise.all(metas.map(async (m) => {
+    const fallback = cinemetaArt(m.id);
+    let art = null;
+    if (src === 'custom') art = templateArt(template, m.id, m.type);
+    else if (src !== 'cinemeta') art = await remoteArt(src, m.id, m.type, tvdbOf(m)).catch(() => null);
+    m.poster = art?.poster || fallback.poster;
+    m.background = art?.background || fallback.background;
+  }));
+  return metas;
+}
+
+module.exports = { POSTER_SOURCES, addArtwork };
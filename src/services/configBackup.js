@@ -0,0 +1,142 @@
+// src/services/configBackup.js
+// Backup and restore of a user's addon configuration: saved lists (with their filters), the global
+// settings from state/userSettings (including the manifest name and catalog prefix) and the items of
+// local lists, as one versioned JSON document. Imports are planned first (a diff against the current
+// configuration) and only applied when not a dry run.
+
+const { repo } = require('../db/repo');
+const { DEFAULTS, getUserSettings, updateUserSettings } = require('../state/userSettings');
+const { normalizeList, nextListOrder } = require('./listConfig');
+const { MAX_LOCAL_ITEMS, replaceLocalItems, dropLocalList } = require('./localLists');
+const { dropListMirror } = require('./listMirror');
+const { dropListHistory } = require('./listHistory');
+
+const EXPORT_FORMAT = 'trakt-lists-addon-config';
+const EXPORT_VERSION = 1;
+const IMPORT_MODES = ['merge', 'replace'];
+// Settings carried by an export; lastDeltaAt is bookkeeping, not configuration
+const SETTING_KEYS = ['addonName', 'catalogPrefix', 'hideUnreleasedAll', 'hideWatchedAll', 'hideTraktHidden', 'posterSource', 'posterTemplate', 'catalogTypes', 'genreCounts'];
+
+function pickSettingKeys(src){
+  const out = {};
+  for (const key of SETTING_KEYS) if (src[key] !== undefined) out[key] = src[key];
+  return out;
+}
+
+// Stored local list items, minus anything that isn't a movie/show row with ids
+function cleanItems(items){
+  return (Array.isArray(items) ? items : [])
+    .filter(it => it && (it.type === 'movie' || it.type === 'show') && it[it.type] && it[it.type].ids)
+    .slice(0, MAX_LOCAL_ITEMS);
+}
+
+/** The user's configuration as an export document */
+async function buildExport(userId){
+  const lists = await repo.getLists(userId) || [];
+  const settings = await getUserSettings(repo, userId).catch(() => DEFAULTS);
+  const localLists = {};
+  for (const l of lists){
+    if (l.kind !== 'local') continue;
+    const doc = await repo.getLocalList(userId, l.id).catch(() => null);
+    localLists[l.id] = doc && Array.isArray(doc.items) ? doc.items : [];
+  }
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: pickSettingKeys(settings),
+    lists,
+    localLists
+  };
+}
+
+const LIST_FIELDS = Object.keys(normalizeList({}, 0)).filter(f => f !== 'id');
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Work out the configuration an import would produce, without saving anything.
+ * merge: imported lists replace saved ones with the same id, new ones are appended and the rest are kept;
+ *        only the settings present in the document change.
+ * replace: the document becomes the whole configuration; missing settings fall back to their defaults.
+ * @param {{lists:object[], settings:object, localLists?:object}} doc validated (not yet normalized) document
+ * @returns {{lists:object[], settings:object, localLists:Map<string, object[]>, removed:object[], diff:object}}
+ */
+function planImport(current, doc, mode){
+  const saved = current.lists || [];
+  let nextOrder = nextListOrder(saved);
+  const incoming = (doc.lists || []).map(l => normalizeList(l, Number.isInteger(l.order) ? l.order : nextOrder++));
+  const byId = new Map(incoming.map(l => [l.id, l]));
+
+  const lists = mode === 'replace'
+    ? incoming
+    : saved.map(l => byId.get(l.id) || l).concat(incoming.filter(l => !saved.some(s => s.id === l.id)));
+  const kept = new Set(lists.map(l => l.id));
+  const removed = saved.filter(l => !kept.has(l.id));
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const l of incoming){
+    const row = saved.find(s => s.id === l.id);
+    if (!row) { added.push({ id: l.id, name: l.name }); continue; }
+    const before = normalizeList(row, row.order);
+    const fields = LIST_FIELDS.filter(f => !same(before[f], l[f]));
+    if (fields.length) changed.push({ id: l.id, name: l.name, fields });
+    else unchanged++;
+  }
+
+  const base = mode === 'replace' ? pickSettingKeys(DEFAULTS) : {};
+  const settings = { ...base, ...pickSettingKeys(doc.settings || {}) };
+  const settingChanges = Object.keys(settings)
+    .filter(key => !same(current.settings[key], settings[key]))
+    .map(key => ({ key, from: current.settings[key], to: settings[key] }));
+
+  // Items only for local lists that end up in the configuration
+  const localLists = new Map();
+  for (const [id, items] of Object.entries(doc.localLists || {})){
+    const list = lists.find(l => l.id === id);
+    if (list && list.kind === 'local' && byId.has(id)) localLists.set(id, cleanItems(items));
+  }
+
+  return {
+    lists,
+    settings,
+    localLists,
+    removed,
+    diff: {
+      mode,
+      lists: {
+        added,
+        removed: removed.map(l => ({ id: l.id, name: l.name })),
+        changed,
+        unchanged: mode === 'replace' ? unchanged : unchanged + saved.filter(l => !byId.has(l.id)).length
+      },
+      settings: settingChanges,
+      localLists: localLists.size
+    }
+  };
+}
+
+/** Current lists + settings, the input planImport diffs against */
+async function loadCurrent(userId){
+  const lists = await repo.getLists(userId) || [];
+  const settings = await getUserSettings(repo, userId).catch(() => DEFAULTS);
+  return { lists, settings: pickSettingKeys(settings) };
+}
+
+/** Save a plan from planImport; lists it drops lose their mirrors, history and local items */
+async function applyImport(userId, plan){
+  await repo.saveLists(userId, plan.lists);
+  for (const l of plan.removed){
+    await dropListMirror(userId, l.id);
+    await dropListHistory(userId, l.id);
+    await dropLocalList(userId, l.id);
+  }
+  for (const [id, items] of plan.localLists){
+    const list = plan.lists.find(l => l.id === id);
+    await replaceLocalItems(userId, list, items, { format: 'backup', filename: '', importedAt: new Date().toISOString() });
+  }
+  await updateUserSettings(repo, userId, plan.settings);
+}
+
+module.exports = { EXPORT_FORMAT, EXPORT_VERSION, IMPORT_MODES, buildExport, loadCurrent, planImport, applyImport };
@@ -0,0 +1,81 @@
+// src/services/configSave.js
+// Saving lists and global settings (POST /api/config and the addon's /configure page): rows are
+// normalized and checked, catalog pages purged when lists or global filters change, and the
+// manifest version bumped so Stremio picks up the new manifest.
+
+const { repo } = require('../db/repo');
+const { bumpManifestVersion } = require('../db/version');
+const { getUserSettings, updateUserSettings } = require('../state/userSettings');
+const { normalizeList, nextListOrder } = require('./listConfig');
+const { clearUserCatalogCache } = require('./listMirror');
+const { refreshCatalogOptions } = require('./addonService');
+
+// Composite members must be other, non-composite lists saved in the same payload
+function validComposite(row, all) {
+  if (!row.members.length) return false;
+  return row.members.every(id => {
+    const m = all.find(x => x.id === id);
+    return m && m.id !== row.id && m.kind !== 'composite';
+  });
+}
+
+function validRow(row, all) {
+  if (row.name.length < 1) return false;
+  if (row.kind === 'composite') return validComposite(row, all);
+  return row.kind === 'local' || row.url.length >= 3;
+}
+
+/**
+ * Save lists and/or settings; undefined keys are left alone.
+ * @param {{lists?:object[], catalogPrefix?:string, addonName?:string, hideUnreleasedAll?:boolean,
+ *   hideWatchedAll?:boolean, hideTraktHidden?:boolean, posterSource?:string, posterTemplate?:string,
+ *   genreCounts?:boolean, catalogTypes?:string}} body
+ * @returns {Promise<{ok:true}|{ok:false, error:'invalid_rows', rows:number[]}>}
+ */
+async function saveConfig(userId, body) {
+  const { lists, catalogPrefix, addonName, hideUnreleasedAll, hideWatchedAll, hideTraktHidden, posterSource, posterTemplate, genreCounts, catalogTypes } = body || {};
+  const flags = { hideUnreleasedAll, hideWatchedAll, hideTraktHidden };
+
+  // For cache invalidation on global toggle change
+  const before = await getUserSettings(repo, userId).catch(() => ({}));
+
+  if (Array.isArray(lists)) {
+    const existing = await repo.getLists(userId).catch(() => []);
+    let nextOrder = nextListOrder(existing);
+    const normalized = lists.map((l) => normalizeList(l, Number.isInteger(l.order) ? l.order : nextOrder++));
+    const bad = normalized
+      .map((r, i) => ({ i, ok: validRow(r, normalized) }))
+      .filter(x => !x.ok).map(x => x.i);
+    if (bad.length) return { ok: false, error: 'invalid_rows', rows: bad };
+    await repo.saveLists(userId, normalized);
+    clearUserCatalogCache(userId); // lists changed
+  }
+
+  // Persist provided settings; ignore undefined keys
+  let changedGlobal = false;
+  const setFlags = Object.keys(flags).filter(f => typeof flags[f] === 'boolean');
+  if (
+    typeof catalogPrefix === 'string' ||
+    typeof addonName === 'string' ||
+    typeof posterSource === 'string' ||
+    typeof posterTemplate === 'string' ||
+    typeof catalogTypes === 'string' ||
+    typeof genreCounts === 'boolean' ||
+    setFlags.length
+  ) {
+    await updateUserSettings(repo, userId, { catalogPrefix, addonName, posterSource, posterTemplate, catalogTypes, genreCounts, ...flags });
+    changedGlobal = setFlags.some(f => !!before[f] !== flags[f]) ||
+      (typeof posterSource === 'string' && posterSource !== (before.posterSource || 'cinemeta')) ||
+      (typeof posterTemplate === 'string' && posterTemplate !== (before.posterTemplate || ''));
+  }
+
+  if (changedGlobal) {
+    clearUserCatalogCache(userId); // global filter changed => purge caches
+  }
+
+  await bumpManifestVersion(userId);
+  refreshCatalogOptions(userId).catch(() => {}); // genre picker options of the new lists/settings, in the background
+  return { ok: true };
+}
+
+module.exports = { validComposite, validRow, saveConfig };
@@ -1,35 +1,48 @@
 // src/services/deltaRefresh.js
-// Background "delta refresh" that checks Trakt updates since the last run
-// and invalidates per-user catalog caches when changes are detected.
+// Background "delta refresh": checks each configured Trakt list against Trakt's list summary
+// (updated_at / item_count) or, for the user's own personal catalogs, /sync/last_activities.
+// Only lists that moved are re-downloaded into their mirror, and only their catalog caches are purged.
 
 const { repo } = require('../db/repo');
-const { getUserSettings, updateUserSettings } = require('../state/userSettings');
-const { cache } = require('../utils/cache');
-const { getUserListItems } = require('../services/traktService');
+const { updateUserSettings } = require('../state/userSettings');
+const { getLastActivities } = require('../services/traktService');
+const { refreshMirror } = require('./listMirror');
 
-// Minimal fetchers for Trakt "updated since" endpoints.
-// These endpoints return items updated since a UTC ISO date.
-// We page until empty or a sane cap to avoid excessive load. [Trakt updates docs]
-async function fetchUpdatedMoviesSince({ userId, sinceISO, page = 1, limit = 100 }) {
-  // Reuse the Trakt service token context; implement a dedicated method there if you prefer.
-  // If a dedicated client exists, call /movies/updates/{since}?page=&limit=&extended=full. [Updates]
-  return getUserListItems({ userId, urlOrSlug: `__updates_movies__:${sinceISO}:${page}:${limit}`, stremioType: 'movie', limit, page });
-}
-
-async function fetchUpdatedShowsSince({ userId, sinceISO, page = 1, limit = 100 }) {
-  // Same approach for shows: /shows/updates/{since}?page=&limit=&extended=full. [Updates]
-  return getUserListItems({ userId, urlOrSlug: `__updates_shows__:${sinceISO}:${page}:${limit}`, stremioType: 'series', limit, page });
+// Lists that can serve a catalog: enabled Trakt lists plus members of enabled composites
+function trackedLists(lists){
+  const all = lists || [];
+  const needed = new Set();
+  for (const l of all){
+    if (l.enabled === false) continue;
+    if (l.kind === 'composite') (l.members || []).forEach(id => needed.add(id));
+    else needed.add(l.id);
+  }
+  return all.filter(l => l.kind !== 'composite' && l.url && needed.has(l.id));
 }
 
-// Purge all catalog caches for a user (page scoped keys) [cache]
-function clearUserCatalogCache(userId){
-  const prefix = `${userId}:catalog:`;
-  for (const k of cache.keys()){
-    if (k.startsWith(prefix)) cache.del(k);
+/**
+ * One delta pass for a user. Per-list lastCheckedAt / lastChangedAt land on the
+ * list's mirror (listMirror.getListSyncStatus).
+ * @returns {Promise<{checked:number, changed:string[]}>} ids of lists whose contents changed
+ */
+async function runDeltaRefresh(userId){
+  const lists = await repo.getLists(userId).catch(() => []);
+  const tracked = trackedLists(lists);
+  const changed = [];
+  if (tracked.length){
+    // One last_activities call covers every personal catalog of this user (null: not connected)
+    const activities = await getLastActivities(userId).catch(() => null);
+    for (const list of tracked){
+      const r = await refreshMirror(userId, list, { activities, lists }).catch(() => null);
+      if (r && r.changed) changed.push(list.id);
+    }
   }
+  await updateUserSettings(repo, userId, { lastDeltaAt: new Date().toISOString() }).catch(() => {});
+  return { checked: tracked.length, changed };
 }
 
 const scheduled = new Set(); // userIds scheduled
+const running = new Set();   // userIds with a pass in progress
 const DEFAULT_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
 
 // Schedule a background task per user (idempotent)
@@ -39,31 +52,16 @@ function ensureDeltaScheduleForUser(userId, intervalMs = DEFAULT_INTERVAL_MS){
   scheduled.add(uid);
 
   setInterval(async () => {
+    if (running.has(uid)) return; // a slow pass (large lists, rate limits) must not overlap the next
+    running.add(uid);
     try{
-      const s = await getUserSettings(repo, uid).catch(() => ({}));
-      const sinceISO = typeof s.lastDeltaAt === 'string' && s.lastDeltaAt ? s.lastDeltaAt : new Date(Date.now() - 6*60*60*1000).toISOString(); // 6h baseline
-      // Poll a couple of pages per run to be light on rate limits. [Trakt updates guidance]
-      const pagesToCheck = 2;
-      let changed = false;
-
-      for (let p=1; p<=pagesToCheck; p++){
-        const m = await fetchUpdatedMoviesSince({ userId: uid, sinceISO, page: p, limit: 100 }).catch(() => []);
-        if (Array.isArray(m) && m.length) changed = true;
-        const sh = await fetchUpdatedShowsSince({ userId: uid, sinceISO, page: p, limit: 100 }).catch(() => []);
-        if (Array.isArray(sh) && sh.length) changed = true;
-        if (!Array.isArray(m) || m.length < 100) { /* likely last page */ }
-        if (!Array.isArray(sh) || sh.length < 100) { /* likely last page */ }
-      }
-
-      if (changed){
-        clearUserCatalogCache(uid); // only purge when there were updates [cache best practice]
-      }
-      // Move the watermark forward after the run
-      await updateUserSettings(repo, uid, { lastDeltaAt: new Date().toISOString() }).catch(()=>{});
+      await runDeltaRefresh(uid);
     }catch{
       // swallow to keep interval alive
+    }finally{
+      running.delete(uid);
     }
   }, Math.max(60*1000, Number(intervalMs) || DEFAULT_INTERVAL_MS));
 }
 
-module.exports = { ensureDeltaScheduleForUser, clearUserCatalogCache };
+module.exports = { ensureDeltaScheduleForUser, runDeltaRefresh };
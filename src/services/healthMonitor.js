@@ -7,6 +7,7 @@ const { logger } = require('../utils/logger');
 const databaseMonitor = require('./databaseMonitor');
 const websocketService = require('./websocketService');
 const { cache } = require('../utils/cache');
+const { getTraktStats } = require('./traktClient');
 const cron = require('node-cron');
 
 class HealthMonitor {
@@ -25,7 +26,8 @@ class HealthMonitor {
       system: null,
       application: null,
       services: null,
-      performance: null
+      performance: null,
+      trakt: null
     };
     
     this.alerts = [];
@@ -109,6 +111,9 @@ class HealthMonitor {
     
     // Collect performance metrics
     this.metrics.performance = await this.collectPerformanceMetrics();
+
+    // Trakt API queue and per-endpoint counters
+    this.metrics.trakt = getTraktStats();
     
     this.lastCheck = timestamp;
 
@@ -256,6 +261,23 @@ class HealthMonitor {
       };
     }
 
+    // Trakt API client: degraded while requests are held back by a rate limit
+    try {
+      const trakt = getTraktStats();
+      services.trakt = {
+        status: trakt.queue.pausedUntil || trakt.users.paused ? 'degraded' : 'up',
+        calls: trakt.totals.calls,
+        rateLimited: trakt.totals.rateLimited,
+        lastCheck: new Date().toISOString()
+      };
+    } catch (error) {
+      services.trakt = {
+        status: 'down',
+        error: error.message,
+        lastCheck: new Date().toISOString()
+      };
+    }
+
     return services;
   }
 
@@ -0,0 +1,70 @@
+// src/services/listConfig.js
+// Saved list rows (repo.getLists / saveLists): allowed values and the normalized stored shape.
+
+const { v4: uuidv4 } = require('uuid');
+
+const LIST_TYPES = ['movie', 'series', 'mixed']; // mixed = movies and shows from one list, in Trakt rank order
+// "composite" lists combine other saved lists (by id) with a set operator instead of reading a Trakt URL;
+// "local" lists keep their items in this addon (curated in the dashboard or imported from a file)
+const LIST_KINDS = ['trakt', 'composite', 'local'];
+const COMPOSITE_OPERATORS = ['union', 'intersection', 'difference', 'interleave'];
+// Rotating "shuffle" catalogs: a fresh seeded sample per UTC day/week (rotationSize 0 = whole list)
+const ROTATIONS = ['daily', 'weekly'];
+// recentDays > 0 publishes a "Recently added" companion catalog; newMarker flags recent items in the main one
+const NEW_MARKERS = ['name', 'description'];
+// Manifest catalog type: "custom" = one type label from the addon name/prefix (own Discover section),
+// "native" = movie/series (Movies/Series boards; mixed lists become one catalog per type)
+const CATALOG_TYPES = ['custom', 'native'];
+// Built-in facet groups a list can add to its genre picker (services/listFacets), besides named presets
+const FACET_GROUPS = ['decades', 'ratings', 'runtimes'];
+const PRESET_RANGES = ['yearMin', 'yearMax', 'ratingMin', 'ratingMax', 'runtimeMin', 'runtimeMax'];
+const MAX_PRESETS = 20;
+
+// Named preset: a label plus numeric bounds; bounds that aren't numbers are dropped
+function normalizePreset(p) {
+  const out = { name: String(p?.name || '').trim() };
+  for (const key of PRESET_RANGES) {
+    const v = p?.[key] === '' || p?.[key] == null ? NaN : Number(p[key]);
+    if (Number.isFinite(v)) out[key] = v;
+  }
+  return out;
+}
+
+// Stored list shape; `order` is used when the row has none
+function normalizeList(l, order) {
+  return {
+    id: (l.id && typeof l.id === 'string' && l.id) ? l.id : uuidv4(),
+    name: (l.name || '').trim(),
+    url: typeof l.url === 'string' ? l.url.trim() : '',
+    type: LIST_TYPES.includes(l.type) ? l.type : 'movie',
+    sortBy: l.sortBy || '',
+    sortOrder: l.sortOrder || '',
+    genre: l.genre || '',             // NEW persisted
+    yearMin: l.yearMin || '',         // NEW persisted
+    yearMax: l.yearMax || '',         // NEW persisted
+    ratingMin: l.ratingMin || '',     // NEW persisted
+    ratingMax: l.ratingMax || '',     // NEW persisted
+    enabled: typeof l.enabled === 'boolean' ? l.enabled : true,
+    order: Number.isInteger(l.order) ? l.order : order,
+    hideUnreleased: !!l.hideUnreleased,
+    hideWatched: !!l.hideWatched,
+    rotation: ROTATIONS.includes(l.rotation) ? l.rotation : '',
+    rotationSize: l.rotationSize > 0 ? l.rotationSize : 0,
+    recentDays: l.recentDays > 0 ? l.recentDays : 0,
+    newMarker: NEW_MARKERS.includes(l.newMarker) ? l.newMarker : '',
+    catalogType: CATALOG_TYPES.includes(l.catalogType) ? l.catalogType : '', // '' = the user's catalogTypes setting
+    showInHome: typeof l.showInHome === 'boolean' ? l.showInHome : true,
+    facets: Array.isArray(l.facets) ? FACET_GROUPS.filter(g => l.facets.includes(g)) : [],
+    presets: Array.isArray(l.presets) ? l.presets.map(normalizePreset).filter(p => p.name).slice(0, MAX_PRESETS) : [],
+    kind: LIST_KINDS.includes(l.kind) ? l.kind : 'trakt',
+    members: l.kind === 'composite' && Array.isArray(l.members) ? Array.from(new Set(l.members)) : [],
+    operator: l.kind === 'composite' ? (l.operator || 'union') : ''
+  };
+}
+
+// `order` for a list appended after the saved ones
+function nextListOrder(lists) {
+  return (lists || []).reduce((m, r) => Number.isInteger(r.order) ? Math.max(m, r.order) : m, -1) + 1;
+}
+
+module.exports = { LIST_TYPES, LIST_KINDS, COMPOSITE_OPERATORS, ROTATIONS, NEW_MARKERS, CATALOG_TYPES, FACET_GROUPS, PRESET_RANGES, MAX_PRESETS, normalizeList, nextListOrder };
@@ -0,0 +1,53 @@
+// src/services/listFacets.js
+// Named facets ("1980s", "8+", "Under 100 min", saved presets) a list publishes next to its genres.
+// Stremio's UI only drives one option extra (genre), so facets ride along as extra genre options;
+// getCatalog turns a picked facet into the filter ranges it stands for.
+
+const { PRESET_RANGES } = require('./listConfig');
+
+const FIRST_DECADE = 1920;
+const RATING_BANDS = [9, 8, 7, 6];
+const RUNTIME_BUCKETS = [
+  { label: 'Under 100 min', range: { runtimeMax: 99 } },
+  { label: '100–130 min', range: { runtimeMin: 100, runtimeMax: 130 } },
+  { label: 'Over 130 min', range: { runtimeMin: 131 } }
+];
+
+function decades(now){
+  const out = [];
+  for (let d = FIRST_DECADE; d <= now.getUTCFullYear(); d += 10){
+    out.push({ label: `${d}s`, range: { yearMin: d, yearMax: d + 9 } });
+  }
+  return out;
+}
+
+// Preset → the ranges it sets (unset bounds left out)
+function presetRange(p){
+  const range = {};
+  for (const key of PRESET_RANGES){
+    if (Number.isFinite(p[key])) range[key] = p[key];
+  }
+  return range;
+}
+
+/**
+ * Facets a list offers, in picker order: its presets, then decades, rating bands and runtime buckets
+ * for each enabled facet group (listConfig FACET_GROUPS).
+ * @returns {{label:string, range:object}[]}
+ */
+function listFacets(l, now = new Date()){
+  const groups = Array.isArray(l?.facets) ? l.facets : [];
+  const out = (Array.isArray(l?.presets) ? l.presets : []).map(p => ({ label: p.name, range: presetRange(p) }));
+  if (groups.includes('decades')) out.push(...decades(now));
+  if (groups.includes('ratings')) out.push(...RATING_BANDS.map(r => ({ label: `${r}+`, range: { ratingMin: r } })));
+  if (groups.includes('runtimes')) out.push(...RUNTIME_BUCKETS);
+  return out;
+}
+
+/** The list's facet called `label` (a preset wins over a built-in facet of the same name), or null */
+function findFacet(l, label){
+  if (!label) return null;
+  return listFacets(l).find(f => f.label === label) || null;
+}
+
+module.exports = { listFacets, findFacet };
@@ -0,0 +1,51 @@
+const { listFacets, findFacet } = require('./listFacets');
+
+const labels = (facets) => facets.map(f => f.label);
+
+describe('listFacets', () => {
+  const now = new Date('2025-06-01T00:00:00Z');
+
+  it('offers nothing without facet groups or presets', () => {
+    expect(listFacets({}, now)).toEqual([]);
+    expect(listFacets(null, now)).toEqual([]);
+    expect(listFacets({ facets: 'decades' }, now)).toEqual([]);
+  });
+
+  it('lists presets first, then the enabled groups in picker order', () => {
+    const l = { facets: ['runtimes', 'ratings'], presets: [{ name: 'Short classics', yearMax: 1970, runtimeMax: 100 }] };
+    expect(labels(listFacets(l, now))).toEqual([
+      'Short classics', '9+', '8+', '7+', '6+', 'Under 100 min', '100–130 min', 'Over 130 min'
+    ]);
+  });
+
+  it('keeps only a preset\'s set bounds', () => {
+    const [preset] = listFacets({ presets: [{ name: 'P', yearMin: 1990, ratingMin: null, runtimeMax: 120 }] }, now);
+    expect(preset.range).toEqual({ yearMin: 1990, runtimeMax: 120 });
+  });
+
+  it('runs decades from the 1920s up to the current one', () => {
+    const decades = listFacets({ facets: ['decades'] }, now);
+    expect(decades[0]).toEqual({ label: '1920s', range: { yearMin: 1920, yearMax: 1929 } });
+    expect(decades[decades.length - 1]).toEqual({ label: '2020s', range: { yearMin: 2020, yearMax: 2029 } });
+    expect(listFacets({ facets: ['decades'] }, new Date('2030-01-01T00:00:00Z')).pop().label).toBe('2030s');
+  });
+
+  it('maps rating bands and runtime buckets to ranges', () => {
+    const facets = listFacets({ facets: ['ratings', 'runtimes'] }, now);
+    expect(facets.find(f => f.label === '8+').range).toEqual({ ratingMin: 8 });
+    expect(facets.find(f => f.label === '100–130 min').range).toEqual({ runtimeMin: 100, runtimeMax: 130 });
+  });
+});
+
+describe('findFacet', () => {
+  it('finds a facet by label, presets winning over built-ins', () => {
+    const l = { facets: ['ratings'], presets: [{ name: '8+', ratingMin: 8.5 }] };
+    expect(findFacet(l, '8+').range).toEqual({ ratingMin: 8.5 });
+    expect(findFacet(l, '7+').range).toEqual({ ratingMin: 7 });
+  });
+
+  it('returns null for unknown or empty labels', () => {
+    expect(findFacet({ facets: ['ratings'] }, 'Drama')).toBeNull();
+    expect(findFacet({ facets: ['ratings'] }, '')).toBeNull();
+  });
+});
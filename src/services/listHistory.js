@@ -0,0 +1,82 @@
+// src/services/listHistory.js
+// Change history of a list: snapshots of its titles (repo.addListSnapshot), taken whenever a mirror
+// sync finds a different set of titles than the latest snapshot, and added/removed diffs between them.
+
+const { repo } = require('../db/repo');
+
+const MAX_SNAPSHOTS = 50; // per list; older snapshots are trimmed
+
+// Stable id for a list row: IMDb id, else the Trakt id (titles without IMDb ids never become metas but still count)
+function itemKey(it){
+  const ids = it && it[it.type]?.ids;
+  if (!ids) return null;
+  if (ids.imdb) return ids.imdb;
+  return ids.trakt != null ? `trakt:${it.type}:${ids.trakt}` : null;
+}
+
+// Compact [id, title, year, type] tuples keep snapshots of large lists small
+function compact(items){
+  const seen = new Set();
+  const out = [];
+  for (const it of items || []){
+    const id = itemKey(it);
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    const core = it[it.type];
+    out.push([id, core.title || '', Number.isFinite(core.year) ? core.year : null, it.type]);
+  }
+  return out;
+}
+
+function sameMembers(a, b){
+  if (a.length !== b.length) return false;
+  const ids = new Set(a.map(x => x[0]));
+  return b.every(x => ids.has(x[0]));
+}
+
+/**
+ * Store a snapshot of the list's titles unless they match the latest one.
+ * @returns {Promise<boolean>} true when a snapshot was written
+ */
+async function recordSnapshot(userId, list, items, takenAt = new Date().toISOString()){
+  const entries = compact(items);
+  const url = list.url || '';
+  const [latest] = await repo.getListSnapshots(userId, list.id, 1).catch(() => []);
+  if (latest && latest.url === url && sameMembers(latest.items, entries)) return false;
+  // A new source URL starts a new history; a diff between two different lists means nothing
+  if (latest && latest.url !== url) await repo.deleteListSnapshots(userId, list.id).catch(() => {});
+  await repo.addListSnapshot(userId, list.id, { takenAt, url, itemCount: entries.length, items: entries }, MAX_SNAPSHOTS);
+  return true;
+}
+
+const toTitle = ([id, title, year, type]) => ({ id, title, year, type: type === 'show' ? 'series' : 'movie' });
+
+/**
+ * Diffs between consecutive snapshots, newest first.
+ * `since` is the snapshot the oldest returned change is measured against.
+ * @returns {Promise<{since:{at:string, itemCount:number}|null, changes:Array<{at:string, itemCount:number, added:object[], removed:object[]}>}>}
+ */
+async function getListHistory(userId, listId, { limit = 20 } = {}){
+  const snaps = await repo.getListSnapshots(userId, listId, limit + 1);
+  const changes = [];
+  for (let i = 0; i < snaps.length - 1; i++){
+    const cur = snaps[i];
+    const prev = snaps[i + 1];
+    const before = new Set(prev.items.map(x => x[0]));
+    const after = new Set(cur.items.map(x => x[0]));
+    changes.push({
+      at: cur.takenAt,
+      itemCount: cur.itemCount,
+      added: cur.items.filter(x => !before.has(x[0])).map(toTitle),
+      removed: prev.items.filter(x => !after.has(x[0])).map(toTitle)
+    });
+  }
+  const oldest = snaps[snaps.length - 1];
+  return { since: oldest ? { at: oldest.takenAt, itemCount: oldest.itemCount } : null, changes };
+}
+
+async function dropListHistory(userId, listId){
+  await repo.deleteListSnapshots(userId, listId).catch(() => {});
+}
+
+module.exports = { recordSnapshot, getListHistory, dropListHistory };
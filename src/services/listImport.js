@@ -0,0 +1,317 @@
+// src/services/listImport.js
+// Turns list export files into local list items plus a match report:
+// - IMDb list/ratings CSV (Const, Title, Title Type, Year, ...): built straight from the file, no lookups
+// - Letterboxd CSV (watchlist, list and diary exports): title + year matched against Trakt search
+// - Trakt JSON exports ([{ type, movie|show: { ids } }]) and plain JSON/CSV of IMDb or TMDB ids
+// Rows that match nothing land in `unresolved`; title/year rows with several candidates land in
+// `ambiguous` with the candidates' IMDb ids, so the user can fix them with an id and re-import.
+
+const { searchByExternalId, searchByTitle } = require('./traktService');
+const { normalizeTitle } = require('../utils/search');
+
+const IMPORT_FORMATS = ['imdb', 'letterboxd', 'trakt', 'ids'];
+const MAX_IMPORT_ROWS = 2000;
+const MAX_CANDIDATES = 5;
+
+// IMDb "Title Type" -> Trakt type; anything else (episodes, games) is not a catalog title
+const IMDB_TITLE_TYPES = {
+  movie: 'movie', tvmovie: 'movie', short: 'movie', video: 'movie', tvspecial: 'movie', tvshort: 'movie',
+  tvseries: 'show', tvminiseries: 'show'
+};
+
+/* ------------------------------- Parsing ------------------------------- */
+
+// RFC 4180 CSV: quoted fields, "" escapes, CRLF or LF line ends
+function parseCsv(text){
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++){
+    const c = text[i];
+    if (quoted){
+      if (c !== '"') field += c;
+      else if (text[i + 1] === '"'){ field += '"'; i++; }
+      else quoted = false;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r'){
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else field += c;
+  }
+  if (field !== '' || row.length){ row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function toYear(v){
+  const n = parseInt(String(v ?? '').trim(), 10);
+  return n >= 1870 && n <= 2100 ? n : null;
+}
+
+function toType(v){
+  const s = String(v || '').trim().toLowerCase();
+  if (['movie', 'movies', 'film'].includes(s)) return 'movie';
+  if (['show', 'shows', 'series', 'tv', 'tvseries'].includes(s)) return 'show';
+  return null;
+}
+
+function toDate(v){
+  const t = Date.parse(String(v || '').trim());
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+// "tt0133093", "imdb:tt0133093", "tmdb:603", "603" or an IMDb/TMDB URL -> { imdb } | { tmdb }
+function parseId(v){
+  const s = String(v ?? '').trim();
+  const imdb = s.match(/\b(tt\d{5,})\b/i);
+  if (imdb) return { imdb: imdb[1].toLowerCase() };
+  const tmdbUrl = s.match(/themoviedb\.org\/(movie|tv)\/(\d+)/i);
+  if (tmdbUrl) return { tmdb: Number(tmdbUrl[2]), type: tmdbUrl[1].toLowerCase() === 'tv' ? 'show' : 'movie' };
+  const tmdb = s.match(/^(?:tmdb:)?(\d+)$/i);
+  return tmdb ? { tmdb: Number(tmdb[1]) } : null;
+}
+
+// Header cell -> lower-case key without spaces/underscores ("Title Type" -> "titletype")
+function headerKey(cell){ return String(cell || '').trim().toLowerCase().replace(/[\s_()-]+/g, ''); }
+
+function pick(rec, ...keys){
+  for (const key of keys){ if (rec[key] != null && String(rec[key]).trim() !== '') return String(rec[key]).trim(); }
+  return '';
+}
+
+function detectCsvFormat(rows){
+  const preamble = rows.slice(0, 10);
+  if (preamble.some(r => /^letterboxd\b/i.test(r[0] || ''))) return 'letterboxd';
+  for (const r of preamble){
+    const keys = r.map(headerKey);
+    if (keys.includes('const')) return 'imdb';
+    if (keys.includes('letterboxduri')) return 'letterboxd';
+  }
+  return 'ids';
+}
+
+// Letterboxd list exports start with a list-info block; the film table's header is the last one with Name + Year
+function headerIndex(rows, format){
+  const keys = rows.slice(0, 10).map(r => r.map(headerKey));
+  if (format === 'imdb') return keys.findIndex(k => k.includes('const'));
+  if (format === 'letterboxd'){
+    let at = -1;
+    keys.forEach((k, i) => { if (k.includes('name') && k.includes('year')) at = i; });
+    return at;
+  }
+  return keys.findIndex(k => k.some(h => ['imdb', 'imdbid', 'tmdb', 'tmdbid', 'id', 'title', 'name'].includes(h)));
+}
+
+function csvRecords(rows, format){
+  const at = headerIndex(rows, format);
+  if (at < 0){
+    // Header-less id files: one id per line, in the first column
+    return rows.map((r, i) => ({ line: i + 1, rec: { id: r[0] } }));
+  }
+  const header = rows[at].map(headerKey);
+  return rows.slice(at + 1).map((r, i) => {
+    const rec = {};
+    header.forEach((h, j) => { if (h && rec[h] === undefined) rec[h] = r[j]; });
+    return { line: at + i + 2, rec };
+  });
+}
+
+// One normalized row: { line, label, imdb?, tmdb?, title?, year?, type?, listedAt?, core? }
+// `core` is a complete Trakt-style movie/show object taken from the file (no lookup needed)
+function imdbRow({ line, rec }){
+  const id = parseId(rec.const);
+  const title = pick(rec, 'title');
+  const year = toYear(rec.year);
+  const rawType = headerKey(rec.titletype);
+  const type = rawType ? IMDB_TITLE_TYPES[rawType] || null : 'movie';
+  const row = { line, label: title ? `${title}${year ? ` (${year})` : ''}` : String(rec.const || ''), imdb: id && id.imdb, title, year, type };
+  if (rawType && !type) return { ...row, skip: 'unsupported_type' };
+  if (!row.imdb || !title) return row;
+  const genres = pick(rec, 'genres').split(',').map(g => g.trim().toLowerCase().replace(/\s+/g, '-')).filter(Boolean);
+  const rating = parseFloat(pick(rec, 'imdbrating'));
+  const votes = parseInt(pick(rec, 'numvotes'), 10);
+  const runtime = parseInt(pick(rec, 'runtimemins'), 10);
+  const released = pick(rec, 'releasedate');
+  const core = {
+    title, year, ids: { imdb: row.imdb },
+    genres,
+    rating: Number.isFinite(rating) ? rating : undefined,
+    votes: Number.isFinite(votes) ? votes : undefined,
+    runtime: Number.isFinite(runtime) ? runtime : undefined,
+    ...(released ? (type === 'show' ? { first_aired: toDate(released) } : { released }) : {})
+  };
+  return { ...row, listedAt: toDate(pick(rec, 'created', 'daterated', 'dateadded')), core };
+}
+
+function letterboxdRow({ line, rec }){
+  const title = pick(rec, 'name', 'title');
+  const year = toYear(rec.year);
+  return { line, label: `${title}${year ? ` (${year})` : ''}`, title, year, type: 'movie', listedAt: toDate(pick(rec, 'date', 'watcheddate')) };
+}
+
+function idRow({ line, rec }){
+  const id = parseId(pick(rec, 'imdb', 'imdbid', 'tmdb', 'tmdbid', 'id', 'const', 'url'));
+  const title = pick(rec, 'title', 'name');
+  const year = toYear(rec.year);
+  const label = title ? `${title}${year ? ` (${year})` : ''}` : pick(rec, 'imdb', 'imdbid', 'tmdb', 'tmdbid', 'id');
+  return { line, label, ...(id || {}), title, year, type: toType(rec.type) || (id && id.type) || null, listedAt: toDate(pick(rec, 'listedat', 'added', 'date')) };
+}
+
+// JSON entries: id strings/numbers, { imdb, tmdb, type, title, year } objects, or Trakt export items
+function jsonRow(entry, i){
+  const line = i + 1;
+  if (typeof entry === 'string' || typeof entry === 'number'){
+    const id = parseId(entry);
+    return { line, label: String(entry), ...(id || {}), type: (id && id.type) || null };
+  }
+  if (!entry || typeof entry !== 'object') return { line, label: String(entry) };
+  const traktType = toType(entry.type);
+  const inner = traktType && entry[traktType] && typeof entry[traktType] === 'object' ? entry[traktType] : null;
+  if (inner){
+    const ids = inner.ids || {};
+    const title = String(inner.title || '');
+    const year = toYear(inner.year);
+    const row = {
+      line, label: title ? `${title}${year ? ` (${year})` : ''}` : String(ids.imdb || ids.tmdb || ''),
+      imdb: ids.imdb || undefined, tmdb: ids.tmdb || undefined, title, year, type: traktType,
+      listedAt: toDate(entry.listed_at)
+    };
+    return ids.imdb && title ? { ...row, core: inner } : row;
+  }
+  const ids = entry.ids && typeof entry.ids === 'object' ? entry.ids : entry;
+  return idRow({
+    line,
+    rec: {
+      imdb: ids.imdb ?? ids.imdb_id ?? ids.imdbId, tmdb: ids.tmdb ?? ids.tmdb_id ?? ids.tmdbId, id: ids.id,
+      title: entry.title ?? entry.name, year: entry.year, type: entry.type, listedat: entry.listed_at ?? entry.added
+    }
+  });
+}
+
+/**
+ * Parse an uploaded file into normalized rows.
+ * @param {string|object|Array} content file text, or an already parsed JSON body
+ * @param {string} [format] one of IMPORT_FORMATS; detected when missing
+ * @returns {{ok:true, format:string, rows:object[], truncated:number}|{ok:false, error:string}}
+ */
+function parseImport(content, format){
+  let data = content;
+  if (typeof data === 'string'){
+    const text = data.replace(/^\uFEFF/, '').trim();
+    if (!text) return { ok: false, error: 'empty_file' };
+    if (text[0] === '[' || text[0] === '{'){
+      try { data = JSON.parse(text); } catch { return { ok: false, error: 'invalid_json' }; }
+    } else data = text;
+  }
+
+  let rows;
+  if (typeof data === 'string'){
+    const csv = parseCsv(data);
+    const fmt = format && format !== 'trakt' ? format : detectCsvFormat(csv);
+    const toRow = fmt === 'imdb' ? imdbRow : fmt === 'letterboxd' ? letterboxdRow : idRow;
+    rows = csvRecords(csv, fmt).map(toRow);
+    format = fmt;
+  } else {
+    const arr = Array.isArray(data) ? data : (Array.isArray(data && data.items) ? data.items : null);
+    if (!arr) return { ok: false, error: 'unrecognized_format' };
+    rows = arr.map(jsonRow);
+    format = format || (arr.some(e => e && typeof e === 'object' && toType(e.type) && e[toType(e.type)]) ? 'trakt' : 'ids');
+  }
+
+  if (!rows.length) return { ok: false, error: 'no_rows' };
+  const truncated = Math.max(0, rows.length - MAX_IMPORT_ROWS);
+  return { ok: true, format, rows: rows.slice(0, MAX_IMPORT_ROWS), truncated };
+}
+
+/* ------------------------------ Matching ------------------------------- */
+
+function candidateOf(hit){
+  const core = hit[hit.type] || {};
+  return { imdb: core.ids?.imdb || null, tmdb: core.ids?.tmdb || null, title: core.title || '', year: core.year || null, type: hit.type === 'show' ? 'series' : 'movie' };
+}
+
+// -> { core, type } | { ambiguous: hits } | { reason }
+async function matchRow(userId, row){
+  if (row.core) return { core: row.core, type: row.type };
+  const traktTypes = row.type || 'movie,show';
+
+  if (row.imdb || row.tmdb){
+    const idType = row.imdb ? 'imdb' : 'tmdb';
+    const id = row.imdb || row.tmdb;
+    const hits = await searchByExternalId({ userId, idType, id, traktTypes });
+    if (hits === null) return { reason: 'lookup_failed' };
+    // A TMDB id can name a movie and an unrelated show; the file has to say which
+    const exact = hits.filter(h => h[h.type] && String(h[h.type].ids?.[idType]) === String(id));
+    if (exact.length > 1) return { ambiguous: exact };
+    if (!exact.length) return { reason: 'not_found' };
+    return { core: exact[0][exact[0].type], type: exact[0].type };
+  }
+
+  if (!row.title) return { reason: 'no_id_or_title' };
+  const hits = await searchByTitle({ userId, query: row.title, year: row.year, traktTypes });
+  if (hits === null) return { reason: 'lookup_failed' };
+  const want = normalizeTitle(row.title);
+  const titled = hits.filter(h => h[h.type] && normalizeTitle(h[h.type].title) === want);
+  // Exact title + year first; Letterboxd and Trakt often disagree on the year by one, so ±1 comes next
+  const tiers = row.year
+    ? [titled.filter(h => h[h.type].year === row.year), titled.filter(h => Math.abs((h[h.type].year || 0) - row.year) <= 1)]
+    : [titled];
+  for (const tier of tiers){
+    if (tier.length === 1) return { core: tier[0][tier[0].type], type: tier[0].type };
+    if (tier.length > 1) return { ambiguous: tier };
+  }
+  return hits.length ? { ambiguous: hits } : { reason: 'not_found' };
+}
+
+/**
+ * Resolve parsed rows into local list items (file order, de-duplicated by IMDb id).
+ * Lookups go through the shared Trakt queue, so large files take a while but never burst.
+ * @returns {Promise<{items:object[], report:object}>}
+ */
+async function resolveImport(userId, { format, rows, truncated }, now = new Date().toISOString()){
+  const results = await Promise.all(rows.map(row =>
+    row.skip ? { reason: row.skip } : matchRow(userId, row).catch(() => ({ reason: 'lookup_failed' }))
+  ));
+
+  const items = [];
+  const seen = new Set();
+  const unresolved = [];
+  const ambiguous = [];
+  let duplicates = 0;
+  results.forEach((r, i) => {
+    const row = rows[i];
+    const input = { line: row.line, input: row.label || '' };
+    if (r.ambiguous){
+      ambiguous.push({ ...input, candidates: r.ambiguous.slice(0, MAX_CANDIDATES).map(candidateOf) });
+      return;
+    }
+    if (r.reason){
+      unresolved.push({ ...input, reason: r.reason });
+      return;
+    }
+    const imdb = r.core.ids?.imdb;
+    // Catalog metas are keyed by IMDb id; a title without one could never be shown
+    if (!imdb){
+      unresolved.push({ ...input, reason: 'no_imdb_id' });
+      return;
+    }
+    if (seen.has(imdb)){ duplicates++; return; }
+    seen.add(imdb);
+    items.push({ type: r.type, rank: items.length + 1, listed_at: row.listedAt || now, [r.type]: r.core });
+  });
+
+  return {
+    items,
+    report: {
+      format,
+      total: rows.length + truncated,
+      matched: items.length,
+      duplicates,
+      truncated,
+      unresolved,
+      ambiguous
+    }
+  };
+}
+
+module.exports = { IMPORT_FORMATS, MAX_IMPORT_ROWS, parseImport, resolveImport };
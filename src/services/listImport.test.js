@@ -0,0 +1,110 @@
+const { parseImport, MAX_IMPORT_ROWS } = require('./listImport');
+
+describe('parseImport', () => {
+  it('rejects empty, broken and unrecognized input', () => {
+    expect(parseImport('  \n ')).toEqual({ ok: false, error: 'empty_file' });
+    expect(parseImport('[{"imdb":')).toEqual({ ok: false, error: 'invalid_json' });
+    expect(parseImport({ foo: 1 })).toEqual({ ok: false, error: 'unrecognized_format' });
+    expect(parseImport('[]')).toEqual({ ok: false, error: 'no_rows' });
+  });
+
+  describe('IMDb CSV', () => {
+    const csv = [
+      '﻿Const,Your Rating,Date Rated,Title,Title Type,IMDb Rating,Runtime (mins),Year,Genres,Num Votes,Release Date',
+      'tt0133093,9,2020-01-02,The Matrix,Movie,8.7,136,1999,"Action, Sci-Fi",2000000,1999-03-31',
+      'tt0903747,10,2020-01-03,"Breaking Bad",TV Series,9.5,49,2008,"Crime, Drama",2100000,2008-01-20',
+      'tt0959621,8,2020-01-04,Pilot,TV Episode,9.0,58,2008,Drama,40000,2008-01-20'
+    ].join('\r\n');
+
+    it('detects the format and builds complete items without lookups', () => {
+      const r = parseImport(csv);
+      expect(r).toMatchObject({ ok: true, format: 'imdb', truncated: 0 });
+      expect(r.rows[0]).toMatchObject({
+        line: 2, label: 'The Matrix (1999)', imdb: 'tt0133093', type: 'movie',
+        listedAt: '2020-01-02T00:00:00.000Z',
+        core: { title: 'The Matrix', year: 1999, ids: { imdb: 'tt0133093' }, genres: ['action', 'sci-fi'], rating: 8.7, votes: 2000000, runtime: 136, released: '1999-03-31' }
+      });
+      expect(r.rows[1]).toMatchObject({ type: 'show', core: { first_aired: '2008-01-20T00:00:00.000Z' } });
+    });
+
+    it('skips title types that are not catalog titles', () => {
+      expect(parseImport(csv).rows[2]).toMatchObject({ label: 'Pilot (2008)', skip: 'unsupported_type' });
+    });
+  });
+
+  describe('Letterboxd CSV', () => {
+    it('reads the film table after a list export\'s info block', () => {
+      const csv = [
+        'Letterboxd list export v7',
+        'Date,Name,Tags,URL,Description',
+        '2024-01-01,Faves,,https://boxd.it/abc,"My, favourite films"',
+        'Position,Name,Year,URL,Description',
+        '1,"Paris, Texas",1984,https://boxd.it/x,',
+        '2,Alien,1979,https://boxd.it/y,'
+      ].join('\n');
+      const r = parseImport(csv);
+      expect(r.format).toBe('letterboxd');
+      expect(r.rows).toEqual([
+        expect.objectContaining({ line: 5, label: 'Paris, Texas (1984)', title: 'Paris, Texas', year: 1984, type: 'movie' }),
+        expect.objectContaining({ line: 6, title: 'Alien', year: 1979 })
+      ]);
+    });
+
+    it('reads a watchlist export by its Letterboxd URI column', () => {
+      const r = parseImport('Date,Name,Year,Letterboxd URI\n2023-05-06,Heat,1995,https://boxd.it/z');
+      expect(r.format).toBe('letterboxd');
+      expect(r.rows[0]).toMatchObject({ title: 'Heat', year: 1995, listedAt: '2023-05-06T00:00:00.000Z' });
+    });
+  });
+
+  describe('id files', () => {
+    it('reads header-less ids, one per line', () => {
+      const r = parseImport('tt0133093\nhttps://www.themoviedb.org/tv/1396\ntmdb:603\nnonsense');
+      expect(r.format).toBe('ids');
+      expect(r.rows.map(({ imdb, tmdb, type }) => ({ imdb, tmdb, type }))).toEqual([
+        { imdb: 'tt0133093', tmdb: undefined, type: null },
+        { imdb: undefined, tmdb: 1396, type: 'show' },
+        { imdb: undefined, tmdb: 603, type: null },
+        { imdb: undefined, tmdb: undefined, type: null }
+      ]);
+    });
+
+    it('reads id columns with titles and types', () => {
+      const r = parseImport('imdb_id,title,year,type\ntt0944947,Game of Thrones,2011,series');
+      expect(r.rows[0]).toMatchObject({ line: 2, imdb: 'tt0944947', title: 'Game of Thrones', year: 2011, type: 'show' });
+    });
+
+    it('reads JSON ids and id objects', () => {
+      const r = parseImport([603, 'tt0133093', { ids: { tmdb: 1396 }, type: 'show', title: 'Breaking Bad' }]);
+      expect(r.format).toBe('ids');
+      expect(r.rows).toEqual([
+        expect.objectContaining({ line: 1, tmdb: 603 }),
+        expect.objectContaining({ line: 2, imdb: 'tt0133093' }),
+        expect.objectContaining({ line: 3, tmdb: 1396, type: 'show', title: 'Breaking Bad' })
+      ]);
+    });
+  });
+
+  describe('Trakt JSON', () => {
+    it('keeps complete items and detects the format', () => {
+      const r = parseImport(JSON.stringify([
+        { type: 'movie', listed_at: '2024-02-03T04:05:06.000Z', movie: { title: 'Heat', year: 1995, ids: { imdb: 'tt0113277', tmdb: 949 } } },
+        { type: 'show', show: { title: '', ids: { tmdb: 1396 } } }
+      ]));
+      expect(r.format).toBe('trakt');
+      expect(r.rows[0]).toMatchObject({ label: 'Heat (1995)', imdb: 'tt0113277', listedAt: '2024-02-03T04:05:06.000Z', core: { title: 'Heat' } });
+      expect(r.rows[1]).toMatchObject({ label: '1396', tmdb: 1396, type: 'show' });
+      expect(r.rows[1].core).toBeUndefined();
+    });
+
+    it('accepts an { items } wrapper', () => {
+      expect(parseImport({ items: ['tt0133093'] }).rows).toHaveLength(1);
+    });
+  });
+
+  it('caps the rows and reports how many were dropped', () => {
+    const r = parseImport(Array.from({ length: MAX_IMPORT_ROWS + 5 }, (_, i) => `tt${String(i).padStart(7, '0')}`).join('\n'));
+    expect(r.rows).toHaveLength(MAX_IMPORT_ROWS);
+    expect(r.truncated).toBe(5);
+  });
+});
@@ -0,0 +1,239 @@
+// src/services/listMirror.js
+// Persistent per-list copy of Trakt list items (repo.getListMirror / saveListMirror).
+// Catalog filtering, sorting and paging read the mirror. A sync re-downloads the list only when
+// Trakt's updated_at / item_count for it moved (each download also feeds listHistory); the user's own watchlist, favorites and collection use
+// /sync/last_activities stamps instead, and other personal catalogs re-download on every check.
+
+const { repo } = require('../db/repo');
+const { cache } = require('../utils/cache');
+const { resolveListRef, getUserListItems, getListSummary, getLastActivities } = require('./traktService');
+const { recordSnapshot } = require('./listHistory');
+
+const MIRROR_CHECK_MS = 15 * 60 * 1000; // age after which a read triggers a background check
+const MAX_MIRROR_PAGES = 100;           // 10k items safety cap
+const MEM_MAX_ITEMS = 25000;            // items of all mirrors kept in memory (least recently used dropped first)
+const SEARCH_CATALOG_ID = 'search-lists'; // addonService's cross-list search catalog
+
+// last_activities stamps that move when a personal catalog of the user changes
+const PERSONAL_ACTIVITY = {
+  watchlist: (a) => [a.watchlist?.updated_at],
+  favorites: (a) => [a.favorites?.updated_at],
+  collection: (a) => [a.movies?.collected_at, a.episodes?.collected_at]
+};
+
+const mem = new Map();      // `${userId}:${listId}` -> mirror
+const inflight = new Map(); // same key -> pending sync
+let memItems = 0;           // items held by `mem`
+
+function memKey(userId, listId){ return `${userId}:${listId}`; }
+
+const memSize = (mirror) => Math.max(1, mirror.items ? mirror.items.length : 0);
+
+function forget(key){
+  if (!mem.has(key)) return;
+  memItems -= memSize(mem.get(key));
+  mem.delete(key);
+}
+
+// The mirror just used always stays; older ones go until the item budget fits (the rest stay in repo)
+function remember(key, mirror){
+  forget(key);
+  mem.set(key, mirror);
+  memItems += memSize(mirror);
+  while (memItems > MEM_MAX_ITEMS && mem.size > 1) forget(mem.keys().next().value);
+}
+
+async function loadMirror(userId, listId){
+  const key = memKey(userId, listId);
+  if (mem.has(key)){
+    const hit = mem.get(key);
+    remember(key, hit);
+    return hit;
+  }
+  const mirror = await repo.getListMirror(userId, listId).catch(() => null);
+  if (mirror) remember(key, mirror);
+  return mirror;
+}
+
+// A mirror only serves the URL/type it was built from
+function matches(mirror, list){
+  return !!mirror && mirror.url === (list.url || '') && mirror.type === list.type;
+}
+
+function sameInstant(a, b){
+  if (!a || !b) return a === b;
+  return Date.parse(a) === Date.parse(b);
+}
+
+function fingerprint(items){
+  return items.map(it => `${it.type}:${it[it.type]?.ids?.trakt ?? it[it.type]?.ids?.imdb}:${it.rank ?? ''}:${it.listed_at ?? ''}`).join('|');
+}
+
+function latest(stamps){
+  const ms = stamps.map(v => Date.parse(v || '')).filter(Number.isFinite);
+  return ms.length ? new Date(Math.max(...ms)).toISOString() : null;
+}
+
+// { updated_at, item_count } for the list, or null when there is nothing to compare against.
+// `activities` is a /sync/last_activities payload the caller already has (null: unavailable).
+async function sourceSummary({ userId, list, activities }){
+  const ref = await resolveListRef(list.url || '');
+  if (!ref.personal) return getListSummary({ userId, urlOrSlug: list.url }).catch(() => null);
+  const pick = PERSONAL_ACTIVITY[ref.personal.kind];
+  if (!pick || ref.personal.user !== 'me') return null;
+  const acts = activities !== undefined ? activities : await getLastActivities(userId).catch(() => null);
+  const updated = acts ? latest(pick(acts)) : null;
+  return updated ? { updated_at: updated, item_count: null } : null;
+}
+
+async function fetchAllItems({ userId, list }){
+  let items = [];
+  for (let page = 1; page <= MAX_MIRROR_PAGES; page++){
+    const raw = await getUserListItems({ userId, urlOrSlug: list.url, stremioType: list.type, limit: 100, page }).catch(() => []);
+    const arr = Array.isArray(raw) ? raw : [];
+    if (!arr.length) break;
+    items = items.concat(arr);
+  }
+  return items;
+}
+
+/**
+ * Bring one list's mirror up to date.
+ * @param {{userId:string, list:object, force?:boolean, activities?:object|null}} args
+ *   force skips the updated_at/item_count shortcut; activities saves a last_activities call per personal catalog
+ * @returns {Promise<{mirror:object, changed:boolean}>}
+ */
+async function syncListMirror({ userId, list, force = false, activities }){
+  const key = memKey(userId, list.id);
+  const prev = await loadMirror(userId, list.id);
+  const now = new Date().toISOString();
+  const summary = await sourceSummary({ userId, list, activities });
+
+  const unchanged = matches(prev, list) && summary &&
+    sameInstant(prev.sourceUpdatedAt, summary.updated_at) &&
+    (summary.item_count == null || prev.itemCount === summary.item_count);
+  if (!force && unchanged){
+    const next = { ...prev, checkedAt: now };
+    await repo.touchListMirror(userId, list.id, now).catch(() => {});
+    remember(key, next);
+    return { mirror: next, changed: false };
+  }
+
+  const items = await fetchAllItems({ userId, list });
+  // An empty download of a list that had items is far more likely a Trakt hiccup than a cleared list
+  if (!items.length && matches(prev, list) && prev.items.length && !(summary && summary.item_count === 0)){
+    return { mirror: prev, changed: false };
+  }
+
+  // A first download (or a new URL) has no cached pages to invalidate; saving the list config already purged them
+  const changed = matches(prev, list) && fingerprint(prev.items) !== fingerprint(items);
+  const next = {
+    listId: String(list.id),
+    url: list.url || '',
+    type: list.type,
+    items,
+    itemCount: summary && Number.isFinite(summary.item_count) ? summary.item_count : items.length,
+    sourceUpdatedAt: summary ? summary.updated_at : null,
+    syncedAt: now,
+    checkedAt: now,
+    changedAt: changed ? now : (matches(prev, list) ? prev.changedAt || null : latest([summary && summary.updated_at]) || now)
+  };
+  await repo.saveListMirror(userId, list.id, next).catch(() => {});
+  remember(key, next);
+  await recordSnapshot(userId, list, items, now).catch(() => {});
+  return { mirror: next, changed };
+}
+
+// Drop every cached catalog page, pool and sort lookup of the user (lists, settings or watched state changed)
+function clearUserCatalogCache(userId){
+  const prefix = `${userId}:catalog:`;
+  for (const key of cache.keys()){
+    if (key.startsWith(prefix)) cache.del(key);
+  }
+}
+
+// Drop cached catalog pages, pools and sort lookups of these lists, plus the cross-list search pages
+function clearListCatalogCache(userId, listIds){
+  const prefixes = [`${userId}:catalog:${SEARCH_CATALOG_ID}:`];
+  for (const id of listIds){
+    prefixes.push(`${userId}:catalog:${id}:`, `${userId}:catalog:pool:${id}:`, `${userId}:catalog:listsort:${id}`);
+  }
+  for (const key of cache.keys()){
+    if (prefixes.some(p => key.startsWith(p))) cache.del(key);
+  }
+}
+
+// A changed list also invalidates every composite built on it, and its genre picker options follow
+// the new contents (required here: addonService loads this module)
+async function invalidateList(userId, listId, lists){
+  const all = lists || await repo.getLists(userId).catch(() => []);
+  const ids = [listId].concat((all || [])
+    .filter(l => l.kind === 'composite' && (l.members || []).includes(listId))
+    .map(l => l.id));
+  clearListCatalogCache(userId, ids);
+  require('./addonService').refreshCatalogOptions(userId).catch(() => {});
+}
+
+/**
+ * One sync per list at a time; content changes purge only that list's catalog pages.
+ * @param {object} [opts] syncListMirror options plus `lists` (the user's lists, to find composites)
+ */
+function refreshMirror(userId, list, opts = {}){
+  const { lists, ...syncOpts } = opts;
+  const key = memKey(userId, list.id);
+  if (!inflight.has(key)){
+    inflight.set(key, syncListMirror({ userId, list, ...syncOpts })
+      .then(async (r) => { if (r.changed) await invalidateList(userId, list.id, lists); return r; })
+      .finally(() => inflight.delete(key)));
+  }
+  return inflight.get(key);
+}
+
+/**
+ * All items of a Trakt-backed list, in Trakt rank order, from the mirror.
+ * The first read (or a URL/type change) syncs inline; afterwards stale mirrors
+ * are served as-is while a background check runs.
+ */
+async function getMirroredItems({ userId, list }){
+  const mirror = await loadMirror(userId, list.id);
+  if (!matches(mirror, list)){
+    const { mirror: fresh } = await refreshMirror(userId, list, { force: true });
+    return fresh.items;
+  }
+  if (Date.now() - (Date.parse(mirror.checkedAt || '') || 0) > MIRROR_CHECK_MS){
+    refreshMirror(userId, list).catch(() => {});
+  }
+  return mirror.items;
+}
+
+async function dropListMirror(userId, listId){
+  forget(memKey(userId, listId));
+  await repo.deleteListMirror(userId, listId).catch(() => {});
+}
+
+/**
+ * Per-list { lastCheckedAt, lastChangedAt } for the dashboard, keyed by list id.
+ * Composites report their most recently changed member and least recently checked one.
+ */
+async function getListSyncStatus(userId, lists){
+  const out = {};
+  for (const l of lists || []){
+    if (l.kind === 'composite') continue;
+    const mirror = await loadMirror(userId, l.id);
+    out[l.id] = matches(mirror, l)
+      ? { lastCheckedAt: mirror.checkedAt || null, lastChangedAt: mirror.changedAt || null }
+      : { lastCheckedAt: null, lastChangedAt: null };
+  }
+  for (const l of lists || []){
+    if (l.kind !== 'composite') continue;
+    const parts = (l.members || []).map(id => out[id]).filter(Boolean);
+    const checked = parts.map(p => p.lastCheckedAt);
+    out[l.id] = {
+      lastCheckedAt: checked.length && checked.every(Boolean) ? checked.sort()[0] : null,
+      lastChangedAt: latest(parts.map(p => p.lastChangedAt))
+    };
+  }
+  return out;
+}
+
+module.exports = { getMirroredItems, syncListMirror, refreshMirror, dropListMirror, clearUserCatalogCache, clearListCatalogCache, invalidateList, getListSyncStatus };
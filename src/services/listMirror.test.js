@@ -0,0 +1,38 @@
+jest.mock('../db/repo', () => ({ repo: { getListMirror: jest.fn() } }));
+jest.mock('./traktService', () => ({}));
+jest.mock('./listHistory', () => ({}));
+
+const { repo } = require('../db/repo');
+const { getMirroredItems } = require('./listMirror');
+
+const list = (id) => ({ id, url: `https://trakt.tv/users/alice/lists/${id}`, type: 'movie' });
+const mirrorOf = (id, count) => ({
+  listId: id, url: list(id).url, type: 'movie', checkedAt: new Date().toISOString(),
+  items: Array.from({ length: count }, (_, i) => ({ type: 'movie', rank: i + 1, movie: { ids: { trakt: i } } }))
+});
+
+describe('mirror memory', () => {
+  beforeEach(() => {
+    repo.getListMirror.mockReset();
+    repo.getListMirror.mockImplementation(async (userId, id) => mirrorOf(id, 10000));
+  });
+
+  it('keeps mirrors in memory within the item budget, least recently used out first', async () => {
+    for (const id of ['a', 'b']) await getMirroredItems({ userId: 'u1', list: list(id) });
+    await getMirroredItems({ userId: 'u1', list: list('a') }); // a is now the most recently used
+    expect(repo.getListMirror).toHaveBeenCalledTimes(2);
+
+    await getMirroredItems({ userId: 'u1', list: list('c') }); // 30k items: b goes
+    await getMirroredItems({ userId: 'u1', list: list('a') });
+    expect(repo.getListMirror).toHaveBeenCalledTimes(3);
+    await getMirroredItems({ userId: 'u1', list: list('b') });
+    expect(repo.getListMirror).toHaveBeenCalledTimes(4);
+  });
+
+  it('still serves a single mirror larger than the budget', async () => {
+    repo.getListMirror.mockImplementation(async (userId, id) => mirrorOf(id, 30000));
+    expect(await getMirroredItems({ userId: 'u2', list: list('big') })).toHaveLength(30000);
+    expect(await getMirroredItems({ userId: 'u2', list: list('big') })).toHaveLength(30000);
+    expect(repo.getListMirror).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,178 @@
+// src/services/localLists.js
+// Lists whose items live in this addon (kind "local": curated in the dashboard or imported from a file)
+// instead of on Trakt. Items are stored in the Trakt list item shape ({ type, rank, listed_at, notes,
+// movie|show }) so catalogs filter, sort and page them exactly like mirrored Trakt lists; rank is the
+// user's own order. Every change records a history snapshot and purges the list's catalog pages.
+
+const { repo } = require('../db/repo');
+const { resolveImport } = require('./listImport');
+const { recordSnapshot } = require('./listHistory');
+const { invalidateList } = require('./listMirror');
+
+const MAX_LOCAL_ITEMS = 10000;
+
+const locks = new Map(); // `${userId}:${listId}` -> tail of the pending edits
+
+// Edits of one list run one after another so concurrent requests can't drop each other's items
+function withListLock(key, fn){
+  const run = (locks.get(key) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+  return run;
+}
+
+function imdbOf(it){ return it && it[it.type]?.ids?.imdb; }
+
+// Public view of a stored item
+function toEntry(it, i){
+  const core = it[it.type] || {};
+  return {
+    imdb: core.ids?.imdb || null,
+    type: it.type === 'show' ? 'series' : 'movie',
+    title: core.title || '',
+    year: Number.isFinite(core.year) ? core.year : null,
+    notes: it.notes || '',
+    listedAt: it.listed_at || null,
+    position: i + 1
+  };
+}
+
+// Load, change and save a list's items under its lock; `fn(items)` returns { items, result }
+function mutate(userId, list, fn){
+  return withListLock(`${userId}:${list.id}`, async () => {
+    const doc = await repo.getLocalList(userId, list.id);
+    const before = doc && Array.isArray(doc.items) ? doc.items : [];
+    const { items, result, source } = await fn(before);
+    const ranked = items.map((it, i) => ({ ...it, rank: i + 1 }));
+    await repo.saveLocalList(userId, list.id, {
+      items: ranked,
+      source: source !== undefined ? source : (doc && doc.source) || null,
+      updatedAt: new Date().toISOString()
+    });
+    await recordSnapshot(userId, list, ranked).catch(() => {});
+    await invalidateList(userId, list.id).catch(() => {});
+    return result;
+  });
+}
+
+// Items of a local list, limited to the list's catalog type
+async function getLocalListItems({ userId, list }){
+  const doc = await repo.getLocalList(userId, list.id).catch(() => null);
+  const items = doc && Array.isArray(doc.items) ? doc.items : [];
+  if (list.type === 'movie') return items.filter(it => it.type === 'movie');
+  if (list.type === 'series') return items.filter(it => it.type === 'show');
+  return items;
+}
+
+/** All items in the user's order, as public entries (every type, regardless of the list's catalog type) */
+async function listLocalItems(userId, list){
+  const doc = await repo.getLocalList(userId, list.id).catch(() => null);
+  return (doc && Array.isArray(doc.items) ? doc.items : []).map(toEntry);
+}
+
+/** Replace every item (file imports); `source` describes where they came from */
+function replaceLocalItems(userId, list, items, source = null){
+  return mutate(userId, list, async () => ({ items, source, result: items.length }));
+}
+
+/**
+ * Add titles by IMDb id. Metadata comes from Trakt's public id search (no Trakt account needed).
+ * @param {{imdb:string, type?:'movie'|'series', notes?:string}[]} entries
+ * @param {{position?:number}} [opts] 1-based insert position; default appends
+ * @returns {Promise<{added:object[], existing:string[], unresolved:{imdb:string, reason:string}[]}>}
+ */
+async function addLocalItems(userId, list, entries, { position } = {}){
+  const current = new Set((await listLocalItems(userId, list)).map(e => e.imdb));
+  const wanted = [];
+  const existing = [];
+  for (const e of entries){
+    const imdb = String(e.imdb).toLowerCase();
+    if (current.has(imdb)) existing.push(imdb);
+    else if (!wanted.some(w => w.imdb === imdb)) wanted.push({ ...e, imdb });
+  }
+
+  // Lookups happen outside the lock; the merge below re-checks for titles added in the meantime
+  const rows = wanted.map((e, i) => ({
+    line: i + 1, label: e.imdb, imdb: e.imdb,
+    type: e.type === 'series' ? 'show' : e.type === 'movie' ? 'movie' : null
+  }));
+  const { items: found, report } = rows.length
+    ? await resolveImport(userId, { format: 'ids', rows, truncated: 0 })
+    : { items: [], report: { unresolved: [], ambiguous: [] } };
+  const unresolved = report.unresolved.map(u => ({ imdb: u.input, reason: u.reason }))
+    .concat(report.ambiguous.map(a => ({ imdb: a.input, reason: 'ambiguous' })));
+  const notesOf = new Map(wanted.map(e => [e.imdb, e.notes || '']));
+
+  return mutate(userId, list, async (items) => {
+    const have = new Set(items.map(imdbOf));
+    const room = Math.max(0, MAX_LOCAL_ITEMS - items.length);
+    const fresh = [];
+    for (const it of found){
+      const imdb = imdbOf(it);
+      if (have.has(imdb)) { existing.push(imdb); continue; }
+      if (fresh.length >= room) { unresolved.push({ imdb, reason: 'list_full' }); continue; }
+      const notes = notesOf.get(imdb);
+      fresh.push(notes ? { ...it, notes } : it);
+    }
+    const at = Number.isInteger(position) ? Math.min(Math.max(position - 1, 0), items.length) : items.length;
+    const next = items.slice(0, at).concat(fresh, items.slice(at));
+    const added = fresh.map(it => toEntry(it, next.indexOf(it)));
+    return { items: next, result: { added, existing, unresolved } };
+  });
+}
+
+/** Remove titles by IMDb id; resolves with the number removed */
+function removeLocalItems(userId, list, imdbIds){
+  const drop = new Set(imdbIds.map(id => String(id).toLowerCase()));
+  return mutate(userId, list, async (items) => {
+    const next = items.filter(it => !drop.has(imdbOf(it)));
+    return { items: next, result: items.length - next.length };
+  });
+}
+
+/**
+ * Change one title's notes and/or move it to a 1-based position.
+ * @returns {Promise<object|null>} the updated entry, null when the title isn't on the list
+ */
+function updateLocalItem(userId, list, imdb, { notes, position } = {}){
+  const id = String(imdb).toLowerCase();
+  return mutate(userId, list, async (items) => {
+    const from = items.findIndex(it => imdbOf(it) === id);
+    if (from < 0) return { items, result: null };
+    const next = items.slice();
+    const [it] = next.splice(from, 1);
+    const updated = typeof notes === 'string' ? { ...it, notes: notes.trim() } : it;
+    const to = Number.isInteger(position) ? Math.min(Math.max(position - 1, 0), next.length) : from;
+    next.splice(to, 0, updated);
+    return { items: next, result: toEntry(updated, to) };
+  });
+}
+
+/** Put the given titles first, in that order; the rest keep their relative order after them */
+function reorderLocalItems(userId, list, imdbIds){
+  const order = imdbIds.map(id => String(id).toLowerCase());
+  return mutate(userId, list, async (items) => {
+    const byId = new Map(items.map(it => [imdbOf(it), it]));
+    const head = Array.from(new Set(order)).filter(id => byId.has(id)).map(id => byId.get(id));
+    const picked = new Set(head);
+    const next = head.concat(items.filter(it => !picked.has(it)));
+    return { items: next, result: next.map(toEntry) };
+  });
+}
+
+async function dropLocalList(userId, listId){
+  await repo.deleteLocalList(userId, listId).catch(() => {});
+}
+
+module.exports = {
+  MAX_LOCAL_ITEMS,
+  getLocalListItems,
+  listLocalItems,
+  replaceLocalItems,
+  addLocalItems,
+  removeLocalItems,
+  updateLocalItem,
+  reorderLocalItems,
+  dropLocalList
+};
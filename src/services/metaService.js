@@ -1,9 +1,13 @@
 const axios = require('axios');
 const cfg = require('../config');
+const { cache } = require('../utils/cache');
+const { trakt } = require('./traktClient');
 
 const http = axios.create({ timeout: 12000 });
 const CINEMETA_BASE = 'https://v3-cinemeta.strem.io';
 
+const META_TTL_SEC = 6 * 60 * 60; // metas are shared across users; seasons rarely change within hours
+
 const r1 = (n) => (typeof n === 'number' && isFinite(n)) ? Math.round(n * 10) / 10 : undefined;
 
 function mapGenre(input) {
@@ -54,17 +58,14 @@ async function fetchCinemeta(type, imdb) {
     imdbRating: r1(typeof m.imdbRating === 'number' ? m.imdbRating : m.rating),
     year: m.year || (m.releaseInfo ? parseInt(String(m.releaseInfo), 10) : undefined),
     runtime: typeof m.runtime === 'number' ? m.runtime
-      : (Number.isFinite(parseInt(m.runtime, 10)) ? parseInt(m.runtime, 10) : undefined)
+      : (Number.isFinite(parseInt(m.runtime, 10)) ? parseInt(m.runtime, 10) : undefined),
+    videos: Array.isArray(m.videos) ? m.videos : undefined
   };
 }
 
-async function fetchTrakt(type, imdb, clientId) {
-  const base = 'https://api.trakt.tv';
+async function fetchTrakt(type, imdb) {
   const path = `/${type === 'series' ? 'shows' : 'movies'}/${encodeURIComponent(imdb)}?extended=full`;
-  const { data, status } = await http.get(base + path, {
-    validateStatus: () => true,
-    headers: { 'trakt-api-version': '2', 'trakt-api-key': clientId }
-  });
+  const { data, status } = await trakt.get(path, { validateStatus: () => true });
   if (status !== 200 || !data) return null;
   return {
     name: data.title || '',
@@ -76,6 +77,65 @@ async function fetchTrakt(type, imdb, clientId) {
   };
 }
 
+// Seasons with embedded episodes: /shows/{id}/seasons?extended=full,episodes
+async function fetchTraktSeasons(imdb) {
+  const path = `/shows/${encodeURIComponent(imdb)}/seasons?extended=full,episodes`;
+  const { data, status } = await trakt.get(path, { validateStatus: () => true });
+  if (status !== 200 || !Array.isArray(data)) return null;
+  return data;
+}
+
+function episodeKey(season, episode) { return `${season}:${episode}`; }
+
+// Stremio video objects from Cinemeta's series meta (used as-is when Trakt has nothing)
+function cinemetaVideos(imdb, videos) {
+  return (videos || [])
+    .filter(v => Number.isFinite(Number(v.season)) && Number.isFinite(Number(v.episode ?? v.number)))
+    .map(v => {
+      const season = Number(v.season);
+      const episode = Number(v.episode ?? v.number);
+      return {
+        id: `${imdb}:${season}:${episode}`,
+        title: v.name || v.title || `Episode ${episode}`,
+        season,
+        episode,
+        released: v.released || v.firstAired || undefined,
+        overview: v.overview || v.description || undefined,
+        thumbnail: v.thumbnail || undefined
+      };
+    });
+}
+
+// Trakt seasons → Stremio videos; Cinemeta fills thumbnails and missing air dates
+function buildVideos(imdb, seasons, cmVideos) {
+  const fallback = cinemetaVideos(imdb, cmVideos);
+  if (!Array.isArray(seasons) || !seasons.length) return fallback;
+
+  const byKey = new Map(fallback.map(v => [episodeKey(v.season, v.episode), v]));
+  const out = [];
+  for (const s of seasons) {
+    const season = Number(s?.number);
+    if (!Number.isFinite(season) || !Array.isArray(s.episodes)) continue;
+    for (const ep of s.episodes) {
+      const episode = Number(ep?.number);
+      if (!Number.isFinite(episode)) continue;
+      const cm = byKey.get(episodeKey(season, episode));
+      out.push({
+        id: `${imdb}:${season}:${episode}`,
+        title: ep.title || cm?.title || `Episode ${episode}`,
+        season,
+        episode,
+        released: ep.first_aired || cm?.released || undefined,
+        overview: ep.overview || cm?.overview || undefined,
+        thumbnail: cm?.thumbnail || undefined
+      });
+    }
+  }
+  if (!out.length) return fallback;
+  out.sort((a, b) => (a.season - b.season) || (a.episode - b.episode));
+  return out;
+}
+
 async function fetchOmdb(imdb, key) {
   if (!key) return null;
   const url = `https://www.omdbapi.com/?apikey=${encodeURIComponent(key)}&i=${encodeURIComponent(imdb)}`;
@@ -89,12 +149,17 @@ async function fetchOmdb(imdb, key) {
 }
 
 async function getMeta({ userId, type, imdb }) {
-  const clientId = process.env.TRAKT_CLIENT_ID || (cfg.trakt && cfg.trakt.clientId) || '';
+  const cacheKey = `meta:${type}:${imdb}`;
+  const hit = cache.get(cacheKey);
+  if (hit) return hit;
+
   const omdbKey = process.env.OMDB_API_KEY || (cfg.OMDB_API_KEY || '');
+  const isSeries = type === 'series';
 
   const cm = await fetchCinemeta(type, imdb).catch(() => null);
-  const tk = await fetchTrakt(type, imdb, clientId).catch(() => null);
+  const tk = await fetchTrakt(type, imdb).catch(() => null);
   const om = await fetchOmdb(imdb, omdbKey).catch(() => null);
+  const seasons = isSeries ? await fetchTraktSeasons(imdb).catch(() => null) : null;
 
   const name = cm?.name ?? tk?.name ?? '';
   const poster = cm?.poster ?? om?.poster ?? undefined;
@@ -109,20 +174,24 @@ async function getMeta({ userId, type, imdb }) {
                     : (om?.genres || null))) || null;
   const genres = rawGenres ? Array.from(new Set(rawGenres.map(mapGenre).filter(Boolean))) : undefined;
 
-  return {
-    meta: {
-      id: imdb,
-      type,
-      name,
-      poster,
-      background,
-      description,
-      genres,
-      imdbRating,
-      releaseInfo: year ? (runtime ? `${year} • ${runtime} min` : String(year)) : (runtime ? `${runtime} min` : undefined),
-      runtime
-    }
+  const meta = {
+    id: imdb,
+    type,
+    name,
+    poster,
+    background,
+    description,
+    genres,
+    imdbRating,
+    releaseInfo: year ? (runtime ? `${year} • ${runtime} min` : String(year)) : (runtime ? `${runtime} min` : undefined),
+    runtime
   };
+  if (isSeries) meta.videos = buildVideos(imdb, seasons, cm?.videos);
+
+  const result = { meta };
+  // Only cache metas that resolved to something; transient upstream failures retry next request
+  if (name) cache.set(cacheKey, result, META_TTL_SEC);
+  return result;
 }
 
 module.exports = { getMeta };
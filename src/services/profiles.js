@@ -0,0 +1,63 @@
+// src/services/profiles.js
+// Addon profiles: extra manifests from one account (e.g. "Kids" and "Adults"). Each profile has its
+// own addon name, catalog prefix, subset and order of the saved lists, global filters and manifest
+// revision (db/version). Its install links are device tokens scoped to the profile (addonTokens).
+// Everything else (list contents, posters, Trakt account) is shared.
+
+const { v4: uuidv4 } = require('uuid');
+const { repo } = require('../db/repo');
+const { cache } = require('../utils/cache');
+
+const MAX_PROFILES = 10;
+const PROFILE_FLAGS = ['hideUnreleasedAll', 'hideWatchedAll', 'hideTraktHidden'];
+
+// Stored profile shape
+function normalizeProfile(p){
+  const out = {
+    id: (p.id && typeof p.id === 'string') ? p.id : uuidv4(),
+    name: String(p.name || '').trim() || 'Profile',
+    catalogPrefix: typeof p.catalogPrefix === 'string' ? p.catalogPrefix.trim() : '',
+    listIds: Array.isArray(p.listIds) ? Array.from(new Set(p.listIds.map(String))) : [],
+    manifestRev: Number.isInteger(p.manifestRev) ? p.manifestRev : 0,
+    createdAt: p.createdAt || new Date().toISOString()
+  };
+  for (const flag of PROFILE_FLAGS) out[flag] = !!p[flag];
+  return out;
+}
+
+async function getProfile(userId, profileId){
+  const profiles = await repo.getProfiles(userId).catch(() => []);
+  return (profiles || []).find(p => p.id === profileId) || null;
+}
+
+/** The profile's lists in its own order, published regardless of their account-wide enabled flag */
+function profileLists(lists, profile){
+  const byId = new Map((lists || []).map(l => [l.id, l]));
+  return profile.listIds.filter(id => byId.has(id)).map(id => ({ ...byId.get(id), enabled: true }));
+}
+
+/** Account settings with the profile's naming and global filters on top */
+function profileSettings(settings, profile){
+  const out = { ...(settings || {}), addonName: profile.name, catalogPrefix: profile.catalogPrefix };
+  for (const flag of PROFILE_FLAGS) out[flag] = !!profile[flag];
+  return out;
+}
+
+// Drop the profile's cached catalog pages (addonService keys them with "profile":"<id>")
+function clearProfileCatalogCache(userId, profileId){
+  const prefix = `${userId}:catalog:`;
+  const tag = `"profile":${JSON.stringify(profileId)}`;
+  for (const key of cache.keys()){
+    if (key.startsWith(prefix) && key.includes(tag)) cache.del(key);
+  }
+}
+
+module.exports = {
+  MAX_PROFILES,
+  PROFILE_FLAGS,
+  normalizeProfile,
+  getProfile,
+  profileLists,
+  profileSettings,
+  clearProfileCatalogCache
+};
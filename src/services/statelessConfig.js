@@ -0,0 +1,159 @@
+// src/services/statelessConfig.js
+// Account-less installs: the whole addon configuration (public Trakt lists with their filters, the addon
+// name, catalog prefix, catalog type and hide-unreleased flag) travels in the manifest URL as /c/<config>/manifest.json.
+// <config> is base64url(deflate-raw(JSON)), followed by `.<signature>` when ADDON_SIGNING_SECRET is set.
+// Decoded configs become a `source` for addonService (lists + settings, no user record).
+
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { z } = require('zod');
+const cfg = require('../config');
+const { hmacSignPayload, hmacVerifyPayload } = require('../utils/crypto');
+const { LIST_TYPES, COMPOSITE_OPERATORS, ROTATIONS, NEW_MARKERS, CATALOG_TYPES, FACET_GROUPS, MAX_PRESETS, normalizeList } = require('./listConfig');
+const { validRow } = require('./configSave');
+const { resolveListRef } = require('./traktService');
+
+const CONFIG_VERSION = 1;
+const MAX_LISTS = 30;
+const MAX_CONFIG_CHARS = 8000;   // whole URL segment
+const MAX_JSON_BYTES = 64 * 1024; // inflated document
+const MEM_MAX = 500;             // decoded configs kept in memory (least recently used dropped first)
+
+const decoded = new Map(); // config string -> decode result
+
+const short = z.string().trim().max(50);
+const bound = z.number().min(0).max(3000).optional();
+const presetSchema = z.object({
+  name: z.string().trim().min(1).max(40),
+  yearMin: bound, yearMax: bound, ratingMin: bound, ratingMax: bound, runtimeMin: bound, runtimeMax: bound
+});
+const listSchema = z.object({
+  id: z.string().regex(/^[A-Za-z0-9_-]{1,32}$/).optional(),
+  name: z.string().trim().min(1).max(100),
+  url: z.string().trim().max(300).optional(),
+  type: z.enum(LIST_TYPES),
+  kind: z.enum(['trakt', 'composite']).optional(),
+  members: z.array(z.string()).max(MAX_LISTS).optional(),
+  operator: z.enum(COMPOSITE_OPERATORS).optional(),
+  sortBy: short.optional(),
+  sortOrder: short.optional(),
+  genre: short.optional(),
+  yearMin: short.optional(),
+  yearMax: short.optional(),
+  ratingMin: short.optional(),
+  ratingMax: short.optional(),
+  hideUnreleased: z.boolean().optional(),
+  rotation: z.enum(ROTATIONS).optional(),
+  rotationSize: z.number().int().min(0).max(1000).optional(),
+  recentDays: z.number().int().min(0).max(365).optional(),
+  newMarker: z.enum(NEW_MARKERS).optional(),
+  catalogType: z.enum(CATALOG_TYPES).optional(),
+  showInHome: z.boolean().optional(),
+  facets: z.array(z.enum(FACET_GROUPS)).optional(),
+  presets: z.array(presetSchema).max(MAX_PRESETS).optional()
+});
+const docSchema = z.object({
+  v: z.literal(CONFIG_VERSION).optional(),
+  name: z.string().trim().max(100).optional(),
+  prefix: z.string().trim().max(50).optional(),
+  hideUnreleased: z.boolean().optional(),
+  catalogTypes: z.enum(CATALOG_TYPES).optional(),
+  genreCounts: z.boolean().optional(),
+  lists: z.array(listSchema).min(1).max(MAX_LISTS)
+});
+
+function remember(key, value){
+  decoded.delete(key);
+  decoded.set(key, value);
+  if (decoded.size > MEM_MAX) decoded.delete(decoded.keys().next().value);
+}
+
+/**
+ * Validate a config document and turn it into stored list rows and settings.
+ * Lists get positional ids (l0, l1, …) unless they bring their own; composites name members by those ids.
+ * @returns {Promise<{ok:true, doc:object, lists:object[], settings:object}|{ok:false, error:string, details?:any}>}
+ */
+async function normalizeDoc(raw){
+  const parsed = docSchema.safeParse(raw);
+  if (!parsed.success) return { ok: false, error: 'invalid_config', details: parsed.error.issues };
+  const doc = { ...parsed.data, v: CONFIG_VERSION };
+  const lists = doc.lists.map((l, i) => normalizeList({
+    ...l,
+    id: l.id || `l${i}`,
+    url: l.url || '',
+    kind: l.kind || 'trakt',
+    enabled: true,
+    hideWatched: false // needs the user's Trakt history
+  }, i));
+  if (new Set(lists.map(l => l.id)).size !== lists.length) return { ok: false, error: 'duplicate_list_ids' };
+  const bad = lists.filter(l => !validRow(l, lists)).map(l => l.name);
+  if (bad.length) return { ok: false, error: 'invalid_rows', rows: bad };
+  // Watchlists, collections and other personal catalogs need an account
+  const personal = [];
+  for (const l of lists){
+    if (l.kind === 'trakt' && (await resolveListRef(l.url)).personal) personal.push(l.name);
+  }
+  if (personal.length) return { ok: false, error: 'personal_lists', rows: personal };
+  const settings = {
+    addonName: doc.name || 'Trakt Lists',
+    catalogPrefix: doc.prefix || '',
+    hideUnreleasedAll: !!doc.hideUnreleased,
+    hideWatchedAll: false,
+    hideTraktHidden: false,
+    posterSource: 'cinemeta',
+    posterTemplate: '',
+    catalogTypes: doc.catalogTypes || 'custom',
+    genreCounts: !!doc.genreCounts
+  };
+  return { ok: true, doc, lists, settings };
+}
+
+/** URL segment for a config document (signed when a signing secret is configured) */
+function encodeConfig(doc){
+  const payload = zlib.deflateRawSync(Buffer.from(JSON.stringify(doc), 'utf8'), { level: 9 }).toString('base64url');
+  const sig = hmacSignPayload(payload);
+  return sig ? `${payload}.${sig}` : payload;
+}
+
+/**
+ * Decode and validate the /c/:config segment.
+ * @returns {Promise<{ok:true, source:{key:string, lists:object[], settings:object}, signed:boolean}|{ok:false, error:string}>}
+ */
+async function decodeConfig(config){
+  const str = String(config || '');
+  if (decoded.has(str)){
+    const hit = decoded.get(str);
+    remember(str, hit);
+    return hit;
+  }
+  const result = await decodeFresh(str);
+  // Bad signatures aren't remembered: a secret set later must not be masked by an old answer
+  if (result.ok || result.error === 'invalid_config') remember(str, result);
+  return result;
+}
+
+/** Whether this /c/:config segment was decoded recently (its lists' downloads already started once) */
+function isKnownConfig(config){
+  return decoded.has(String(config || ''));
+}
+
+async function decodeFresh(str){
+  if (!str || str.length > MAX_CONFIG_CHARS) return { ok: false, error: 'invalid_config' };
+  const [payload, sig, extra] = str.split('.');
+  if (extra !== undefined || !/^[A-Za-z0-9_-]+$/.test(payload)) return { ok: false, error: 'invalid_config' };
+  if (sig !== undefined && !hmacVerifyPayload(payload, sig)) return { ok: false, error: 'bad_signature' };
+  if (sig === undefined && cfg.stateless.requireSigned) return { ok: false, error: 'signature_required' };
+  let raw;
+  try {
+    const json = zlib.inflateRawSync(Buffer.from(payload, 'base64url'), { maxOutputLength: MAX_JSON_BYTES });
+    raw = JSON.parse(json.toString('utf8'));
+  } catch {
+    return { ok: false, error: 'invalid_config' };
+  }
+  const norm = await normalizeDoc(raw);
+  if (!norm.ok) return { ok: false, error: 'invalid_config' };
+  const key = `c_${crypto.createHash('sha256').update(payload).digest('hex').slice(0, 20)}`;
+  return { ok: true, signed: sig !== undefined, source: { key, lists: norm.lists, settings: norm.settings } };
+}
+
+module.exports = { CONFIG_VERSION, MAX_LISTS, normalizeDoc, encodeConfig, decodeConfig, isKnownConfig };
@@ -0,0 +1,93 @@
+const zlib = require('zlib');
+
+jest.mock('./traktService', () => ({
+  resolveListRef: jest.fn(async (url) => ({ personal: /\/watchlist$/.test(url) }))
+}));
+
+const cfg = require('../config');
+const { encodeConfig, decodeConfig, normalizeDoc, isKnownConfig } = require('./statelessConfig');
+
+const list = (over = {}) => ({ name: 'Good', url: 'https://trakt.tv/users/alice/lists/good', type: 'movie', ...over });
+const doc = (over = {}) => ({ name: 'My Lists', lists: [list()], ...over });
+
+describe('statelessConfig', () => {
+  const { secret } = cfg.addonSigning;
+  const { requireSigned } = cfg.stateless;
+  afterEach(() => {
+    cfg.addonSigning.secret = secret;
+    cfg.stateless.requireSigned = requireSigned;
+  });
+
+  describe('encodeConfig / decodeConfig', () => {
+    beforeEach(() => { cfg.addonSigning.secret = ''; cfg.stateless.requireSigned = false; });
+
+    it('round-trips a document into a source', async () => {
+      const str = encodeConfig(doc({ prefix: 'TL', genreCounts: true }));
+      expect(str).toMatch(/^[A-Za-z0-9_-]+$/);
+      const r = await decodeConfig(str);
+      expect(r.ok).toBe(true);
+      expect(r.signed).toBe(false);
+      expect(r.source.key).toMatch(/^c_[a-f0-9]{20}$/);
+      expect(r.source.lists).toEqual([expect.objectContaining({ id: 'l0', name: 'Good', kind: 'trakt', enabled: true })]);
+      expect(r.source.settings).toMatchObject({ addonName: 'My Lists', catalogPrefix: 'TL', genreCounts: true, hideWatchedAll: false });
+    });
+
+    it('keys sources by their config', async () => {
+      const one = await decodeConfig(encodeConfig(doc({ name: 'One' })));
+      const two = await decodeConfig(encodeConfig(doc({ name: 'Two' })));
+      expect(one.source.key).not.toBe(two.source.key);
+      expect((await decodeConfig(encodeConfig(doc({ name: 'One' })))).source.key).toBe(one.source.key);
+    });
+
+    it('knows a config once it has been decoded', async () => {
+      const str = encodeConfig(doc({ name: 'Known' }));
+      expect(isKnownConfig(str)).toBe(false);
+      await decodeConfig(str);
+      expect(isKnownConfig(str)).toBe(true);
+    });
+
+    it('rejects garbage, oversized and invalid documents', async () => {
+      expect(await decodeConfig('')).toEqual({ ok: false, error: 'invalid_config' });
+      expect(await decodeConfig('not base64!')).toEqual({ ok: false, error: 'invalid_config' });
+      expect(await decodeConfig('a.b.c')).toEqual({ ok: false, error: 'invalid_config' });
+      expect(await decodeConfig('x'.repeat(9000))).toEqual({ ok: false, error: 'invalid_config' });
+      expect(await decodeConfig(encodeConfig({ lists: [] }))).toEqual({ ok: false, error: 'invalid_config' });
+      const bomb = zlib.deflateRawSync(Buffer.alloc(200 * 1024, 32)).toString('base64url');
+      expect(await decodeConfig(bomb)).toEqual({ ok: false, error: 'invalid_config' });
+    });
+
+    it('signs when a secret is set and verifies the signature', async () => {
+      cfg.addonSigning.secret = 'test-secret';
+      const str = encodeConfig(doc({ name: 'Signed' }));
+      const [payload, sig] = str.split('.');
+      expect(sig).toBeTruthy();
+      expect(await decodeConfig(str)).toMatchObject({ ok: true, signed: true });
+      expect(await decodeConfig(`${payload}.${sig.slice(1)}x`)).toEqual({ ok: false, error: 'bad_signature' });
+    });
+
+    it('refuses unsigned configs when signing is required', async () => {
+      cfg.stateless.requireSigned = true;
+      expect(await decodeConfig(encodeConfig(doc({ name: 'Unsigned' })))).toEqual({ ok: false, error: 'signature_required' });
+    });
+  });
+
+  describe('normalizeDoc', () => {
+    it('refuses personal Trakt lists', async () => {
+      const r = await normalizeDoc(doc({ lists: [list({ name: 'WL', url: 'https://trakt.tv/users/alice/watchlist' })] }));
+      expect(r).toEqual({ ok: false, error: 'personal_lists', rows: ['WL'] });
+    });
+
+    it('refuses duplicate list ids', async () => {
+      const r = await normalizeDoc(doc({ lists: [list({ id: 'a' }), list({ id: 'a', name: 'Again' })] }));
+      expect(r).toEqual({ ok: false, error: 'duplicate_list_ids' });
+    });
+
+    it('accepts composites over positional ids and rejects bad members', async () => {
+      const ok = await normalizeDoc(doc({ lists: [list(), list({ name: 'B' }), { name: 'Both', type: 'movie', kind: 'composite', members: ['l0', 'l1'] }] }));
+      expect(ok.ok).toBe(true);
+      expect(ok.lists[2]).toMatchObject({ id: 'l2', kind: 'composite', members: ['l0', 'l1'] });
+      const bad = await normalizeDoc(doc({ lists: [list(), { name: 'Bad', type: 'movie', kind: 'composite', members: ['l9'] }] }));
+      expect(bad).toEqual({ ok: false, error: 'invalid_rows', rows: ['Bad'] });
+    });
+  });
+});
@@ -0,0 +1,245 @@
+// src/services/traktClient.js
+// The one HTTP client for api.trakt.tv. Every call passes through a global queue (concurrency and
+// requests/second caps) and, when a userId is given, that user's queue as well. 429 and 5xx answers are
+// retried with backoff that honors Retry-After / X-Ratelimit, and per-endpoint counters feed the health dashboard.
+
+const axios = require('axios');
+const { default: PQueue } = require('p-queue');
+const cfg = require('../config');
+const { logger } = require('../utils/logger');
+
+const TRAKT_BASE = 'https://api.trakt.tv';
+const TRAKT_CLIENT_ID = process.env.TRAKT_CLIENT_ID || (cfg.trakt && cfg.trakt.clientId) || '';
+
+const GLOBAL_CONCURRENCY = Number(process.env.TRAKT_CONCURRENCY || 8);
+const GLOBAL_RPS = Number(process.env.TRAKT_MAX_RPS || 5);            // Trakt allows ~1000 GETs per 5 minutes
+const USER_CONCURRENCY = Number(process.env.TRAKT_USER_CONCURRENCY || 2);
+const MAX_RETRIES = Number(process.env.TRAKT_MAX_RETRIES || 3);
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60 * 1000;
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+const READS = ['get', 'head'];
+const IDEMPOTENT = [...READS, 'put', 'delete'];
+
+const http = axios.create({ baseURL: TRAKT_BASE, timeout: 15000 });
+
+// Inject required headers on every request (prevents 403 on public endpoints)
+http.interceptors.request.use((config) => {
+  config.headers = config.headers || {};
+  config.headers['trakt-api-version'] = '2';
+  config.headers['trakt-api-key'] = TRAKT_CLIENT_ID;
+  return config;
+});
+
+const globalQueue = new PQueue({ concurrency: GLOBAL_CONCURRENCY, interval: 1000, intervalCap: GLOBAL_RPS });
+const userQueues = new Map(); // userId -> { reads, writes }
+const holds = new WeakMap();  // queue -> { until, timer }
+
+const endpoints = new Map();  // "GET /users/:user/lists/:list/items/:type" -> counters
+let lastRateLimit = null;     // most recent X-Ratelimit header seen
+
+function userQueue(userId, write){
+  let q = userQueues.get(userId);
+  if (!q){
+    // Trakt allows authenticated users one POST/PUT/DELETE per second
+    q = {
+      reads: new PQueue({ concurrency: USER_CONCURRENCY }),
+      writes: new PQueue({ concurrency: 1, interval: 1000, intervalCap: 1 })
+    };
+    const dropIfIdle = () => {
+      if (q.reads.size || q.reads.pending || q.writes.size || q.writes.pending) return;
+      if (q.reads.isPaused || q.writes.isPaused) return;
+      userQueues.delete(userId);
+    };
+    q.reads.on('idle', dropIfIdle);
+    q.writes.on('idle', dropIfIdle);
+    userQueues.set(userId, q);
+  }
+  return write ? q.writes : q.reads;
+}
+
+// Pause a queue until `ms` from now; an existing longer hold wins
+function hold(queue, ms){
+  const until = Date.now() + ms;
+  const prev = holds.get(queue);
+  if (prev && prev.until >= until) return;
+  if (prev) clearTimeout(prev.timer);
+  queue.pause();
+  const timer = setTimeout(() => { holds.delete(queue); queue.start(); }, ms);
+  holds.set(queue, { until, timer });
+}
+
+function sleep(ms){
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function backoff(attempt){
+  const ms = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return ms + Math.floor(Math.random() * 250);
+}
+
+function parseRateLimit(res){
+  const raw = res && res.headers && res.headers['x-ratelimit'];
+  if (!raw) return null;
+  try { return typeof raw === 'string' ? JSON.parse(raw) : raw; } catch { return null; }
+}
+
+// Retry-After (seconds or HTTP date) first, then X-Ratelimit's "until", then plain backoff
+function rateLimitWait(res, attempt){
+  const ra = res.headers && res.headers['retry-after'];
+  if (ra != null && ra !== ''){
+    const secs = Number(ra);
+    if (Number.isFinite(secs)) return Math.min(BACKOFF_MAX_MS * 5, Math.max(0, secs * 1000));
+    const at = Date.parse(ra);
+    if (Number.isFinite(at)) return Math.min(BACKOFF_MAX_MS * 5, Math.max(0, at - Date.now()));
+  }
+  const until = Date.parse(parseRateLimit(res)?.until || '');
+  if (Number.isFinite(until)) return Math.min(BACKOFF_MAX_MS * 5, Math.max(0, until - Date.now()));
+  return backoff(attempt);
+}
+
+// Collapse ids/slugs so counters group by route, e.g. /users/:user/lists/:list/items/movies
+function endpointOf(method, url){
+  let p = String(url || '').replace(/^https?:\/\/[^/]+/i, '').replace(/[?#].*$/, '') || '/';
+  p = p
+    .replace(/^\/users\/(?!me\/|me$|hidden\/|settings$)[^/]+/, '/users/:user')
+    .replace(/\/lists\/[^/]+/, '/lists/:list')
+    .replace(/^\/(movies|shows)\/(?!trending|popular|anticipated|watched|played|collected|updates)[^/]+/, '/$1/:id')
+    .replace(/(\/items\/[^/]+)\/[^/]+\/(asc|desc)$/, '$1/:sort/:how');
+  return `${String(method || 'get').toUpperCase()} ${p}`;
+}
+
+function record(endpoint, { status, ms, error, retry }){
+  let e = endpoints.get(endpoint);
+  if (!e){
+    e = { endpoint, calls: 0, errors: 0, rateLimited: 0, retries: 0, totalMs: 0, maxMs: 0, lastStatus: null, lastAt: null, lastError: null };
+    endpoints.set(endpoint, e);
+  }
+  e.calls++;
+  e.totalMs += ms;
+  e.maxMs = Math.max(e.maxMs, ms);
+  e.lastStatus = status || null;
+  e.lastAt = new Date().toISOString();
+  if (retry) e.retries++;
+  if (status === 429) e.rateLimited++;
+  if (error || status >= 400){
+    e.errors++;
+    e.lastError = error || `HTTP ${status}`;
+  }
+}
+
+function statusError(res){
+  const err = new Error(`Request failed with status code ${res.status}`);
+  err.response = res;
+  err.config = res.config;
+  err.status = res.status;
+  return err;
+}
+
+function defaultValidate(status){
+  return status >= 200 && status < 300;
+}
+
+/**
+ * Queued request against api.trakt.tv; resolves with the axios response.
+ * Extra config keys:
+ * - userId: also run through that user's queue (and its 1/s write limit)
+ * - retry: false returns 429/5xx to the caller untouched (device-code polling)
+ * Non-2xx answers reject like axios unless validateStatus says otherwise.
+ * @param {import('axios').AxiosRequestConfig & {userId?:string, retry?:boolean}} config
+ */
+async function request(config){
+  const { userId, retry = true, validateStatus, ...axiosConfig } = config;
+  const method = String(axiosConfig.method || 'get').toLowerCase();
+  const endpoint = endpointOf(method, axiosConfig.url);
+  const accept = validateStatus || defaultValidate;
+  const perUser = userId ? userQueue(String(userId), !READS.includes(method)) : null;
+
+  const send = () => globalQueue.add(async () => {
+    const started = Date.now();
+    try{
+      const res = await http.request({ ...axiosConfig, method, validateStatus: () => true });
+      return { res, ms: Date.now() - started };
+    } catch (err){
+      err.elapsedMs = Date.now() - started;
+      throw err;
+    }
+  });
+
+  for (let attempt = 0; ; attempt++){
+    let res = null, error = null, ms = 0;
+    try{
+      ({ res, ms } = await (perUser ? perUser.add(send) : send()));
+    } catch (err){
+      error = err;
+      ms = err.elapsedMs || 0;
+    }
+    const status = res ? res.status : 0;
+    record(endpoint, { status, ms, error: error && (error.code || error.message), retry: attempt > 0 });
+
+    const limit = status === 429 ? parseRateLimit(res) : null;
+    if (limit) lastRateLimit = { ...limit, at: new Date().toISOString() };
+
+    // A 429 means the call was not processed, so any method may retry; otherwise only idempotent ones
+    const canRetry = retry && attempt < MAX_RETRIES;
+    if (canRetry && status === 429){
+      const wait = rateLimitWait(res, attempt);
+      // AUTHED_* limits are per user; anything else throttles the whole app
+      const scope = perUser && /^AUTHED/i.test(limit?.name || '') ? perUser : globalQueue;
+      hold(scope, wait);
+      logger.warn({ endpoint, waitMs: wait, limit: limit?.name || null }, 'trakt_rate_limited');
+      continue;
+    }
+    const transient = error ? TRANSIENT_CODES.includes(error.code) : status >= 500;
+    if (canRetry && transient && IDEMPOTENT.includes(method)){
+      await sleep(backoff(attempt));
+      continue;
+    }
+
+    if (error) throw error;
+    if (!accept(status)) throw statusError(res);
+    return res;
+  }
+}
+
+const trakt = {
+  request,
+  get: (url, config = {}) => request({ ...config, method: 'get', url }),
+  delete: (url, config = {}) => request({ ...config, method: 'delete', url }),
+  post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+  put: (url, data, config = {}) => request({ ...config, method: 'put', url, data })
+};
+
+/** Queue state and per-endpoint counters for the health dashboard */
+function getTraktStats(){
+  const list = Array.from(endpoints.values())
+    .map(({ totalMs, ...e }) => ({ ...e, avgMs: e.calls ? Math.round(totalMs / e.calls) : 0 }))
+    .sort((a, b) => b.calls - a.calls);
+  const totals = list.reduce((t, e) => {
+    t.calls += e.calls; t.errors += e.errors; t.rateLimited += e.rateLimited; t.retries += e.retries;
+    return t;
+  }, { calls: 0, errors: 0, rateLimited: 0, retries: 0 });
+  const globalHold = holds.get(globalQueue);
+  let pausedUsers = 0;
+  for (const q of userQueues.values()) if (q.reads.isPaused || q.writes.isPaused) pausedUsers++;
+  return {
+    queue: {
+      pending: globalQueue.pending,
+      waiting: globalQueue.size,
+      pausedUntil: globalHold ? new Date(globalHold.until).toISOString() : null,
+      concurrency: GLOBAL_CONCURRENCY,
+      maxPerSecond: GLOBAL_RPS
+    },
+    users: { active: userQueues.size, paused: pausedUsers },
+    lastRateLimit,
+    totals,
+    endpoints: list
+  };
+}
+
+function resetTraktStats(){
+  endpoints.clear();
+  lastRateLimit = null;
+}
+
+module.exports = { trakt, TRAKT_BASE, getTraktStats, resetTraktStats, endpointOf };
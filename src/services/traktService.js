@@ -1,26 +1,12 @@
 // src/services/traktService.js
-const axios = require('axios');
 const cfg = require('../config');
 const { repo } = require('../db/repo');
+const { trakt } = require('./traktClient');
 
 // Resolve Trakt OAuth app credentials
 const TRAKT_CLIENT_ID = process.env.TRAKT_CLIENT_ID || (cfg.trakt && cfg.trakt.clientId) || '';
 const TRAKT_CLIENT_SECRET = process.env.TRAKT_CLIENT_SECRET || (cfg.trakt && cfg.trakt.clientSecret) || '';
 
-// Axios client targeting Trakt API
-const trakt = axios.create({
-  baseURL: 'https://api.trakt.tv',
-  timeout: 15000
-});
-
-// Inject required headers on every request (prevents 403 on public endpoints)
-trakt.interceptors.request.use((config) => {
-  config.headers = config.headers || {};
-  config.headers['trakt-api-version'] = '2';
-  config.headers['trakt-api-key'] = TRAKT_CLIENT_ID;
-  return config;
-});
-
 // Helper for optional Authorization header
 function authHeaders(accessToken) {
   return accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
@@ -31,12 +17,26 @@ function sanitizeInput(raw) {
   return String(raw).replace(/[?#].*$/, '').replace(/\/+$/, '').trim();
 }
 
+// Personal (OAuth) catalogs addressable as "trakt:<kind>" or trakt.tv/users/<user>/<kind>
+const PERSONAL_KINDS = ['watchlist', 'collection', 'favorites', 'recommendations'];
+
 // Resolve an input into:
 // - userListPath: "username/lists/slug" (preferred)
 // - listIdOrSlug: "123456" or "my-slug" for /lists/{idOrSlug} fallback
+// - personal: { kind, user } for the user's own watchlist/collection/favorites/recommendations
 async function resolveListRef(input) {
   const clean = sanitizeInput(input);
 
+  // trakt:watchlist | trakt:collection | trakt:favorites | trakt:recommendations
+  let p = clean.match(/^trakt:([a-z]+)$/i);
+  if (p && PERSONAL_KINDS.includes(p[1].toLowerCase())) {
+    return { userListPath: null, listIdOrSlug: null, personal: { kind: p[1].toLowerCase(), user: 'me' } };
+  }
+
+  // users/{user}/watchlist | collection | favorites (recommendations are only ever "me")
+  p = clean.match(/^https?:\/\/(?:www\.)?trakt\.tv\/users\/([^/]+)\/(watchlist|collection|favorites)$/i);
+  if (p) return { userListPath: null, listIdOrSlug: null, personal: { kind: p[2].toLowerCase(), user: p[1] } };
+
   // users/{user}/lists/{slug}
   let m = clean.match(/^https?:\/\/(?:www\.)?trakt\.tv\/users\/([^/]+)\/lists\/([^/]+)$/i);
   if (m) return { userListPath: `${m[1]}/lists/${m[2]}`, listIdOrSlug: m[2] };
@@ -71,12 +71,12 @@ async function devicePoll(device_code) {
       code: device_code,
       client_id: TRAKT_CLIENT_ID,
       client_secret: TRAKT_CLIENT_SECRET
-    });
+    }, { retry: false }); // 429 here is the device flow's slow_down, not a rate limit
     if (status !== 200) return null;
     const expires_at = new Date(Date.now() + data.expires_in * 1000).toISOString();
     return { ...data, expires_at };
   } catch (e) {
-    if (e.response && e.response.status === 400) return null; // authorization_pending / slow_down
+    if (e.response && (e.response.status === 400 || e.response.status === 429)) return null; // authorization_pending / slow_down
     throw e;
   }
 }
@@ -90,7 +90,7 @@ async function refreshTraktToken(userId) {
     client_secret: TRAKT_CLIENT_SECRET,
     grant_type: 'refresh_token',
     refresh_token: current.refresh_token
-  });
+  }, { userId });
   if (status !== 200) throw new Error('trakt_refresh_failed');
   const expires_at = new Date(Date.now() + data.expires_in * 1000).toISOString();
   await repo.upsertTraktTokens({
@@ -103,7 +103,9 @@ async function refreshTraktToken(userId) {
 }
 
 // Ensure a valid (or fresh) access token if available; public lists work without it
+// (userId null: stateless installs, which never have a token)
 async function ensureValidToken(userId) {
+  if (!userId) return null;
   const t = await repo.getTraktTokens(userId);
   if (!t || !t.access_token) return null;
   const marginMs = 5 * 60 * 1000;
@@ -117,9 +119,20 @@ async function ensureValidToken(userId) {
   }
 }
 
-// Strong existence check: ok if either items/movies or items/shows returns HTTP 200
-async function validateListExists(urlOrSlug) {
+// Strong existence check: ok if either items/movies or items/shows returns HTTP 200.
+// Personal catalogs need the user's token, so pass userId for those.
+async function validateListExists(urlOrSlug, userId) {
   const resolved = await resolveListRef(urlOrSlug);
+  if (resolved.personal) {
+    const accessToken = userId ? await ensureValidToken(userId) : null;
+    if (!accessToken) return { ok: false, resolved, error: 'trakt_not_connected' };
+    const r = await trakt.get(personalPath(resolved.personal, 'movies', 1, 1), {
+      headers: authHeaders(accessToken),
+      userId,
+      validateStatus: () => true
+    });
+    return { ok: r.status === 200, resolved };
+  }
   const paths = [];
   if (resolved.userListPath) {
     paths.push(`/users/${resolved.userListPath}/items/movies?limit=1`);
@@ -133,49 +146,345 @@ async function validateListExists(urlOrSlug) {
 
   // Do not throw on non-2xx so we can inspect status reliably
   for (const p of paths) {
-    const r = await trakt.get(p, { validateStatus: () => true });
+    const r = await trakt.get(p, { userId, validateStatus: () => true });
     if (r.status === 200) return { ok: true, resolved };
   }
   return { ok: false, resolved };
 }
 
-async function getUserListItems({ userId, urlOrSlug, stremioType, limit = 50, page = 1 }) {
+// Endpoint for a personal catalog page; collection and recommendations are not paginated by Trakt
+function personalPath({ kind, user }, traktType, limit, page) {
+  const who = encodeURIComponent(user || 'me');
+  if (kind === 'recommendations') {
+    return `/recommendations/${traktType}?extended=full&ignore_collected=true&limit=${encodeURIComponent(Math.min(100, limit * page))}`;
+  }
+  if (kind === 'collection') return `/users/${who}/collection/${traktType}?extended=full`;
+  return `/users/${who}/${kind}/${traktType}?extended=full&limit=${encodeURIComponent(limit)}&page=${encodeURIComponent(page)}`;
+}
+
+// Shape personal results like list items: { type, movie|show, listed_at, rank }
+function toListItem(row, itemType, index) {
+  if (row && (row.movie || row.show)) {
+    return {
+      ...row,
+      type: row.type || itemType,
+      listed_at: row.listed_at || row.collected_at || undefined,
+      rank: Number.isFinite(row.rank) ? row.rank : index + 1
+    };
+  }
+  // recommendations return bare movie/show objects
+  return { type: itemType, [itemType]: row, rank: index + 1 };
+}
+
+// Merge movie and show results into a single rank-ordered sequence
+function byRank(a, b) {
+  const ra = Number.isFinite(a.rank) ? a.rank : Infinity;
+  const rb = Number.isFinite(b.rank) ? b.rank : Infinity;
+  if (ra !== rb) return ra - rb;
+  return (Date.parse(b.listed_at || 0) || 0) - (Date.parse(a.listed_at || 0) || 0);
+}
+
+const PERSONAL_PAGE_SIZE = 100;
+const MAX_PERSONAL_PAGES = 100;
+const MIXED_POOL_MS = 60 * 1000;
+const mixedPools = new Map(); // `${userId}:${kind}:${user}` -> { at, promise }
+
+const unpaginated = (personal) => personal.kind === 'collection' || personal.kind === 'recommendations';
+
+// One page of one type of a personal catalog (collection and recommendations: everything, in one response)
+async function fetchPersonalPage({ userId, personal, stremioType, limit, page }) {
+  const accessToken = await ensureValidToken(userId);
+  if (!accessToken) return [];
   const traktType = stremioType === 'series' ? 'shows' : 'movies';
+  const itemType = stremioType === 'series' ? 'show' : 'movie';
+  const offset = unpaginated(personal) ? 0 : (Math.max(1, page) - 1) * limit;
+  try {
+    const { data, status } = await trakt.get(personalPath(personal, traktType, limit, page), { headers: authHeaders(accessToken), userId });
+    if (status !== 200 || !Array.isArray(data)) return [];
+    return data.map((row, i) => toListItem(row, itemType, offset + i));
+  } catch {
+    return [];
+  }
+}
+
+// Every item of one type of a personal catalog
+async function allPersonalItems({ userId, personal, stremioType }) {
+  if (unpaginated(personal)) return fetchPersonalPage({ userId, personal, stremioType, limit: PERSONAL_PAGE_SIZE, page: 1 });
+  let items = [];
+  for (let page = 1; page <= MAX_PERSONAL_PAGES; page++) {
+    const batch = await fetchPersonalPage({ userId, personal, stremioType, limit: PERSONAL_PAGE_SIZE, page });
+    items = items.concat(batch);
+    if (batch.length < PERSONAL_PAGE_SIZE) break;
+  }
+  return items;
+}
+
+// Personal endpoints take one type per call: a mixed catalog is both types merged in rank order, built once
+// and then paged from memory for a minute, so a sync reading page after page costs one pass over each type
+function mixedPersonalPool({ userId, personal }) {
+  const key = `${userId}:${personal.kind}:${personal.user || 'me'}`;
+  const now = Date.now();
+  for (const [k, v] of mixedPools) if (now - v.at > MIXED_POOL_MS) mixedPools.delete(k);
+  if (!mixedPools.has(key)) {
+    const promise = Promise.all([
+      allPersonalItems({ userId, personal, stremioType: 'movie' }),
+      allPersonalItems({ userId, personal, stremioType: 'series' })
+    ]).then(([movies, shows]) => movies.concat(shows).sort(byRank));
+    promise.catch(() => mixedPools.delete(key));
+    mixedPools.set(key, { at: now, promise });
+  }
+  return mixedPools.get(key).promise;
+}
+
+async function getPersonalItems({ userId, personal, stremioType, limit, page }) {
+  const start = (Math.max(1, page) - 1) * limit;
+  if (stremioType === 'mixed') {
+    const merged = await mixedPersonalPool({ userId, personal });
+    return merged.slice(start, start + limit);
+  }
+  const items = await fetchPersonalPage({ userId, personal, stremioType, limit, page });
+  // Unpaginated endpoints return everything; slice out the requested page
+  return unpaginated(personal) ? items.slice(start, start + limit) : items;
+}
+
+// Stremio list type → Trakt list items type; "mixed" asks Trakt for both kinds in list rank order
+function listItemsType(stremioType) {
+  if (stremioType === 'mixed') return 'movie,show';
+  return stremioType === 'series' ? 'shows' : 'movies';
+}
+
+// Mixed lists may also hold seasons, episodes or people; only movies and shows become metas
+function onlyTitles(data) {
+  return data.filter(it => it && (it.type === 'movie' || it.type === 'show'));
+}
+
+// sortBy/sortHow ask Trakt to order the list (Trakt sort_by values, e.g. popularity, watched); personal catalogs ignore them
+async function getUserListItems({ userId, urlOrSlug, stremioType, limit = 50, page = 1, sortBy, sortHow }) {
+  const traktType = listItemsType(stremioType);
   const resolved = await resolveListRef(urlOrSlug);
+  if (resolved.personal) return getPersonalItems({ userId, personal: resolved.personal, stremioType, limit, page });
   const accessToken = await ensureValidToken(userId);
   const headers = authHeaders(accessToken);
 
   const qp = `extended=full&limit=${encodeURIComponent(limit)}&page=${encodeURIComponent(page)}`;
+  const sorted = sortBy ? `/${encodeURIComponent(sortBy)}/${sortHow === 'desc' ? 'desc' : 'asc'}` : '';
 
   // Prefer user/slug
   if (resolved.userListPath) {
-    const path = `/users/${resolved.userListPath}/items/${traktType}?${qp}`;
+    const path = `/users/${resolved.userListPath}/items/${traktType}${sorted}?${qp}`;
     try {
-      const { data, status } = await trakt.get(path, { headers });
-      if (status === 200 && Array.isArray(data)) return data;
+      const { data, status } = await trakt.get(path, { headers, userId });
+      if (status === 200 && Array.isArray(data)) return onlyTitles(data);
     } catch {}
   }
 
   // Fallback to /lists/{idOrSlug}
   if (resolved.listIdOrSlug) {
-    const path2 = `/lists/${resolved.listIdOrSlug}/items/${traktType}?${qp}`;
+    const path2 = `/lists/${resolved.listIdOrSlug}/items/${traktType}${sorted}?${qp}`;
     try {
-      const { data, status } = await trakt.get(path2, { headers });
-      if (status === 200 && Array.isArray(data)) return data;
+      const { data, status } = await trakt.get(path2, { headers, userId });
+      if (status === 200 && Array.isArray(data)) return onlyTitles(data);
     } catch {}
   }
 
   return [];
 }
 
-// Personalized list functions removed
+// List summary ({ updated_at, item_count }) used to decide whether a mirrored list changed;
+// null for personal catalogs (no summary endpoint) or when Trakt can't be reached
+async function getListSummary({ userId, urlOrSlug }) {
+  const resolved = await resolveListRef(urlOrSlug);
+  if (resolved.personal) return null;
+  const headers = authHeaders(await ensureValidToken(userId));
+  const paths = [];
+  if (resolved.userListPath) paths.push(`/users/${resolved.userListPath}`);
+  if (resolved.listIdOrSlug) paths.push(`/lists/${resolved.listIdOrSlug}`);
+  for (const p of paths) {
+    try {
+      const { data, status } = await trakt.get(p, { headers, userId });
+      if (status === 200 && data) {
+        return {
+          updated_at: data.updated_at || null,
+          item_count: Number.isFinite(data.item_count) ? data.item_count : null
+        };
+      }
+    } catch {}
+  }
+  return null;
+}
+
+// "?sort=added,desc" as copied from the Trakt website (sanitizeInput drops it from the list ref)
+function listSortFromUrl(raw) {
+  const m = String(raw || '').match(/[?&]sort=([a-z_]+)(?:(?:,|%2C)(asc|desc))?/i);
+  return m ? { by: m[1].toLowerCase(), how: m[2] ? m[2].toLowerCase() : undefined } : null;
+}
 
+// The list's own sort: URL ?sort= wins, else the owner's choice from X-Sort-By/X-Sort-How; null when unknown
+async function getListSort({ userId, urlOrSlug }) {
+  const fromUrl = listSortFromUrl(urlOrSlug);
+  if (fromUrl) return fromUrl;
+  const resolved = await resolveListRef(urlOrSlug);
+  if (resolved.personal) return null;
+  const headers = authHeaders(await ensureValidToken(userId));
+  const paths = [];
+  if (resolved.userListPath) paths.push(`/users/${resolved.userListPath}/items?limit=1`);
+  if (resolved.listIdOrSlug) paths.push(`/lists/${resolved.listIdOrSlug}/items?limit=1`);
+  for (const p of paths) {
+    try {
+      const r = await trakt.get(p, { headers, userId });
+      if (r.status !== 200) continue;
+      const by = String(r.headers['x-sort-by'] || '').toLowerCase();
+      const how = String(r.headers['x-sort-how'] || '').toLowerCase();
+      return by ? { by, how: how || undefined } : null;
+    } catch {}
+  }
+  return null;
+}
+
+// Text/id search for file imports. Results are [{ type: 'movie'|'show', score, movie|show }] with
+// extended=full fields; null when Trakt can't be reached. traktTypes: 'movie', 'show' or 'movie,show'
+async function searchByExternalId({ userId, idType, id, traktTypes = 'movie,show' }) {
+  const p = `/search/${idType}/${encodeURIComponent(id)}?type=${traktTypes}&extended=full`;
+  try {
+    const { data } = await trakt.get(p, { userId });
+    return Array.isArray(data) ? data : [];
+  } catch (e) {
+    return e && e.response && e.response.status === 404 ? [] : null;
+  }
+}
+
+async function searchByTitle({ userId, query, year, traktTypes = 'movie,show' }) {
+  const qp = new URLSearchParams({ query: String(query || ''), fields: 'title', extended: 'full', limit: '10' });
+  if (Number.isFinite(year)) qp.set('years', `${year - 1}-${year + 1}`);
+  try {
+    const { data } = await trakt.get(`/search/${traktTypes}?${qp}`, { userId });
+    return Array.isArray(data) ? data : [];
+  } catch (e) {
+    return e && e.response && e.response.status === 404 ? [] : null;
+  }
+}
+
+// Write-back to the connected user's own lists (/users/me/lists). Each call resolves
+// { ok: true, data } or { ok: false, status, error }; error is 'not_authorized' (no or rejected token),
+// 'not_found', 'list_limit_reached' (Trakt's 420 for accounts at their list cap) or 'trakt_error'
+const TRAKT_LIST_PRIVACY = ['private', 'link', 'friends', 'public'];
+
+function ownListPath(list, suffix = '') {
+  return `/users/me/lists/${encodeURIComponent(String(list))}${suffix}`;
+}
+
+async function ownListRequest(userId, method, url, data) {
+  try {
+    const accessToken = await ensureValidToken(userId);
+    if (!accessToken) return { ok: false, status: 401, error: 'not_authorized' };
+    const r = await trakt.request({ method, url, data, headers: authHeaders(accessToken), userId, validateStatus: () => true });
+    if (r.status >= 200 && r.status < 300) return { ok: true, data: r.data };
+    const error = r.status === 401 || r.status === 403 ? 'not_authorized'
+      : r.status === 404 ? 'not_found'
+      : r.status === 420 ? 'list_limit_reached'
+      : 'trakt_error';
+    return { ok: false, status: r.status, error };
+  } catch {
+    return { ok: false, status: 502, error: 'trakt_error' };
+  }
+}
+
+// list: Trakt id or slug of one of the user's lists
+function getOwnList(userId, list) {
+  return ownListRequest(userId, 'get', ownListPath(list));
+}
+
+function getOwnListItems(userId, list) {
+  return ownListRequest(userId, 'get', ownListPath(list, '/items/movie,show'));
+}
+
+function createOwnList(userId, { name, description = '', privacy = 'private' }) {
+  return ownListRequest(userId, 'post', '/users/me/lists', { name, description, privacy });
+}
+
+// fields: any of { name, description, privacy }; a new name also gives the list a new slug
+function updateOwnList(userId, list, fields) {
+  return ownListRequest(userId, 'put', ownListPath(list), fields);
+}
+
+function deleteOwnList(userId, list) {
+  return ownListRequest(userId, 'delete', ownListPath(list));
+}
+
+// entries: { movies: [{ ids: { imdb } }], shows: [...] }; Trakt answers with added/existing/not_found counts
+function addOwnListItems(userId, list, entries) {
+  return ownListRequest(userId, 'post', ownListPath(list, '/items'), entries);
+}
+
+function removeOwnListItems(userId, list, entries) {
+  return ownListRequest(userId, 'post', ownListPath(list, '/items/remove'), entries);
+}
+
+// Sync endpoints backing hideWatched; all need the user's token and return null when unavailable
+async function getLastActivities(userId) {
+  const accessToken = await ensureValidToken(userId);
+  if (!accessToken) return null;
+  try {
+    const { data, status } = await trakt.get('/sync/last_activities', { headers: authHeaders(accessToken), userId });
+    return status === 200 && data ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+// kind: 'movies' | 'shows'; shows use extended=full so aired_episodes is present
+async function getWatched(userId, kind) {
+  const accessToken = await ensureValidToken(userId);
+  if (!accessToken) return null;
+  const qp = kind === 'shows' ? '?extended=full' : '';
+  try {
+    const { data, status } = await trakt.get(`/sync/watched/${kind}${qp}`, { headers: authHeaders(accessToken), userId });
+    return status === 200 && Array.isArray(data) ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+// Hidden items of one section (progress_watched, dropped, recommendations, ...), all pages
+async function getHiddenItems(userId, section, maxPages = 10) {
+  const accessToken = await ensureValidToken(userId);
+  if (!accessToken) return null;
+  const out = [];
+  try {
+    for (let page = 1; page <= maxPages; page++) {
+      const { data, status } = await trakt.get(`/users/hidden/${section}?limit=100&page=${page}`, { headers: authHeaders(accessToken), userId });
+      if (status !== 200 || !Array.isArray(data)) return null;
+      out.push(...data);
+      if (data.length < 100) break;
+    }
+    return out;
+  } catch {
+    return null;
+  }
+}
 
 module.exports = {
+  PERSONAL_KINDS,
+  resolveListRef,
   deviceInit,
   devicePoll,
   refreshTraktToken,
   ensureValidToken,
   validateListExists,
-  getUserListItems
+  getUserListItems,
+  getListSort,
+  getListSummary,
+  getLastActivities,
+  searchByExternalId,
+  searchByTitle,
+  TRAKT_LIST_PRIVACY,
+  getOwnList,
+  getOwnListItems,
+  createOwnList,
+  updateOwnList,
+  deleteOwnList,
+  addOwnListItems,
+  removeOwnListItems,
+  getWatched,
+  getHiddenItems
 };
@@ -0,0 +1,43 @@
+jest.mock('../db/repo', () => ({
+  repo: { getTraktTokens: jest.fn(async () => ({ access_token: 'tok', expires_at: new Date(Date.now() + 3600e3).toISOString() })) }
+}));
+jest.mock('./traktClient', () => ({ trakt: { get: jest.fn() } }));
+
+const { trakt } = require('./traktClient');
+const { getUserListItems } = require('./traktService');
+
+// Watchlist of 250 movies (odd ranks) and 250 shows (even ranks), served 100 per page
+function serveWatchlist() {
+  trakt.get.mockImplementation(async (path) => {
+    const m = path.match(/\/watchlist\/(movies|shows)\?.*limit=(\d+)&page=(\d+)/);
+    if (!m) return { status: 404, data: null };
+    const type = m[1] === 'movies' ? 'movie' : 'show';
+    const [limit, page] = [Number(m[2]), Number(m[3])];
+    const all = Array.from({ length: 250 }, (_, i) => ({
+      type, rank: 2 * i + (type === 'movie' ? 1 : 2), [type]: { title: `${type} ${i}`, ids: { trakt: i } }
+    }));
+    return { status: 200, data: all.slice((page - 1) * limit, page * limit) };
+  });
+}
+
+describe('personal catalogs', () => {
+  beforeEach(() => { trakt.get.mockReset(); serveWatchlist(); });
+
+  it('pages a mixed watchlist from one merged pass over both types', async () => {
+    const seen = [];
+    for (let page = 1; page <= 6; page++) {
+      const items = await getUserListItems({ userId: 'u1', urlOrSlug: 'trakt:watchlist', stremioType: 'mixed', limit: 100, page });
+      if (!items.length) break;
+      seen.push(...items);
+    }
+    expect(seen.map(it => it.rank)).toEqual(Array.from({ length: 500 }, (_, i) => i + 1));
+    expect(trakt.get).toHaveBeenCalledTimes(6); // 3 pages of movies + 3 of shows
+  });
+
+  it('pages a single type straight from Trakt', async () => {
+    const items = await getUserListItems({ userId: 'u2', urlOrSlug: 'trakt:watchlist', stremioType: 'series', limit: 100, page: 3 });
+    expect(items).toHaveLength(50);
+    expect(items[0].show.title).toBe('show 200');
+    expect(trakt.get).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,99 @@
+// src/services/traktWriteBack.js
+// Keeps the addon in step after the dashboard changes one of the user's own Trakt lists.
+// Saved lists pointing at the changed Trakt list (by slug under "me"/the owner, or by Trakt id)
+// get their mirrors re-downloaded or dropped and their catalog pages purged, and the manifest
+// version is bumped so Stremio picks up the change.
+
+const { repo } = require('../db/repo');
+const { bumpManifestVersion } = require('../db/version');
+const { resolveListRef } = require('./traktService');
+const { refreshMirror, dropListMirror, invalidateList } = require('./listMirror');
+
+// Does this saved list's URL point at the given Trakt list object?
+async function pointsAt(list, traktList){
+  if (list.kind !== 'trakt' || !list.url) return false;
+  const ids = traktList.ids || {};
+  const slug = String(ids.slug || '').toLowerCase();
+  const id = ids.trakt != null ? String(ids.trakt) : '';
+  const ref = await resolveListRef(list.url);
+  if (ref.personal || !ref.listIdOrSlug) return false;
+  const target = String(ref.listIdOrSlug).toLowerCase();
+  if (!ref.userListPath) return !!id && target === id;
+  const owner = ref.userListPath.split('/')[0].toLowerCase();
+  const user = traktList.user || {};
+  const owners = ['me', user.ids?.slug, user.username].filter(Boolean).map(v => String(v).toLowerCase());
+  return owners.includes(owner) && (target === slug || (!!id && target === id));
+}
+
+/** Saved lists (of kind trakt) backed by the given Trakt list */
+async function findSavedLists(lists, traktList){
+  const out = [];
+  for (const l of lists || []){
+    if (await pointsAt(l, traktList)) out.push(l);
+  }
+  return out;
+}
+
+/**
+ * Items were added to or removed from a Trakt list: re-download its mirrors right away.
+ * @returns {Promise<string[]>} ids of the saved lists that were refreshed
+ */
+async function afterItemsChanged(userId, traktList){
+  const lists = await repo.getLists(userId).catch(() => []);
+  const hits = await findSavedLists(lists, traktList);
+  for (const l of hits){
+    await refreshMirror(userId, l, { force: true, lists }).catch(() => {});
+    await invalidateList(userId, l.id, lists);
+  }
+  await bumpManifestVersion(userId);
+  return hits.map(l => l.id);
+}
+
+/**
+ * A Trakt list was renamed or edited. A new name gives it a new slug, so saved URLs
+ * that used the old slug are rewritten to the new one.
+ * @returns {Promise<string[]>} ids of the affected saved lists
+ */
+async function afterListUpdated(userId, before, after){
+  const lists = await repo.getLists(userId).catch(() => []);
+  const hits = await findSavedLists(lists, before);
+  const oldSlug = String(before.ids?.slug || '').toLowerCase();
+  const newSlug = after.ids?.slug;
+  if (hits.length && newSlug && newSlug.toLowerCase() !== oldSlug){
+    const rewrite = new Map();
+    for (const l of hits){
+      const ref = await resolveListRef(l.url);
+      if (ref.userListPath && String(ref.listIdOrSlug).toLowerCase() === oldSlug){
+        rewrite.set(l.id, `https://trakt.tv/users/${ref.userListPath.split('/')[0]}/lists/${newSlug}`);
+      }
+    }
+    if (rewrite.size){
+      await repo.saveLists(userId, lists.map(l => (rewrite.has(l.id) ? { ...l, url: rewrite.get(l.id) } : l)));
+    }
+  }
+  for (const l of hits) await invalidateList(userId, l.id, lists);
+  await bumpManifestVersion(userId);
+  return hits.map(l => l.id);
+}
+
+/**
+ * A Trakt list was deleted: saved lists backed by it are disabled (kept so the user can
+ * repoint or remove them) and their mirrors dropped.
+ * @returns {Promise<string[]>} ids of the disabled saved lists
+ */
+async function afterListDeleted(userId, traktList){
+  const lists = await repo.getLists(userId).catch(() => []);
+  const hits = await findSavedLists(lists, traktList);
+  if (hits.length){
+    const ids = new Set(hits.map(l => l.id));
+    await repo.saveLists(userId, lists.map(l => (ids.has(l.id) ? { ...l, enabled: false } : l)));
+    for (const l of hits){
+      await dropListMirror(userId, l.id);
+      await invalidateList(userId, l.id, lists);
+    }
+  }
+  await bumpManifestVersion(userId);
+  return hits.map(l => l.id);
+}
+
+module.exports = { findSavedLists, afterItemsChanged, afterListUpdated, afterListDeleted };
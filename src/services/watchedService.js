@@ -0,0 +1,126 @@
+// src/services/watchedService.js
+// Local copy of the user's Trakt watched (and optionally hidden) titles for hideWatched.
+// Catalog requests read the copy; Trakt is only asked for /sync/last_activities,
+// and a section is re-downloaded only when its activity timestamp moved.
+
+const { repo } = require('../db/repo');
+const { cache, k } = require('../utils/cache');
+const { getLastActivities, getWatched, getHiddenItems } = require('./traktService');
+const { clearUserCatalogCache } = require('./listMirror');
+
+const CHECK_TTL_SEC = 5 * 60;                 // how often last_activities is polled per user
+const FULL_RESYNC_MS = 24 * 60 * 60 * 1000;   // series completion also moves when new episodes air
+const HIDDEN_SECTIONS = ['progress_watched', 'dropped', 'recommendations'];
+
+const EMPTY_STATE = { movies: [], shows: [], hidden: [], activities: {}, fullSyncAt: null };
+const inflight = new Map(); // userId -> pending sync
+
+function activityStamps(acts){
+  return {
+    movies: acts?.movies?.watched_at || '',
+    episodes: acts?.episodes?.watched_at || '',
+    hidden: [acts?.movies?.hidden_at, acts?.shows?.hidden_at, acts?.shows?.dropped_at, acts?.seasons?.hidden_at]
+      .map(v => v || '').join('|')
+  };
+}
+
+function imdbIds(rows){
+  const out = new Set();
+  for (const r of rows){
+    const core = r && (r.movie || r.show);
+    const id = core?.ids?.imdb;
+    if (id) out.add(id);
+  }
+  return Array.from(out);
+}
+
+// A show counts as watched once every aired regular-season episode has been seen
+function completedShows(rows){
+  return imdbIds(rows.filter(r => {
+    const aired = Number(r?.show?.aired_episodes) || 0;
+    if (!aired) return false;
+    const seen = (r.seasons || [])
+      .filter(s => s && s.number > 0)
+      .reduce((n, s) => n + (Array.isArray(s.episodes) ? s.episodes.length : 0), 0);
+    return seen >= aired;
+  }));
+}
+
+function sameIds(a, b){
+  if (a.length !== b.length) return false;
+  const set = new Set(a);
+  return b.every(id => set.has(id));
+}
+
+async function fetchHidden(userId){
+  const out = [];
+  for (const section of HIDDEN_SECTIONS){
+    const rows = await getHiddenItems(userId, section);
+    if (!rows) return null;
+    out.push(...rows);
+  }
+  return imdbIds(out);
+}
+
+/**
+ * Bring the stored copy up to date. Sections whose fetch fails keep their old
+ * ids and activity stamp, so they are retried on the next check.
+ * @returns {Promise<{state:object, changed:boolean}>}
+ */
+async function syncWatchedState(userId, { hidden = false } = {}){
+  const prev = { ...EMPTY_STATE, ...(await repo.getWatchedState(userId).catch(() => null) || {}) };
+  const acts = await getLastActivities(userId);
+  if (!acts) return { state: prev, changed: false }; // not connected or Trakt unavailable
+
+  const now = activityStamps(acts);
+  const full = !prev.fullSyncAt || (Date.now() - Date.parse(prev.fullSyncAt)) > FULL_RESYNC_MS;
+  const next = { ...prev, activities: { ...prev.activities } };
+  let dirty = false;
+
+  if (full || prev.activities.movies !== now.movies){
+    const rows = await getWatched(userId, 'movies');
+    if (rows){ next.movies = imdbIds(rows); next.activities.movies = now.movies; dirty = true; }
+  }
+  if (full || prev.activities.episodes !== now.episodes){
+    const rows = await getWatched(userId, 'shows');
+    if (rows){ next.shows = completedShows(rows); next.activities.episodes = now.episodes; dirty = true; }
+  }
+  if (hidden && (full || prev.activities.hidden !== now.hidden)){
+    const ids = await fetchHidden(userId);
+    if (ids){ next.hidden = ids; next.activities.hidden = now.hidden; dirty = true; }
+  }
+  if (full) next.fullSyncAt = new Date().toISOString();
+
+  const changed = !sameIds(prev.movies, next.movies) || !sameIds(prev.shows, next.shows) || !sameIds(prev.hidden, next.hidden);
+  if (dirty || full) await repo.saveWatchedState(userId, next).catch(() => {});
+  return { state: next, changed };
+}
+
+/**
+ * IMDb ids to drop from catalogs: watched movies, completed shows and,
+ * when `hidden` is set, titles hidden on Trakt. Checked against Trakt at most
+ * every CHECK_TTL_SEC per user; a detected change purges the user's catalog cache.
+ * @returns {Promise<Set<string>>}
+ */
+async function getWatchedIds(userId, { hidden = false } = {}){
+  const key = k(userId, `watched:${hidden ? 'hidden' : 'plain'}`);
+  const hit = cache.get(key);
+  if (hit) return hit;
+
+  if (!inflight.has(key)){
+    inflight.set(key, (async () => {
+      try{
+        const { state, changed } = await syncWatchedState(userId, { hidden });
+        const ids = new Set([...state.movies, ...state.shows, ...(hidden ? state.hidden : [])]);
+        cache.set(key, ids, CHECK_TTL_SEC);
+        if (changed) clearUserCatalogCache(userId);
+        return ids;
+      } finally {
+        inflight.delete(key);
+      }
+    })());
+  }
+  return inflight.get(key).catch(() => new Set());
+}
+
+module.exports = { getWatchedIds, syncWatchedState };
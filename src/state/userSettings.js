@@ -1,14 +1,23 @@
 // src/state/userSettings.js
-// Safe, merge-only persistence of addonName, catalogPrefix, hideUnreleasedAll, and lastDeltaAt per user.
+// Safe, merge-only persistence of addonName, catalogPrefix, hideUnreleasedAll, hideWatchedAll,
+// hideTraktHidden, genreCounts, posterSource/posterTemplate, catalogTypes and lastDeltaAt per user.
 
 const fs = require('fs/promises');
 const path = require('path');
+const { POSTER_SOURCES } = require('../services/artworkService');
+const { CATALOG_TYPES } = require('../services/listConfig');
 
 const DEFAULTS = {
   addonName: 'Trakt Lists',
   catalogPrefix: '',
   hideUnreleasedAll: false,
-  lastDeltaAt: '' // ISO string watermark for delta refresh
+  hideWatchedAll: false,   // drop watched movies / completed series from every list
+  hideTraktHidden: false,  // with hideWatched, also drop titles hidden on Trakt
+  posterSource: 'cinemeta', // cinemeta | omdb | fanart | custom (see services/artworkService)
+  posterTemplate: '',       // custom source: poster URL with {imdb} / {type} placeholders
+  genreCounts: false,       // genre options in the manifest carry title counts ("Drama (12)")
+  catalogTypes: 'custom',   // custom | native (see services/listConfig CATALOG_TYPES); lists may override
+  lastDeltaAt: '' // ISO string of the last delta refresh pass
 };
 const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data', 'user-settings');
 const mem = new Map(); // userId -> settings cache
@@ -19,19 +28,45 @@ function fileFor(userId){
   return path.join(DATA_DIR, `${safe}.json`);
 }
 
-// Normalize input (accept string/boolean for flag; ISO string for lastDeltaAt)
+const FLAGS = ['hideUnreleasedAll', 'hideWatchedAll', 'hideTraktHidden', 'genreCounts'];
+
+function parseFlag(v){
+  if (typeof v === 'boolean') return v;
+  if (typeof v === 'string'){
+    const s = v.trim().toLowerCase();
+    if (s === 'true' || s === '1') return true;
+    if (s === 'false' || s === '0') return false;
+  }
+  return undefined;
+}
+
+// Stored object -> full settings shape (defaults for missing/invalid fields)
+function shapeSettings(src){
+  const out = {
+    addonName: typeof src?.addonName === 'string' ? src.addonName : DEFAULTS.addonName,
+    catalogPrefix: typeof src?.catalogPrefix === 'string' ? src.catalogPrefix : DEFAULTS.catalogPrefix,
+    posterSource: POSTER_SOURCES.includes(src?.posterSource) ? src.posterSource : DEFAULTS.posterSource,
+    posterTemplate: typeof src?.posterTemplate === 'string' ? src.posterTemplate : DEFAULTS.posterTemplate,
+    catalogTypes: CATALOG_TYPES.includes(src?.catalogTypes) ? src.catalogTypes : DEFAULTS.catalogTypes,
+    lastDeltaAt: typeof src?.lastDeltaAt === 'string' ? src.lastDeltaAt : DEFAULTS.lastDeltaAt
+  };
+  for (const flag of FLAGS) out[flag] = typeof src?.[flag] === 'boolean' ? src[flag] : DEFAULTS[flag];
+  return out;
+}
+
+// Normalize input (accept string/boolean for flags; ISO string for lastDeltaAt)
 function pickSettings(obj = {}) {
   const out = {};
   if (typeof obj.addonName === 'string') out.addonName = obj.addonName.trim();
   if (typeof obj.catalogPrefix === 'string') out.catalogPrefix = obj.catalogPrefix.trim();
 
-  const v = obj.hideUnreleasedAll;
-  if (typeof v === 'boolean') out.hideUnreleasedAll = v;
-  else if (typeof v === 'string'){
-    const s = v.trim().toLowerCase();
-    if (s === 'true' || s === '1') out.hideUnreleasedAll = true;
-    else if (s === 'false' || s === '0') out.hideUnreleasedAll = false;
+  for (const flag of FLAGS){
+    const v = parseFlag(obj[flag]);
+    if (v !== undefined) out[flag] = v;
   }
+  if (POSTER_SOURCES.includes(obj.posterSource)) out.posterSource = obj.posterSource;
+  if (typeof obj.posterTemplate === 'string') out.posterTemplate = obj.posterTemplate.trim();
+  if (CATALOG_TYPES.includes(obj.catalogTypes)) out.catalogTypes = obj.catalogTypes;
 
   if (typeof obj.lastDeltaAt === 'string' && obj.lastDeltaAt) out.lastDeltaAt = obj.lastDeltaAt.trim();
   return out;
@@ -42,12 +77,7 @@ async function getUserSettings(repo, userId){
   try{
     if (repo && typeof repo.getConfig === 'function'){
       const cfg = await repo.getConfig(userId);
-      const out = {
-        addonName: typeof cfg?.addonName === 'string' ? cfg.addonName : DEFAULTS.addonName,
-        catalogPrefix: typeof cfg?.catalogPrefix === 'string' ? cfg.catalogPrefix : DEFAULTS.catalogPrefix,
-        hideUnreleasedAll: typeof cfg?.hideUnreleasedAll === 'boolean' ? cfg.hideUnreleasedAll : DEFAULTS.hideUnreleasedAll,
-        lastDeltaAt: typeof cfg?.lastDeltaAt === 'string' ? cfg.lastDeltaAt : DEFAULTS.lastDeltaAt
-      };
+      const out = shapeSettings(cfg);
       mem.set(userId, out);
       return out;
     }
@@ -60,12 +90,7 @@ async function getUserSettings(repo, userId){
     const buf = await fs.readFile(f).catch(()=>null);
     if (buf){
       const j = JSON.parse(String(buf));
-      const out = {
-        addonName: typeof j?.addonName === 'string' ? j.addonName : DEFAULTS.addonName,
-        catalogPrefix: typeof j?.catalogPrefix === 'string' ? j.catalogPrefix : DEFAULTS.catalogPrefix,
-        hideUnreleasedAll: typeof j?.hideUnreleasedAll === 'boolean' ? j.hideUnreleasedAll : DEFAULTS.hideUnreleasedAll,
-        lastDeltaAt: typeof j?.lastDeltaAt === 'string' ? j.lastDeltaAt : DEFAULTS.lastDeltaAt
-      };
+      const out = shapeSettings(j);
       mem.set(userId, out);
       return out;
     }
@@ -85,18 +110,16 @@ async function updateUserSettings(repo, userId, partial){
       const next = { ...current };
       if (p.addonName !== undefined) next.addonName = p.addonName;
       if (p.catalogPrefix !== undefined) next.catalogPrefix = p.catalogPrefix;
-      if (p.hideUnreleasedAll !== undefined) next.hideUnreleasedAll = p.hideUnreleasedAll;
+      for (const flag of FLAGS) if (p[flag] !== undefined) next[flag] = p[flag];
+      if (p.posterSource !== undefined) next.posterSource = p.posterSource;
+      if (p.posterTemplate !== undefined) next.posterTemplate = p.posterTemplate;
+      if (p.catalogTypes !== undefined) next.catalogTypes = p.catalogTypes;
       if (p.lastDeltaAt !== undefined) next.lastDeltaAt = p.lastDeltaAt;
 
       if (typeof repo.updateConfig === 'function'){
         await repo.updateConfig(userId, next);
       }
-      const out = {
-        addonName: typeof next.addonName === 'string' ? next.addonName : DEFAULTS.addonName,
-        catalogPrefix: typeof next.catalogPrefix === 'string' ? next.catalogPrefix : DEFAULTS.catalogPrefix,
-        hideUnreleasedAll: typeof next.hideUnreleasedAll === 'boolean' ? next.hideUnreleasedAll : DEFAULTS.hideUnreleasedAll,
-        lastDeltaAt: typeof next.lastDeltaAt === 'string' ? next.lastDeltaAt : DEFAULTS.lastDeltaAt
-      };
+      const out = shapeSettings(next);
       mem.set(userId, out);
       return out;
     }
@@ -111,32 +134,23 @@ async function updateUserSettings(repo, userId, partial){
     const next = { ...current };
     if (p.addonName !== undefined) next.addonName = p.addonName;
     if (p.catalogPrefix !== undefined) next.catalogPrefix = p.catalogPrefix;
-    if (p.hideUnreleasedAll !== undefined) next.hideUnreleasedAll = p.hideUnreleasedAll;
+    for (const flag of FLAGS) if (p[flag] !== undefined) next[flag] = p[flag];
+    if (p.posterSource !== undefined) next.posterSource = p.posterSource;
+    if (p.posterTemplate !== undefined) next.posterTemplate = p.posterTemplate;
+    if (p.catalogTypes !== undefined) next.catalogTypes = p.catalogTypes;
     if (p.lastDeltaAt !== undefined) next.lastDeltaAt = p.lastDeltaAt;
 
     await fs.writeFile(f, JSON.stringify(next, null, 2), 'utf8');
 
-    const out = {
-      addonName: typeof next.addonName === 'string' ? next.addonName : DEFAULTS.addonName,
-      catalogPrefix: typeof next.catalogPrefix === 'string' ? next.catalogPrefix : DEFAULTS.catalogPrefix,
-      hideUnreleasedAll: typeof next.hideUnreleasedAll === 'boolean' ? next.hideUnreleasedAll : DEFAULTS.hideUnreleasedAll,
-      lastDeltaAt: typeof next.lastDeltaAt === 'string' ? next.lastDeltaAt : DEFAULTS.lastDeltaAt
-    };
+    const out = shapeSettings(next);
     mem.set(userId, out);
     return out;
   }catch{}
 
   // 3) Memory fallback
-  const out = {
-    addonName: p.addonName ?? have.addonName ?? DEFAULTS.addonName,
-    catalogPrefix: p.catalogPrefix ?? have.catalogPrefix ?? DEFAULTS.catalogPrefix,
-    hideUnreleasedAll:
-      (typeof p.hideUnreleasedAll === 'boolean' ? p.hideUnreleasedAll
-        : (typeof have.hideUnreleasedAll === 'boolean' ? have.hideUnreleasedAll : DEFAULTS.hideUnreleasedAll)),
-    lastDeltaAt: typeof p.lastDeltaAt === 'string' ? p.lastDeltaAt : (have.lastDeltaAt || DEFAULTS.lastDeltaAt)
-  };
+  const out = shapeSettings({ ...have, ...p });
   mem.set(userId, out);
   return out;
 }
 
-module.exports = { getUserSettings, updateUserSettings };
+module.exports = { DEFAULTS, getUserSettings, updateUserSettings };
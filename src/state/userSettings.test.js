@@ -0,0 +1,35 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-settings-'));
+process.env.DATA_DIR = dir;
+const { getUserSettings, updateUserSettings } = require('./userSettings');
+
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('updateUserSettings', () => {
+  it('stores catalogTypes through the repo', async () => {
+    const stored = new Map();
+    const repo = {
+      getConfig: async (id) => stored.get(id) || null,
+      updateConfig: async (id, cfg) => { stored.set(id, cfg); }
+    };
+    await updateUserSettings(repo, 'u1', { catalogTypes: 'native', addonName: 'Mine' });
+    expect(stored.get('u1')).toMatchObject({ catalogTypes: 'native', addonName: 'Mine' });
+    expect(await getUserSettings(repo, 'u1')).toMatchObject({ catalogTypes: 'native', addonName: 'Mine' });
+  });
+
+  it('stores catalogTypes in the settings file', async () => {
+    await updateUserSettings(null, 'u2', { catalogTypes: 'native' });
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'u2.json'), 'utf8')).catalogTypes).toBe('native');
+    expect((await getUserSettings(null, 'u2')).catalogTypes).toBe('native');
+  });
+
+  it('keeps the stored value when a write leaves it out or sends an unknown one', async () => {
+    await updateUserSettings(null, 'u3', { catalogTypes: 'native' });
+    await updateUserSettings(null, 'u3', { genreCounts: true });
+    await updateUserSettings(null, 'u3', { catalogTypes: 'bogus' });
+    expect(await getUserSettings(null, 'u3')).toMatchObject({ catalogTypes: 'native', genreCounts: true });
+  });
+});
@@ -67,7 +67,7 @@ export interface ListConfig {
   updated_at: Date;
 }
 
-export type ListType = 'movie' | 'series';
+export type ListType = 'movie' | 'series' | 'mixed';
 export type SortOrder = 'asc' | 'desc';
 
 export interface OAuth2Client {
@@ -228,6 +228,9 @@ export interface Config {
     secret: string;
     ttlSeconds: number;
   };
+  stateless: {
+    requireSigned: boolean;
+  };
   trakt: {
     clientId: string;
     clientSecret: string;
@@ -13,10 +13,24 @@ function hmacVerifyUserLink(userId, sig, exp) {
   if (!sig || !exp) return false;
   const payload = `${userId}.${exp}`;
   const expected = crypto.createHmac('sha256', cfg.addonSigning.secret).update(payload).digest('hex');
-  const ok = crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected));
+  const given = Buffer.from(String(sig));
+  if (given.length !== expected.length) return false; // timingSafeEqual throws on unequal lengths
+  const ok = crypto.timingSafeEqual(given, Buffer.from(expected));
   if (!ok) return false;
   const now = Math.floor(Date.now() / 1000);
   return now <= parseInt(exp, 10);
 }
 
-module.exports = { hmacSignUserLink, hmacVerifyUserLink };
+// Plain payload signature (no expiry), e.g. for stateless addon configs; null when signing is disabled
+function hmacSignPayload(payload) {
+  if (!cfg.addonSigning.secret) return null;
+  return crypto.createHmac('sha256', cfg.addonSigning.secret).update(String(payload)).digest('base64url');
+}
+function hmacVerifyPayload(payload, sig) {
+  const expected = hmacSignPayload(payload);
+  if (!expected || !sig) return false;
+  const given = Buffer.from(String(sig));
+  return given.length === expected.length && crypto.timingSafeEqual(given, Buffer.from(expected));
+}
+
+module.exports = { hmacSignUserLink, hmacVerifyUserLink, hmacSignPayload, hmacVerifyPayload };
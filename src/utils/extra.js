@@ -0,0 +1,11 @@
+// Stremio "extra" path segment (genre=Drama&skip=100) merged with query params; query wins
+function parseExtra(extraStr, query) {
+  const out = {};
+  if (typeof extraStr === 'string' && extraStr.length) {
+    extraStr.split('&').forEach(kv => { const [k, v] = kv.split('='); if (k) out[decodeURIComponent(k)] = v ? decodeURIComponent(v) : ''; });
+  }
+  Object.keys(query || {}).forEach(k => { out[k] = query[k]; });
+  return out;
+}
+
+module.exports = { parseExtra };
@@ -0,0 +1,36 @@
+// src/utils/random.js
+// Deterministic PRNG helpers: the same seed gives the same order on every page request.
+
+// FNV-1a string hash -> 32-bit seed
+function hashSeed(str){
+  let h = 0x811c9dc5;
+  const s = String(str);
+  for (let i = 0; i < s.length; i++){
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function mulberry32(a){
+  return function(){
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher-Yates over a copy
+function seededShuffle(arr, seed){
+  const out = arr.slice();
+  const rnd = mulberry32(hashSeed(seed));
+  for (let i = out.length - 1; i > 0; i--){
+    const j = Math.floor(rnd() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+module.exports = { hashSeed, seededShuffle };
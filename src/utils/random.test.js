@@ -0,0 +1,36 @@
+const { hashSeed, seededShuffle } = require('./random');
+
+describe('hashSeed', () => {
+  it('is a stable unsigned 32-bit hash', () => {
+    expect(hashSeed('')).toBe(0x811c9dc5);
+    expect(hashSeed('abc')).toBe(hashSeed('abc'));
+    expect(hashSeed('abc')).not.toBe(hashSeed('abd'));
+    expect(hashSeed('some longer seed')).toBeGreaterThanOrEqual(0);
+    expect(hashSeed('some longer seed')).toBeLessThan(2 ** 32);
+  });
+});
+
+describe('seededShuffle', () => {
+  const arr = Array.from({ length: 50 }, (_, i) => i);
+
+  it('gives the same order for the same seed', () => {
+    expect(seededShuffle(arr, 'seed')).toEqual(seededShuffle(arr, 'seed'));
+  });
+
+  it('gives a different order for another seed', () => {
+    expect(seededShuffle(arr, 'seed')).not.toEqual(seededShuffle(arr, 'other'));
+  });
+
+  it('permutes a copy without touching the input', () => {
+    const input = arr.slice();
+    const out = seededShuffle(input, 'seed');
+    expect(input).toEqual(arr);
+    expect(out).not.toBe(input);
+    expect(out.slice().sort((a, b) => a - b)).toEqual(arr);
+  });
+
+  it('handles empty and single-item arrays', () => {
+    expect(seededShuffle([], 'x')).toEqual([]);
+    expect(seededShuffle([1], 'x')).toEqual([1]);
+  });
+});
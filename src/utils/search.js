@@ -0,0 +1,101 @@
+// src/utils/search.js
+// Title matching for the "Search my lists" catalog.
+// Scores: exact > prefix > word prefix > substring > fuzzy; 0 means no match.
+
+const SCORE_EXACT = 100;
+const SCORE_PREFIX = 80;
+const SCORE_WORD_PREFIX = 60;
+const SCORE_CONTAINS = 50;
+const SCORE_FUZZY = 20;
+const SCORE_YEAR_ONLY = 30;
+const YEAR_BONUS = 10;
+
+// Lowercase, strip accents/punctuation, collapse whitespace
+function normalizeTitle(s){
+  return String(s || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Split "matrix 1999" into { text: 'matrix', year: 1999 }. A bare year ("2012") is both a title
+// and a year: { text: '2012', year: 2012, bareYear: true }
+function parseQuery(raw){
+  const n = normalizeTitle(raw);
+  const m = n.match(/(?:^| )((?:19|20)\d{2})$/);
+  const year = m ? Number(m[1]) : undefined;
+  const text = m ? n.slice(0, m.index).trim() : n;
+  if (year && !text) return { text: n, year, bareYear: true };
+  return { text, year };
+}
+
+// Bounded Levenshtein: returns max+1 as soon as the distance cannot stay within max
+function editDistance(a, b, max){
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++){
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++){
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Every query token must match a title token by prefix or within a small edit distance
+function fuzzyTokens(text, title){
+  const words = title.split(' ');
+  return text.split(' ').every(q => {
+    const max = q.length <= 4 ? 1 : 2;
+    return words.some(w => w.startsWith(q) || editDistance(q, w, max) <= max);
+  });
+}
+
+function scoreTitle(text, title){
+  if (!text || !title) return 0;
+  if (title === text) return SCORE_EXACT;
+  if (title.startsWith(text)) return SCORE_PREFIX;
+  if ((' ' + title).includes(' ' + text)) return SCORE_WORD_PREFIX;
+  if (title.includes(text)) return SCORE_CONTAINS;
+  if (fuzzyTokens(text, title)) return SCORE_FUZZY;
+  return 0;
+}
+
+function bestTitleScore(text, titles){
+  let best = 0;
+  for (const t of titles || []){
+    best = Math.max(best, scoreTitle(text, normalizeTitle(t)));
+  }
+  return best;
+}
+
+/**
+ * Score one candidate against a parsed query.
+ * @param {{text:string, year?:number, bareYear?:boolean}} q parsed query (see parseQuery)
+ * @param {{titles:string[], year?:number}} c candidate titles (title + original title) and year
+ */
+function scoreCandidate(q, c){
+  const yearMatch = q.year && c.year === q.year ? SCORE_YEAR_ONLY : 0;
+  if (!q.text) return yearMatch;
+  let best = bestTitleScore(q.text, c.titles);
+  if (q.bareYear){
+    // Titles naming the year ("2012") rank above titles merely released that year; no fuzzy match on digits
+    if (best <= SCORE_FUZZY) return yearMatch;
+    return best + (yearMatch ? YEAR_BONUS : 0);
+  }
+  if (!best) return 0;
+  if (q.year){
+    if (c.year === q.year) best += YEAR_BONUS;
+    else if (c.year) return 0; // explicit year that doesn't match
+  }
+  return best;
+}
+
+module.exports = { normalizeTitle, parseQuery, scoreCandidate };
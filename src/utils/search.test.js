@@ -0,0 +1,69 @@
+const { normalizeTitle, parseQuery, scoreCandidate } = require('./search');
+
+describe('normalizeTitle', () => {
+  it('lowercases and strips accents and punctuation', () => {
+    expect(normalizeTitle('  Amélie: Le Fabuleux  Destin! ')).toBe('amelie le fabuleux destin');
+    expect(normalizeTitle('Fast & Furious')).toBe('fast and furious');
+  });
+});
+
+describe('parseQuery', () => {
+  it('splits a trailing year from the title words', () => {
+    expect(parseQuery('The Matrix 1999')).toEqual({ text: 'the matrix', year: 1999 });
+  });
+
+  it('keeps numbers that are not a trailing year in the text', () => {
+    expect(parseQuery('Apollo 13')).toEqual({ text: 'apollo 13', year: undefined });
+    expect(parseQuery('1917 war')).toEqual({ text: '1917 war', year: undefined });
+  });
+
+  it('reads a bare year as both title text and year', () => {
+    expect(parseQuery(' 2012 ')).toEqual({ text: '2012', year: 2012, bareYear: true });
+  });
+});
+
+describe('scoreCandidate', () => {
+  const score = (query, titles, year) => scoreCandidate(parseQuery(query), { titles, year });
+
+  it('ranks exact > prefix > word prefix > substring > fuzzy', () => {
+    const scores = [
+      score('alien', ['Alien']),
+      score('alien', ['Aliens']),
+      score('alien', ['Cowboys & Aliens']),
+      score('lien', ['Aliens']),
+      score('alein', ['Alien'])
+    ];
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    expect(new Set(scores).size).toBe(scores.length);
+    expect(scores.every(s => s > 0)).toBe(true);
+  });
+
+  it('matches the original title too', () => {
+    expect(score('amelie', ['Amélie', 'Le Fabuleux Destin d\'Amélie Poulain'])).toBeGreaterThan(0);
+    expect(score('fabuleux', ['Amélie', 'Le Fabuleux Destin d\'Amélie Poulain'])).toBeGreaterThan(0);
+  });
+
+  it('returns 0 for unrelated titles', () => {
+    expect(score('matrix', ['Casablanca'])).toBe(0);
+  });
+
+  it('rewards a matching year and rejects a different known year', () => {
+    expect(score('dune 2021', ['Dune'], 2021)).toBeGreaterThan(score('dune', ['Dune'], 2021));
+    expect(score('dune 2021', ['Dune'], 1984)).toBe(0);
+    expect(score('dune 2021', ['Dune'])).toBeGreaterThan(0);
+  });
+
+  it('ranks a title naming a bare year above titles released that year', () => {
+    const exact = score('2012', ['2012'], 2009);
+    const inTitle = score('2012', ['Blade Runner 2012 Redux'], 2015);
+    const released = score('2012', ['Argo'], 2012);
+    expect(exact).toBeGreaterThan(inTitle);
+    expect(inTitle).toBeGreaterThan(released);
+    expect(released).toBeGreaterThan(0);
+  });
+
+  it('does not fuzzy-match a bare year against nearby numbers', () => {
+    expect(score('2012', ['2013'], 2013)).toBe(0);
+    expect(score('2012', ['Argo'], 2011)).toBe(0);
+  });
+});
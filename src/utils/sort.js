@@ -0,0 +1,71 @@
+// src/utils/sort.js
+// Catalog sort keys over Trakt list items ({ type, rank, listed_at, movie|show }).
+// Sorting runs on whole-list pools, before items become metas.
+
+const { seededShuffle } = require('./random');
+
+const SORT_KEYS = [
+  'rank', 'listed_at', 'rating', 'votes', 'year', 'released', 'runtime', 'name', 'popularity', 'watchers', 'random'
+];
+
+// List items carry no popularity/watcher stats; these orders come pre-sorted from Trakt (sort_by value)
+const TRAKT_ONLY_SORTS = { popularity: 'popularity', watchers: 'watched' };
+
+// Trakt sort_by (URL ?sort=, X-Sort-By header) -> catalog key
+const TRAKT_SORT_ALIASES = {
+  added: 'listed_at', title: 'name', percentage: 'rating', watched: 'watchers'
+};
+
+const ASC_BY_DEFAULT = new Set(['rank', 'name']);
+
+function normalizeSortKey(raw){
+  const s = String(raw || '').trim().toLowerCase();
+  if (SORT_KEYS.includes(s)) return s;
+  return TRAKT_SORT_ALIASES[s] || null;
+}
+
+function defaultOrder(key){
+  return ASC_BY_DEFAULT.has(key) ? 'asc' : 'desc';
+}
+
+function num(v){ return typeof v === 'number' && isFinite(v) ? v : undefined; }
+function date(v){ const t = Date.parse(v || ''); return isFinite(t) ? t : undefined; }
+
+function sortValue(it, key){
+  const core = (it && it[it.type]) || {};
+  switch (key){
+    case 'rank': return num(it.rank);
+    case 'listed_at': return date(it.listed_at);
+    case 'rating': return num(core.rating);
+    case 'votes': return num(core.votes);
+    case 'year': return num(core.year);
+    case 'released': return date(core.released || core.first_aired);
+    case 'runtime': return num(core.runtime);
+    case 'name': return core.title ? String(core.title) : undefined;
+    default: return undefined;
+  }
+}
+
+/**
+ * Sort list items by a catalog key. Items missing the value go last in either
+ * direction; ties keep list order. Trakt-only keys return the input order.
+ * @param {object[]} items
+ * @param {string} key one of SORT_KEYS
+ * @param {'asc'|'desc'} [order] defaults per key (rank/name asc, others desc)
+ * @param {{seed?:string}} [opts] seed for 'random'
+ */
+function sortItems(items, key, order, { seed = '' } = {}){
+  if (!key || TRAKT_ONLY_SORTS[key]) return items.slice();
+  if (key === 'random') return seededShuffle(items, seed);
+  const dir = String(order || defaultOrder(key)).toLowerCase() === 'asc' ? 1 : -1;
+  const keyed = items.map((it, i) => ({ it, i, v: sortValue(it, key) }));
+  keyed.sort((a, b) => {
+    const am = a.v === undefined, bm = b.v === undefined;
+    if (am || bm) return am === bm ? a.i - b.i : (am ? 1 : -1);
+    const c = key === 'name' ? a.v.localeCompare(b.v) : a.v - b.v;
+    return (c * dir) || (a.i - b.i);
+  });
+  return keyed.map(x => x.it);
+}
+
+module.exports = { SORT_KEYS, TRAKT_ONLY_SORTS, normalizeSortKey, defaultOrder, sortItems };
@@ -0,0 +1,63 @@
+const { normalizeSortKey, defaultOrder, sortItems } = require('./sort');
+
+const movie = (title, fields = {}, item = {}) => ({ type: 'movie', ...item, movie: { title, ...fields } });
+const titles = (items) => items.map(it => it[it.type].title);
+
+describe('normalizeSortKey', () => {
+  it('accepts catalog keys and Trakt sort_by aliases', () => {
+    expect(normalizeSortKey(' Rating ')).toBe('rating');
+    expect(normalizeSortKey('added')).toBe('listed_at');
+    expect(normalizeSortKey('title')).toBe('name');
+    expect(normalizeSortKey('watched')).toBe('watchers');
+  });
+
+  it('returns null for unknown keys', () => {
+    expect(normalizeSortKey('nope')).toBeNull();
+    expect(normalizeSortKey(undefined)).toBeNull();
+  });
+});
+
+describe('defaultOrder', () => {
+  it('is ascending for rank and name, descending otherwise', () => {
+    expect(defaultOrder('rank')).toBe('asc');
+    expect(defaultOrder('name')).toBe('asc');
+    expect(defaultOrder('rating')).toBe('desc');
+  });
+});
+
+describe('sortItems', () => {
+  const items = [
+    movie('B', { rating: 7, released: '2001-05-01' }, { rank: 2 }),
+    movie('a', { rating: 9 }, { rank: 3 }),
+    movie('C', { released: '1999-01-01' }, { rank: 1 }),
+    movie('D', { rating: 7, released: '2010-01-01' })
+  ];
+
+  it('uses the key\'s default direction', () => {
+    expect(titles(sortItems(items, 'rank'))).toEqual(['C', 'B', 'a', 'D']);
+    expect(titles(sortItems(items, 'name'))).toEqual(['a', 'B', 'C', 'D']);
+  });
+
+  it('puts missing values last in both directions and keeps list order on ties', () => {
+    expect(titles(sortItems(items, 'rating'))).toEqual(['a', 'B', 'D', 'C']);
+    expect(titles(sortItems(items, 'rating', 'asc'))).toEqual(['B', 'D', 'a', 'C']);
+  });
+
+  it('sorts shows by first_aired as their release date', () => {
+    const show = { type: 'show', show: { title: 'S', first_aired: '2005-01-01T00:00:00Z' } };
+    expect(titles(sortItems(items.concat(show), 'released'))).toEqual(['D', 'S', 'B', 'C', 'a']);
+  });
+
+  it('returns a copy in list order for Trakt-only keys', () => {
+    const out = sortItems(items, 'popularity');
+    expect(out).toEqual(items);
+    expect(out).not.toBe(items);
+  });
+
+  it('shuffles the same way for the same seed', () => {
+    const many = Array.from({ length: 20 }, (_, i) => movie(`T${i}`));
+    const once = titles(sortItems(many, 'random', undefined, { seed: 'u1:l1:2024-01' }));
+    expect(titles(sortItems(many, 'random', undefined, { seed: 'u1:l1:2024-01' }))).toEqual(once);
+    expect(once.slice().sort()).toEqual(titles(many).sort());
+  });
+});